@@ -44,9 +44,13 @@ const config = {
   MAX_FILE_SIZE: Number(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024, // 5MB
   UPLOAD_PATH: process.env.UPLOAD_PATH || 'uploads/',
 
-  // Payment configuration (future integration)
+  // Paystack configuration; point PAYSTACK_BASE_URL at scripts/paystack-stub.js locally
   PAYSTACK_PUBLIC_KEY: process.env.PAYSTACK_PUBLIC_KEY || '',
   PAYSTACK_SECRET_KEY: process.env.PAYSTACK_SECRET_KEY || '',
+  PAYSTACK_BASE_URL: process.env.PAYSTACK_BASE_URL || 'https://api.paystack.co',
+
+  // Provider used by /api/checkout/pay when the request does not name one
+  DEFAULT_PAYMENT_PROVIDER: process.env.DEFAULT_PAYMENT_PROVIDER || 'flutterwave',
 
   // Flutterwave configuration
   FLUTTERWAVE_SECRET_KEY: process.env.FLUTTERWAVE_SECRET_KEY,
@@ -54,6 +58,50 @@ const config = {
   FLUTTERWAVE_BASE_URL: process.env.FLUTTERWAVE_BASE_URL || 'https://api.flutterwave.com/v3',
   FLUTTERWAVE_WEBHOOK_HASH: process.env.FLUTTERWAVE_WEBHOOK_HASH,
 
+  // Wema Bank transfers (virtual account per order); point WEMA_BASE_URL at scripts/wema-stub.js locally
+  WEMA_BASE_URL: process.env.WEMA_BASE_URL,
+  WEMA_API_KEY: process.env.WEMA_API_KEY,
+  WEMA_WEBHOOK_SECRET: process.env.WEMA_WEBHOOK_SECRET,
+
+  // Order pricing
+  SHIPPING_FLAT_FEE: Number(process.env.SHIPPING_FLAT_FEE) || 0,
+  VAT_RATE: process.env.VAT_RATE !== undefined ? Number(process.env.VAT_RATE) : 7.5, // percentage
+  // true when catalogue prices already contain VAT
+  PRICES_INCLUDE_TAX: process.env.PRICES_INCLUDE_TAX === 'true',
+  TAX_EXEMPT_CATEGORIES: (process.env.TAX_EXEMPT_CATEGORIES || '').split(',').map(c => c.trim()).filter(Boolean),
+
+  // Idempotency keys (Idempotency-Key header on order/payment/withdrawal requests)
+  IDEMPOTENCY_TTL_HOURS: Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24,
+
+  // Stock held for orders awaiting online payment
+  STOCK_RESERVATION_TTL_MINUTES: Number(process.env.STOCK_RESERVATION_TTL_MINUTES) || 30,
+
+  // Pending online payments are re-verified with their provider after this many minutes, and
+  // abandoned (stock released) if still unpaid after the timeout
+  PAYMENT_RECONCILE_AFTER_MINUTES: Number(process.env.PAYMENT_RECONCILE_AFTER_MINUTES) || 15,
+  PAYMENT_PENDING_TIMEOUT_MINUTES: Number(process.env.PAYMENT_PENDING_TIMEOUT_MINUTES) || Number(process.env.STOCK_RESERVATION_TTL_MINUTES) || 30,
+
+  // Wallet top-ups through Flutterwave, in NGN
+  WALLET_TOPUP_MIN_AMOUNT: Number(process.env.WALLET_TOPUP_MIN_AMOUNT) || 100,
+  WALLET_TOPUP_MAX_AMOUNT: Number(process.env.WALLET_TOPUP_MAX_AMOUNT) || 500000,
+
+  // Subscription orders: retry a failed run after this many hours, pause after this many failures in a row
+  SUBSCRIPTION_RETRY_HOURS: Number(process.env.SUBSCRIPTION_RETRY_HOURS) || 24,
+  SUBSCRIPTION_MAX_FAILURES: Number(process.env.SUBSCRIPTION_MAX_FAILURES) || 3,
+
+  // Abandoned-cart reminders: first email after the cart sits idle this long, then every interval, up to the max
+  ABANDONED_CART_AFTER_HOURS: Number(process.env.ABANDONED_CART_AFTER_HOURS) || 24,
+  ABANDONED_CART_REMINDER_INTERVAL_HOURS: Number(process.env.ABANDONED_CART_REMINDER_INTERVAL_HOURS) || 48,
+  ABANDONED_CART_MAX_REMINDERS: process.env.ABANDONED_CART_MAX_REMINDERS !== undefined ? Number(process.env.ABANDONED_CART_MAX_REMINDERS) : 3,
+  // An order within this many days of a reminder counts as recovered by it
+  ABANDONED_CART_ATTRIBUTION_DAYS: Number(process.env.ABANDONED_CART_ATTRIBUTION_DAYS) || 7,
+
+  // Order numbers look like EPX-2026-10-000123
+  ORDER_NUMBER_PREFIX: process.env.ORDER_NUMBER_PREFIX || 'EPX',
+
+  // Lifetime of the signed links guests use to track their orders
+  ORDER_TRACKING_TOKEN_EXPIRE: process.env.ORDER_TRACKING_TOKEN_EXPIRE || '90d',
+
   // Logging
   LOG_LEVEL: process.env.LOG_LEVEL || 'info',
   LOG_FILE: process.env.LOG_FILE || 'logs/app.log',
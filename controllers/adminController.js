@@ -6,6 +6,7 @@ import AffiliateCommission from '../models/AffiliateCommission.js';
 import CommissionRate from '../models/CommissionRate.js';
 import AffiliateWithdrawal from '../models/AffiliateWithdrawal.js';
 import SeasonalPromoService from '../services/seasonalPromoService.js';
+import PaymentGateway from '../services/paymentGateway.js';
 
 // ===== HELPER FUNCTIONS =====
 
@@ -253,7 +254,7 @@ const getRecentSignups = async (limit = 5) => {
  */
 const createUpdateSeasonalPromo = async (req, res) => {
     try {
-        const { name, startDate, endDate, commissionRate, isActive } = req.body;
+        const { name, startDate, endDate, commissionRate, discountRate = 0, isActive } = req.body;
         
         // Validate dates
         if (new Date(startDate) >= new Date(endDate)) {
@@ -285,6 +286,7 @@ const createUpdateSeasonalPromo = async (req, res) => {
             startDate: new Date(startDate),
             endDate: new Date(endDate),
             commissionRate: Number(commissionRate),
+            discountRate: Number(discountRate) || 0, // % off the order subtotal, applied by PricingService
             isActive: Boolean(isActive)
         };
 
@@ -1022,6 +1024,8 @@ const getSettings = async (req, res) => {
       minWithdrawal: 50,
       paymentMethods: ['bank_transfer', 'paypal', 'crypto'],
       currency: 'USD',
+      // Managed at /api/admin/settings/payment-providers
+      paymentProviders: await PaymentGateway.listProviders()
       // Add more settings as needed
     };
 
@@ -1,6 +1,9 @@
 import mongoose from 'mongoose';
 import Cart from '../models/Cart.js';
 import Product from '../models/Product.js';
+import CartService from '../services/cartService.js';
+import ShippingService from '../services/shippingService.js';
+import CartRecoveryService from '../services/cartRecoveryService.js';
 import { AppError, NotFoundError } from '../middleware/errorHandler.js';
 import { catchAsync } from '../middleware/errorHandler.js';
 
@@ -16,6 +19,7 @@ export const getCart = async (req, res, next) => {
     }
 
     let cart = await Cart.findOne({ user: req.user._id });
+    const shippingLines = [];
     
     // If cart exists, populate product details
     if (cart) {
@@ -27,6 +31,8 @@ export const getCart = async (req, res, next) => {
         const product = await Product.findById(item.product);
         
         if (product) {
+          shippingLines.push({ quantity: item.quantity, weight: product.weight || 0 });
+
           // Update item with latest product data
           item.productDetails = {
             name: product.name,
@@ -65,11 +71,22 @@ export const getCart = async (req, res, next) => {
         data: {
           items: [],
           totalItems: 0,
-          subtotal: 0
+          subtotal: 0,
+          shippingFee: 0
         }
       });
     }
 
+    // Estimate shipping for ?state=&city=, falling back to the profile address
+    const shippingAddress = req.query.state
+      ? { state: req.query.state, city: req.query.city }
+      : req.user.profile?.address;
+    const shipping = await ShippingService.quote({
+      lines: shippingLines,
+      merchandiseTotal: cart.subtotal,
+      shippingAddress
+    });
+
     return res.status(200).json({
       success: true,
       data: {
@@ -77,6 +94,10 @@ export const getCart = async (req, res, next) => {
         items: cart.items,
         totalItems: cart.totalItems,
         subtotal: cart.subtotal,
+        couponCode: cart.couponCode,
+        shippingFee: shipping.fee,
+        shipping,
+        estimatedTotal: cart.subtotal + shipping.fee,
         updatedAt: cart.updatedAt
       }
     });
@@ -472,10 +493,124 @@ export const clearCart = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Checkout cart into an order
+ * @route   POST /api/cart/checkout
+ * @access  Private
+ */
+export const checkout = async (req, res, next) => {
+  try {
+    const { shippingAddress, paymentMethod, customerInfo, acceptPriceChanges, totalAmount } = req.body;
+
+    const { order, priceChanges } = await CartService.checkout(req.user, {
+      shippingAddress,
+      paymentMethod,
+      customerInfo,
+      acceptPriceChanges: acceptPriceChanges === true,
+      totalAmount
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Order placed successfully',
+      data: {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        subtotal: order.subtotal,
+        discountAmount: order.discountAmount,
+        coupon: order.coupon,
+        shippingFee: order.shippingFee,
+        shippingZone: order.shippingZone,
+        estimatedDelivery: order.tracking?.estimatedDelivery,
+        taxAmount: order.taxAmount,
+        taxRate: order.taxRate,
+        taxInclusive: order.taxInclusive,
+        totalAmount: order.totalAmount,
+        shippingAddress: order.shippingAddress,
+        items: order.items,
+        priceChanges,
+        createdAt: order.createdAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Apply a coupon code to the cart
+ * @route   POST /api/cart/coupon
+ * @access  Private
+ */
+export const applyCoupon = async (req, res, next) => {
+  try {
+    const { code, shippingAddress } = req.body;
+    const { cart, quote } = await CartService.applyCoupon(req.user, code, shippingAddress);
+
+    return res.status(200).json({
+      success: true,
+      message: `Coupon ${quote.coupon.code} applied`,
+      data: {
+        couponCode: cart.couponCode,
+        coupon: quote.coupon,
+        subtotal: quote.subtotal,
+        discount: quote.discount,
+        shippingFee: quote.shippingFee,
+        tax: quote.tax,
+        total: quote.total
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove the coupon from the cart
+ * @route   DELETE /api/cart/coupon
+ * @access  Private
+ */
+export const removeCoupon = async (req, res, next) => {
+  try {
+    await CartService.removeCoupon(req.user);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Coupon removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Abandonment rate, reminder conversions and recovered revenue
+ * @route   GET /api/admin/reports/abandoned-carts
+ * @access  Private/Admin
+ */
+export const getAbandonedCartReport = async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const report = await CartRecoveryService.getReport({ startDate, endDate });
+
+    return res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 export default {
   getCart,
   addToCart,
   updateCartItem,
   removeFromCart,
-  clearCart
+  clearCart,
+  checkout,
+  applyCoupon,
+  removeCoupon,
+  getAbandonedCartReport
 };
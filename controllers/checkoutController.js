@@ -0,0 +1,114 @@
+import PaymentGateway from '../services/paymentGateway.js';
+import PaymentEventService from '../services/paymentEventService.js';
+
+/**
+ * @desc    Pay for an order through a checkout provider
+ * @route   POST /api/checkout/pay/:orderId?provider=flutterwave|paystack
+ * @access  Private
+ */
+export const payOrder = async (req, res, next) => {
+  try {
+    const { amount, callbackUrl } = req.body;
+    const result = await PaymentGateway.initializePayment(req.params.orderId, req.user, {
+      provider: req.query.provider,
+      amount,
+      callbackUrl: callbackUrl || `${process.env.FRONTEND_URL}/payment/callback`
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Check a checkout payment with its provider and update the order
+ * @route   GET /api/checkout/verify/:reference
+ * @access  Private
+ */
+export const verifyCheckoutPayment = async (req, res, next) => {
+  try {
+    const result = await PaymentGateway.verifyPayment(req.params.reference, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Receive a provider's payment notification
+ * @route   POST /api/checkout/webhook/:provider
+ * @access  Public (signed by the provider)
+ */
+export const checkoutWebhook = async (req, res, next) => {
+  try {
+    const result = await PaymentEventService.receive(req.params.provider, req.rawBody, req.headers);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List the payment providers offered at checkout
+ * @route   GET /api/checkout/providers
+ * @access  Public
+ */
+export const getPaymentProviders = async (req, res, next) => {
+  try {
+    const providers = await PaymentGateway.listProviders();
+
+    res.status(200).json({
+      success: true,
+      data: providers
+        .filter(provider => provider.available)
+        .map(({ name, label, isDefault }) => ({ name, label, isDefault }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get every payment provider with its configuration and toggle
+ * @route   GET /api/admin/settings/payment-providers
+ * @access  Private/Admin
+ */
+export const getPaymentProviderSettings = async (req, res, next) => {
+  try {
+    const providers = await PaymentGateway.listProviders();
+
+    res.status(200).json({
+      success: true,
+      data: providers
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Enable or disable a payment provider
+ * @route   PATCH /api/admin/settings/payment-providers/:provider
+ * @access  Private/Admin
+ */
+export const updatePaymentProviderSetting = async (req, res, next) => {
+  try {
+    const providers = await PaymentGateway.setProviderEnabled(req.params.provider, req.body.enabled, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: `Payment provider ${req.body.enabled ? 'enabled' : 'disabled'}`,
+      data: providers
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,120 @@
+import CouponService from '../services/couponService.js';
+
+/**
+ * @desc    List coupons
+ * @route   GET /api/admin/coupons
+ * @access  Private/Admin
+ */
+export const getCoupons = async (req, res, next) => {
+  try {
+    const active = req.query.active === undefined ? undefined : req.query.active === 'true';
+    const result = await CouponService.listCoupons({
+      active,
+      page: Math.max(parseInt(req.query.page) || 1, 1),
+      limit: Math.min(parseInt(req.query.limit) || 20, 100)
+    });
+
+    res.json({
+      success: true,
+      data: result.coupons,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Redemption stats for all coupons
+ * @route   GET /api/admin/coupons/stats
+ * @access  Private/Admin
+ */
+export const getCouponsStats = async (req, res, next) => {
+  try {
+    const stats = await CouponService.getStats();
+
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a coupon with its redemption stats
+ * @route   GET /api/admin/coupons/:id
+ * @access  Private/Admin
+ */
+export const getCoupon = async (req, res, next) => {
+  try {
+    const [coupon, stats] = await Promise.all([
+      CouponService.getCoupon(req.params.id),
+      CouponService.getStats(req.params.id)
+    ]);
+
+    res.json({
+      success: true,
+      data: { ...coupon.toObject(), stats }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a coupon
+ * @route   POST /api/admin/coupons
+ * @access  Private/Admin
+ */
+export const createCoupon = async (req, res, next) => {
+  try {
+    const coupon = await CouponService.createCoupon(req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created',
+      data: coupon
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a coupon
+ * @route   PUT /api/admin/coupons/:id
+ * @access  Private/Admin
+ */
+export const updateCoupon = async (req, res, next) => {
+  try {
+    const coupon = await CouponService.updateCoupon(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Coupon updated',
+      data: coupon
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete an unused coupon
+ * @route   DELETE /api/admin/coupons/:id
+ * @access  Private/Admin
+ */
+export const deleteCoupon = async (req, res, next) => {
+  try {
+    await CouponService.deleteCoupon(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Coupon deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,6 +1,7 @@
 import Delivery from '../models/Delivery.js';
 import Order from '../models/Order.js';
 import CommissionService from '../services/commissionService.js';
+import OrderLifecycle from '../services/orderLifecycle.js';
 import User from '../models/User.js';
 import Rating from '../models/Rating.js';
 import { sendDeliveryNotification } from '../services/emailService.js';
@@ -17,7 +18,7 @@ export const assignDelivery = async (req, res) => {
     try {
         const { orderId, marketerId } = req.body;
         
-        // Check if order exists and is paid
+        // Check if order exists; the lifecycle decides whether it can be assigned
         const order = await Order.findById(orderId).session(session);
         if (!order) {
             await session.abortTransaction();
@@ -25,15 +26,6 @@ export const assignDelivery = async (req, res) => {
             return res.status(404).json({ success: false, message: 'Order not found' });
         }
 
-        if (order.status !== 'paid') {
-            await session.abortTransaction();
-            session.endSession();
-            return res.status(400).json({ 
-                success: false, 
-                message: 'Order is not paid and cannot be assigned for delivery' 
-            });
-        }
-
         // Check if delivery already exists for this order
         const existingDelivery = await Delivery.findOne({ order: orderId }).session(session);
         if (existingDelivery) {
@@ -49,16 +41,19 @@ export const assignDelivery = async (req, res) => {
         const delivery = new Delivery({
             order: orderId,
             marketer: marketerId,
-            customer: order.user,
+            customer: order.buyer || order.userId,
             status: 'pending'
         });
 
         await delivery.save({ session });
         
         // Update order status
-        order.status = 'processing';
-        order.assignedTo = marketerId;
-        await order.save({ session });
+        await OrderLifecycle.transition(order, 'assigned', {
+            actor: req.user,
+            note: 'Assigned for delivery',
+            fields: { marketer: marketerId },
+            session
+        });
 
         await session.commitTransaction();
         session.endSession();
@@ -74,9 +69,10 @@ export const assignDelivery = async (req, res) => {
         await session.abortTransaction();
         session.endSession();
         console.error('Delivery assignment error:', error);
-        res.status(500).json({ 
+        res.status(error.statusCode || 500).json({ 
             success: false, 
-            message: 'Error assigning delivery',
+            message: error.statusCode ? error.message : 'Error assigning delivery',
+            details: error.details,
             error: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
     }
@@ -88,18 +84,25 @@ export const assignDelivery = async (req, res) => {
  * @access  Private/Marketer
  */
 export const markAsDelivered = async (req, res) => {
+    const session = await Delivery.startSession();
+    session.startTransaction();
+
     try {
         const { id } = req.params;
         const { deliveryProof, notes } = req.body;
         
-        const delivery = await Delivery.findById(id);
+        const delivery = await Delivery.findById(id).session(session);
         
         if (!delivery) {
+            await session.abortTransaction();
+            session.endSession();
             return res.status(404).json({ success: false, message: 'Delivery not found' });
         }
         
         // Check if the request is from the assigned marketer
         if (delivery.marketer.toString() !== req.user.id) {
+            await session.abortTransaction();
+            session.endSession();
             return res.status(403).json({ 
                 success: false, 
                 message: 'Not authorized to update this delivery' 
@@ -112,7 +115,21 @@ export const markAsDelivered = async (req, res) => {
         delivery.notes = notes;
         delivery.deliveryDate = new Date();
         
-        await delivery.save();
+        // The order and the delivery change together or not at all
+        const order = await Order.findById(delivery.order).session(session);
+        if (order && order.status !== 'delivered') {
+            await OrderLifecycle.transition(order, 'delivered', {
+                actor: req.user,
+                note: 'Marked as delivered by marketer',
+                fields: { deliveryProof },
+                session
+            });
+        }
+        
+        await delivery.save({ session });
+        
+        await session.commitTransaction();
+        session.endSession();
         
         // TODO: Send notification to customer to confirm delivery
         
@@ -122,10 +139,13 @@ export const markAsDelivered = async (req, res) => {
         });
         
     } catch (error) {
+        await session.abortTransaction();
+        session.endSession();
         console.error('Mark as delivered error:', error);
-        res.status(500).json({ 
+        res.status(error.statusCode || 500).json({ 
             success: false, 
-            message: 'Error updating delivery status',
+            message: error.statusCode ? error.message : 'Error updating delivery status',
+            details: error.details,
             error: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
     }
@@ -179,11 +199,15 @@ export const confirmDelivery = async (req, res) => {
         await delivery.save({ session });
         
         // Update order status
-        await Order.findByIdAndUpdate(
-            delivery.order._id,
-            { status: 'completed' },
-            { session }
-        );
+        await OrderLifecycle.transition(delivery.order, 'completed', {
+            actor: req.user,
+            note: 'Delivery confirmed by customer',
+            fields: {
+                customerConfirmed: true,
+                confirmedAt: new Date()
+            },
+            session
+        });
         
         // Process commission
         if (delivery.commissionStatus === 'active') {
@@ -210,9 +234,10 @@ export const confirmDelivery = async (req, res) => {
         await session.abortTransaction();
         session.endSession();
         console.error('Confirm delivery error:', error);
-        res.status(500).json({ 
+        res.status(error.statusCode || 500).json({ 
             success: false, 
-            message: 'Error confirming delivery',
+            message: error.statusCode ? error.message : 'Error confirming delivery',
+            details: error.details,
             error: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
     }
@@ -1,21 +1,23 @@
 import FlutterwaveService from '../services/flutterwaveService.js';
+import PaymentGateway from '../services/paymentGateway.js';
+import PaymentEventService from '../services/paymentEventService.js';
 import { AppError } from '../middleware/errorHandler.js';
 
 export const initializeFlutterwavePayment = async (req, res, next) => {
     try {
         const { orderId } = req.params;
-        const { amount, email, phone, name } = req.body;
+        const { amount } = req.body;
 
-        if (!orderId || !amount || !email) {
+        if (!orderId || !amount) {
             throw new AppError('Missing required parameters', 400);
         }
 
-        const result = await FlutterwaveService.initializePayment(
-            orderId,
+        // Same checks as /api/checkout/pay, including the admin's provider toggle
+        const result = await PaymentGateway.initializePayment(orderId, req.user, {
+            provider: 'flutterwave',
             amount,
-            { email, phone, name },
-            req.body.callbackUrl || `${process.env.FRONTEND_URL}/payment/callback`
-        );
+            callbackUrl: req.body.callbackUrl || `${process.env.FRONTEND_URL}/payment/callback`
+        });
 
         res.status(200).json({
             success: true,
@@ -48,12 +50,12 @@ export const verifyFlutterwavePayment = async (req, res, next) => {
 
 export const flutterwaveWebhook = async (req, res, next) => {
     try {
-        const signature = req.headers['verif-hash'];
-        if (!signature) {
+        // Flutterwave sends its secret hash in verif-hash; the body is the raw copy captured by express.json in index.js
+        if (!req.headers['verif-hash']) {
             return res.status(401).json({ status: 'error', message: 'No signature provided' });
         }
 
-        const result = await FlutterwaveService.handleWebhook(req.body, signature);
+        const result = await PaymentEventService.receive('flutterwave', req.rawBody, req.headers);
         res.status(200).json(result);
         
     } catch (error) {
@@ -2,6 +2,7 @@ import mongoose from 'mongoose';
 import User from '../models/User.js';
 import Order from '../models/Order.js';
 import Product from '../models/Product.js';
+import OrderLifecycle from '../services/orderLifecycle.js';
 import { NotFoundError } from '../middleware/errorHandler.js';
 
 /**
@@ -173,53 +174,26 @@ export const updateOrderStatus = async (req, res) => {
             throw new NotFoundError('Order not found or not assigned to you');
         }
 
-        // Validate status transition
-        const validTransitions = {
-            'assigned': ['in_transit'],
-            'in_transit': ['delivered', 'cancelled'],
-            'delivered': ['completed']
-        };
-
-        if (!validTransitions[order.status] || !validTransitions[order.status].includes(status)) {
-            return res.status(400).json({
-                success: false,
-                message: `Invalid status transition from ${order.status} to ${status}`
-            });
-        }
-
-        // Update order status
-        order.status = status;
-        order.statusHistory.push({
-            status,
-            changedBy: req.user.id,
+        const updatedOrder = await OrderLifecycle.transition(order, status, {
+            actor: req.user,
+            reason: req.body.reason,
             note: note || `Status changed to ${status}`
         });
 
-        // If order is delivered, set deliveredAt
-        if (status === 'delivered') {
-            order.deliveredAt = new Date();
-        }
-
-        // If order is completed, mark as completed
-        if (status === 'completed') {
-            order.completedAt = new Date();
-        }
-
-        await order.save();
-
         // TODO: Send notification to customer about status update
 
         res.status(200).json({
             success: true,
             message: `Order status updated to ${status}`,
-            data: order
+            data: updatedOrder
         });
 
     } catch (error) {
         console.error('Update order status error:', error);
         res.status(error.statusCode || 500).json({
             success: false,
-            message: error.message || 'Server error'
+            message: error.message || 'Server error',
+            details: error.details
         });
     }
 };
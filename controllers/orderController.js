@@ -1,15 +1,21 @@
 import mongoose from 'mongoose';
 import Order from '../models/Order.js';
-import Product from '../models/Product.js';
-import Wallet from '../models/Wallet.js';
 import User from '../models/User.js';
 import CommissionService from '../services/commissionService.js';
 import MarketerService from '../services/marketerService.js';
-import SeasonalPromoService from '../services/seasonalPromoService.js';
 import OrderService from '../services/orderService.js';
+import CartService from '../services/cartService.js';
+import PricingService from '../services/pricingService.js';
 import RatingService from '../services/ratingService.js';
+import TaxService from '../services/taxService.js';
+import OrderTrackingService from '../services/orderTrackingService.js';
+import OrderBulkService from '../services/orderBulkService.js';
+import OrderTimelineService from '../services/orderTimelineService.js';
+import CartRecoveryService from '../services/cartRecoveryService.js';
+import { sendNotificationEmail } from '../services/emailService.js';
 import ProductRating from '../models/ProductRating.js';
-import { AppError } from '../middleware/errorHandler.js';
+import { AppError, ConflictError } from '../middleware/errorHandler.js';
+import { generateInvoice, generatePackingSlip } from '../utils/orderDocuments.js';
 
 // Create new order
 const createOrder = async (req, res) => {
@@ -17,7 +23,7 @@ const createOrder = async (req, res) => {
     session.startTransaction();
     
     try {
-        const { items, shippingAddress, paymentMethod, totalAmount, customerInfo: initialCustomerInfo } = req.body;
+        const { items, shippingAddress, paymentMethod, totalAmount, couponCode, customerInfo: initialCustomerInfo } = req.body;
         
         let customerInfo = initialCustomerInfo;
         
@@ -53,10 +59,6 @@ const createOrder = async (req, res) => {
             throw new AppError('Items array is required and cannot be empty', 400);
         }
         
-        if (!shippingAddress || typeof shippingAddress !== 'object') {
-            throw new AppError('Shipping address is required and must be an object', 400);
-        }
-        
         if (!customerInfo || typeof customerInfo !== 'object') {
             // customerInfo is optional - use user data from database
             const user = await User.findById(req.user.id);
@@ -67,194 +69,181 @@ const createOrder = async (req, res) => {
             };
         }
         
-        if (!paymentMethod || typeof paymentMethod !== 'string') {
-            throw new AppError('Payment method is required', 400);
-        }
-        
         if (!totalAmount || typeof totalAmount !== 'number' || totalAmount <= 0) {
             throw new AppError('Total amount must be a positive number', 400);
         }
 
-        if (paymentMethod === 'wallet') {
-            const wallet = await Wallet.findOne({ userId: req.user.id }).session(session);
-            if (!wallet || wallet.availableBalance < totalAmount) {
-                throw new AppError('Insufficient wallet balance', 400);
-            }
-
-            // Lock funds during order processing
-            wallet.availableBalance -= totalAmount;
-            wallet.lockedAmount += totalAmount;
-            await wallet.save({ session });
-        }
-        
-        // Validate required fields (phone is only required if customerInfo was provided in request)
-        const missingFields = [];
-        
-        if (customerInfo.phone && !customerInfo.phone.trim()) {
-            missingFields.push('customerInfo.phone');
-        }
-        
-        if (!shippingAddress?.address) missingFields.push('shippingAddress.address');
-        if (!shippingAddress?.city) missingFields.push('shippingAddress.city');
-        if (!shippingAddress?.state) missingFields.push('shippingAddress.state');
-        
-        if (missingFields.length > 0) {
-            throw new AppError(`Missing required fields: ${missingFields.join(', ')}`, 400);
-        }
+        const { order } = await OrderService.createOrder({
+            user: req.user,
+            items,
+            shippingAddress,
+            paymentMethod,
+            customerInfo,
+            totalAmount,
+            couponCode
+        }, { session });
         
-        // Validate items and update stock
-        for (const item of items) {
-            const product = await Product.findById(item.product).session(session);
-            if (!product) {
-                throw new AppError(`Product not found: ${item.product}`, 400);
-            }
-            
-            if (product.stock < item.quantity) {
-                throw new AppError(`Insufficient stock for product: ${product.name}`, 400);
-            }
-            
-            // Update product stock
-            product.stock -= item.quantity;
-            await product.save({ session });
-        }
+        await session.commitTransaction();
+        session.endSession();
 
-        // Debug referralInfo
-        console.log('=== REFERRAL DEBUG ===');
-        console.log('req.user.referredBy:', JSON.stringify(req.user.referredBy, null, 2));
-        console.log('req.user.referredBy?.user:', req.user.referredBy?.user);
-        
-        // Extract referredBy correctly - handle all possible formats
-        let referredBy = null;
-        try {
-            if (req.user.referredBy) {
-                // If it's a string ObjectId
-                if (typeof req.user.referredBy === 'string') {
-                    referredBy = req.user.referredBy;
-                }
-                // If it's an object with user property
-                else if (typeof req.user.referredBy === 'object' && req.user.referredBy.user) {
-                    referredBy = req.user.referredBy.user;
-                }
-                // If it's an object with _id property
-                else if (typeof req.user.referredBy === 'object' && req.user.referredBy._id) {
-                    referredBy = req.user.referredBy._id;
-                }
-                // If it's already a valid ObjectId
-                else if (req.user.referredBy.toString && req.user.referredBy.toString().length === 24) {
-                    referredBy = req.user.referredBy.toString();
-                }
+        await OrderService.afterOrderCreated(order, req.user);
+        await CartRecoveryService.recordConversion(order, req.user);
+
+        res.status(201).json({
+            success: true,
+            data: {
+                orderId: order._id,
+                orderNumber: order.orderNumber,
+                status: order.status,
+                subtotal: order.subtotal,
+                discountAmount: order.discountAmount,
+                coupon: order.coupon,
+                shippingFee: order.shippingFee,
+                shippingZone: order.shippingZone,
+                estimatedDelivery: order.tracking?.estimatedDelivery,
+                taxAmount: order.taxAmount,
+                taxRate: order.taxRate,
+                taxInclusive: order.taxInclusive,
+                totalAmount: order.totalAmount,
+                shippingAddress: order.shippingAddress,
+                items: order.items,
+                createdAt: order.createdAt
             }
-        } catch (error) {
-            console.log('Error processing referredBy:', error);
-            referredBy = null;
-        }
+        });
+    } catch (error) {
+        await session.abortTransaction();
+        session.endSession();
         
-        console.log('Final referredBy:', referredBy);
-        console.log('=== END REFERRAL DEBUG ===');
+        console.error('Error creating order:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Error creating order',
+            details: error.details,
+            error: process.env.NODE_ENV === 'development' ? error.stack : undefined
+        });
+    }
+};
 
-        // Create order in transaction
-        try {
+// Place an order without an account; the buyer gets a signed tracking link instead
+const createGuestOrder = async (req, res, next) => {
+    const session = await mongoose.startSession();
+    let order;
 
-            // Generate order number
-            const orderNumber = 'ORD-' + Date.now().toString().slice(-8);
-            
-            // Create order
-            const order = new Order({
-                orderNumber,
-                userId: req.user.id,
-                buyer: req.user.id,
-                items: items.map(item => ({
-                    product: item.product,
-                    quantity: item.quantity,
-                    price: item.price
-                })),
-                shippingAddress: {
-                    address: shippingAddress.address,
-                    city: shippingAddress.city,
-                    state: shippingAddress.state,
-                    country: shippingAddress.country || 'Nigeria',
-                    landmark: shippingAddress.landmark,
-                    deliveryInstructions: shippingAddress.deliveryInstructions
-                },
-                paymentMethod,
-                totalAmount,
-                status: 'pending',
-                referralInfo: {
-                    referredBy: referredBy
-                },
-                statusHistory: [{
-                    status: 'pending',
-                    changedBy: req.user.id,
-                    note: 'Order created'
-                }]
-            });
+    try {
+        const { items, shippingAddress, paymentMethod, totalAmount, customerInfo, couponCode } = req.body;
 
-            await order.save({ session });
-            
-            // Apply seasonal promotions if any
-            try {
-                await SeasonalPromoService.applySeasonalPromo(order._id);
-            } catch (error) {
-                console.error('Error applying seasonal promotion:', error);
-                // Continue with order even if seasonal promo fails
-            }
+        if (!totalAmount || typeof totalAmount !== 'number' || totalAmount <= 0) {
+            throw new AppError('Total amount must be a positive number', 400);
+        }
 
-            // Process referral commission
-            try {
-                await SeasonalPromoService.updateReferralCommission(
-                    order._id, 
-                    req.user.referredBy
-                );
-            } catch (error) {
-                console.error('Error processing referral commission:', error);
-                // Continue with order even if referral processing fails
-            }
-            
-            // Assign order to a marketer
-            try {
-                await MarketerService.assignOrder(order._id);
-            } catch (error) {
-                console.error('Error assigning order to marketer:', error);
-                // Don't fail the order if marketer assignment fails
-                // The system will retry marketer assignment later
+        session.startTransaction();
+        ({ order } = await OrderService.createOrder({
+            user: null,
+            items,
+            shippingAddress,
+            paymentMethod,
+            customerInfo,
+            totalAmount,
+            couponCode
+        }, { session }));
+        await session.commitTransaction();
+    } catch (error) {
+        if (session.inTransaction()) await session.abortTransaction();
+        return next(error);
+    } finally {
+        session.endSession();
+    }
+
+    await OrderService.afterOrderCreated(order, null);
+
+    const trackingToken = OrderTrackingService.createToken(order);
+    const trackingUrl = OrderTrackingService.trackingUrl(trackingToken);
+
+    try {
+        await sendNotificationEmail({
+            to: order.customerInfo.email,
+            subject: `Order ${order.orderNumber} received`,
+            template: 'guest-order',
+            context: {
+                message: `<p>Thanks for your order, ${order.customerInfo.name}. Your order number is <strong>${order.orderNumber}</strong>.</p>` +
+                    '<p>You can follow its progress with the link below, or with your order number and this email address.</p>',
+                actionUrl: trackingUrl,
+                actionText: 'Track your order'
             }
-            
-            await session.commitTransaction();
-            session.endSession();
-
-            // TODO: Send order confirmation email/SMS with order number
-            // TODO: Send notification to admin about new order
-
-            res.status(201).json({
-                success: true,
-                data: {
-                    orderId: order._id,
-                    orderNumber: order.orderNumber,
-                    status: order.status,
-                    totalAmount: order.totalAmount,
-                    shippingAddress: order.shippingAddress,
-                    items: order.items,
-                    createdAt: order.createdAt
-                }
-            });
-        } catch (error) {
-            await session.abortTransaction();
-            session.endSession();
-            
-            console.error('Error creating order:', error);
-            res.status(error.statusCode || 500).json({
-                success: false,
-                message: error.message || 'Error creating order',
-                error: process.env.NODE_ENV === 'development' ? error.stack : undefined
-            });
+        });
+    } catch (error) {
+        console.error(`Error sending confirmation for guest order ${order.orderNumber}:`, error.message);
+    }
+
+    res.status(201).json({
+        success: true,
+        data: {
+            orderId: order._id,
+            orderNumber: order.orderNumber,
+            status: order.status,
+            subtotal: order.subtotal,
+            discountAmount: order.discountAmount,
+            shippingFee: order.shippingFee,
+            shippingZone: order.shippingZone,
+            estimatedDelivery: order.tracking?.estimatedDelivery,
+            taxAmount: order.taxAmount,
+            taxRate: order.taxRate,
+            taxInclusive: order.taxInclusive,
+            totalAmount: order.totalAmount,
+            shippingAddress: order.shippingAddress,
+            items: order.items,
+            createdAt: order.createdAt,
+            trackingToken,
+            trackingUrl
         }
+    });
+};
+
+// Public tracking through the signed link issued at guest checkout
+const trackOrderByToken = async (req, res, next) => {
+    try {
+        const order = await OrderTrackingService.findByToken(req.params.token);
+
+        res.json({
+            success: true,
+            data: OrderTrackingService.summarize(order)
+        });
     } catch (error) {
-        console.error('Error in order creation:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Error processing order',
-            error: error.message
+        next(error);
+    }
+};
+
+// Public tracking by order number plus the email the order was placed with
+const trackOrder = async (req, res, next) => {
+    try {
+        const { orderNumber, email } = req.body;
+        const order = await OrderTrackingService.findByOrderNumber({ orderNumber, email });
+
+        res.json({
+            success: true,
+            data: OrderTrackingService.summarize(order)
         });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Price a prospective order without creating it
+const getOrderQuote = async (req, res, next) => {
+    try {
+        const { items, shippingAddress, couponCode } = req.body;
+        // Guests price their cart through the public route, where coupons are not available
+        if (!req.user && couponCode) {
+            throw new AppError('Sign in to use a coupon code', 400);
+        }
+        const quote = await PricingService.buildQuote({ items, shippingAddress, couponCode, user: req.user });
+
+        res.json({
+            success: true,
+            data: quote
+        });
+    } catch (error) {
+        next(error);
     }
 };
 
@@ -273,7 +262,7 @@ const markAsDelivered = async (req, res) => {
 
         const order = await MarketerService.markAsDelivered(
             orderId,
-            req.user.id,
+            req.user,
             deliveryProof
         );
 
@@ -298,7 +287,7 @@ const confirmDelivery = async (req, res) => {
         
         const order = await MarketerService.confirmDelivery(
             orderId,
-            req.user.id
+            req.user
         );
 
         res.json({
@@ -318,10 +307,10 @@ const confirmDelivery = async (req, res) => {
 // Cancel order (user)
 const cancelOrder = async (req, res) => {
     try {
-        const { orderId } = req.params;
+        const { id } = req.params;
         const { reason } = req.body;
         
-        const order = await OrderService.cancelOrder(orderId, req.user.id, reason);
+        const order = await OrderService.cancelOrder(id, req.user, reason);
         
         res.json({
             success: true,
@@ -334,7 +323,8 @@ const cancelOrder = async (req, res) => {
     } catch (error) {
         res.status(error.statusCode || 500).json({
             success: false,
-            message: error.message || 'Error cancelling order'
+            message: error.message || 'Error cancelling order',
+            details: error.details
         });
     }
 };
@@ -345,7 +335,7 @@ const rejectOrder = async (req, res) => {
         const { orderId } = req.params;
         const { reason } = req.body;
         
-        const order = await OrderService.rejectOrder(orderId, req.user.id, reason);
+        const order = await OrderService.rejectOrder(orderId, req.user, reason);
         
         res.json({
             success: true,
@@ -359,7 +349,8 @@ const rejectOrder = async (req, res) => {
     } catch (error) {
         res.status(error.statusCode || 500).json({
             success: false,
-            message: error.message || 'Error rejecting order'
+            message: error.message || 'Error rejecting order',
+            details: error.details
         });
     }
 };
@@ -382,6 +373,83 @@ const getOrderDetails = async (req, res) => {
     }
 };
 
+const sendPdf = (res, buffer, filename) => {
+    res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `inline; filename="${filename}"`,
+        'Content-Length': buffer.length
+    });
+    res.send(buffer);
+};
+
+// Everything that happened to an order, oldest first, filtered for the viewer's role
+const getOrderTimeline = async (req, res, next) => {
+    try {
+        const timeline = await OrderTimelineService.getTimeline(req.params.id, req.user);
+
+        res.json({
+            success: true,
+            data: timeline
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Download the tax invoice for an order (buyer, assigned marketer or admin)
+const getOrderInvoice = async (req, res, next) => {
+    try {
+        const order = await OrderService.getOrderDetails(req.params.id, req.user.id, req.user.role);
+        const pdf = await generateInvoice(order);
+
+        sendPdf(res, pdf, `invoice-${order.orderNumber}.pdf`);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Download the packing slip for an order (assigned marketer or admin)
+const getOrderPackingSlip = async (req, res, next) => {
+    try {
+        const order = await OrderService.getOrderDetails(req.params.id, req.user.id, req.user.role);
+        const pdf = await generatePackingSlip(order);
+
+        sendPdf(res, pdf, `packing-slip-${order.orderNumber}.pdf`);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Copy a past order's items into the cart at current prices
+const reorder = async (req, res, next) => {
+    try {
+        const { cart, added, adjusted, dropped } = await CartService.reorder(req.user, req.params.id);
+        const copied = added.length + adjusted.length;
+
+        if (copied === 0) {
+            throw new ConflictError('None of the items from this order are available', { dropped });
+        }
+
+        res.json({
+            success: true,
+            message: `${copied} of ${copied + dropped.length} items added to your cart`,
+            data: {
+                added,
+                adjusted,
+                dropped,
+                cart: {
+                    id: cart._id,
+                    items: cart.items,
+                    totalItems: cart.totalItems,
+                    subtotal: cart.subtotal
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 // Get user's orders
 const getUserOrders = async (req, res) => {
     try {
@@ -412,6 +480,15 @@ const formatOrderResponse = (order) => {
         customerInfo: order.customerInfo,
         shippingAddress: order.shippingAddress,
         items: order.items,
+        subtotal: order.subtotal,
+        discountAmount: order.discountAmount,
+        coupon: order.coupon,
+        shippingFee: order.shippingFee,
+        shippingZone: order.shippingZone,
+        estimatedDelivery: order.tracking?.estimatedDelivery,
+        taxAmount: order.taxAmount,
+        taxRate: order.taxRate,
+        taxInclusive: order.taxInclusive,
         totalAmount: order.totalAmount,
         paymentMethod: order.paymentMethod,
         paymentStatus: order.paymentStatus,
@@ -452,6 +529,94 @@ const getOrders = async (req, res) => {
     }
 };
 
+// Search criteria shared by the admin search and CSV export
+const searchCriteria = (query) => {
+    const { q, status, paymentStatus, marketer, state, startDate, endDate, minAmount, maxAmount } = query;
+    return { q, status, paymentStatus, marketer, state, startDate, endDate, minAmount, maxAmount };
+};
+
+// Search orders with filters (admin only)
+const searchOrders = async (req, res, next) => {
+    try {
+        const result = await OrderService.searchOrders({
+            ...searchCriteria(req.query),
+            page: Math.max(parseInt(req.query.page) || 1, 1),
+            limit: Math.min(parseInt(req.query.limit) || 20, 100)
+        });
+
+        res.json({
+            success: true,
+            data: result.orders,
+            pagination: result.pagination
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Stream orders matching the search filters as CSV (admin)
+const exportOrders = async (req, res, next) => {
+    try {
+        const filename = `orders-${new Date().toISOString().slice(0, 10)}.csv`;
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        await OrderBulkService.exportCsv(searchCriteria(req.query), res);
+        res.end();
+    } catch (error) {
+        // Once rows have gone out the status can no longer change; cut the download short instead
+        if (res.headersSent) {
+            console.error('Error exporting orders:', error);
+            return res.destroy(error);
+        }
+        next(error);
+    }
+};
+
+const sendBulkReport = (res, result, action) => {
+    res.json({
+        success: result.failed === 0,
+        message: `${result.succeeded} of ${result.requested} orders ${action}`,
+        data: result
+    });
+};
+
+// Change the status of many orders (admin)
+const bulkUpdateStatus = async (req, res, next) => {
+    try {
+        const { orderIds, status, reason, note } = req.body;
+        const result = await OrderBulkService.updateStatus(orderIds, status, req.user, { reason, note });
+
+        sendBulkReport(res, result, 'updated');
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Assign or reassign many orders to a marketer (admin)
+const bulkAssignMarketer = async (req, res, next) => {
+    try {
+        const { orderIds, marketerId, reason } = req.body;
+        const result = await OrderBulkService.assign(orderIds, marketerId, req.user, { reason });
+
+        sendBulkReport(res, result, 'assigned');
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Cancel many orders with a reason (admin)
+const bulkCancelOrders = async (req, res, next) => {
+    try {
+        const { orderIds, reason } = req.body;
+        const result = await OrderBulkService.cancel(orderIds, req.user, reason);
+
+        sendBulkReport(res, result, 'cancelled');
+    } catch (error) {
+        next(error);
+    }
+};
+
 // Get single order
 const getOrder = async (req, res) => {
     try {
@@ -481,41 +646,18 @@ const getOrder = async (req, res) => {
 };
 
 // Update order status
-const updateOrderStatus = async (req, res) => {
+const updateOrderStatus = async (req, res, next) => {
     try {
-        const { status } = req.body;
-        const allowedStatuses = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
-        
-        if (!allowedStatuses.includes(status)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid status'
-            });
-        }
+        const { status, reason, note } = req.body;
         
-        const order = await Order.findByIdAndUpdate(
-            req.params.id,
-            { status },
-            { new: true, runValidators: true }
-        );
-        
-        if (!order) {
-            return res.status(404).json({
-                success: false,
-                message: 'Order not found'
-            });
-        }
+        const order = await OrderService.updateOrderStatus(req.params.id, status, req.user, { reason, note });
         
         res.json({
             success: true,
             order
         });
     } catch (error) {
-        console.error('Error updating order status:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Error updating order status'
-        });
+        next(error);
     }
 };
 
@@ -576,6 +718,7 @@ const getOrderStats = async (req, res) => {
             deliveredOrders,
             cancelledOrders,
             totalRevenue,
+            taxTotals,
             monthlyData
         ] = await Promise.all([
             Order.countDocuments(),
@@ -588,6 +731,10 @@ const getOrderStats = async (req, res) => {
                 { $match: { status: 'delivered' } },
                 { $group: { _id: null, total: { $sum: '$totalAmount' } } }
             ]),
+            Order.aggregate([
+                { $match: { status: { $nin: ['cancelled', 'rejected', 'abandoned'] } } },
+                { $group: { _id: null, total: { $sum: '$taxAmount' } } }
+            ]),
             Order.aggregate([
                 {
                     $match: {
@@ -598,7 +745,8 @@ const getOrderStats = async (req, res) => {
                     $group: {
                         _id: { $dateToString: { format: '%Y-%m', date: '$createdAt' } },
                         totalSales: { $sum: 1 },
-                        totalRevenue: { $sum: '$totalAmount' }
+                        totalRevenue: { $sum: '$totalAmount' },
+                        totalTax: { $sum: '$taxAmount' }
                     }
                 },
                 { $sort: { _id: 1 } }
@@ -615,6 +763,7 @@ const getOrderStats = async (req, res) => {
                 deliveredOrders,
                 cancelledOrders,
                 totalRevenue: totalRevenue[0]?.total || 0,
+                totalTax: taxTotals[0]?.total || 0,
                 monthlyData
             }
         });
@@ -627,6 +776,20 @@ const getOrderStats = async (req, res) => {
     }
 };
 
+// Monthly VAT summary (admin only)
+const getTaxSummary = async (req, res, next) => {
+    try {
+        const summary = await TaxService.getMonthlySummary({ year: req.query.year });
+
+        res.json({
+            success: true,
+            data: summary
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 // Run marketer reassignment check (to be called by a scheduled job)
 const checkAndReassignMarketers = async () => {
     try {
@@ -799,15 +962,29 @@ const getMarketerOrders = async (req, res) => {
 
 export {
     createOrder,
+    createGuestOrder,
+    trackOrderByToken,
+    trackOrder,
+    getOrderQuote,
     cancelOrder,
     rejectOrder,
     getOrderDetails,
+    getOrderTimeline,
+    getOrderInvoice,
+    getOrderPackingSlip,
+    reorder,
     getOrders,
+    searchOrders,
+    exportOrders,
+    bulkUpdateStatus,
+    bulkAssignMarketer,
+    bulkCancelOrders,
     getOrder,
     updateOrderStatus,
     deleteOrder,
     getUserOrders,
     getOrderStats,
+    getTaxSummary,
     markAsDelivered,
     confirmDelivery,
     checkAndReassignMarketers,
@@ -1,4 +1,5 @@
-// import PaymentService from '../services/paymentService.js';
+import PaymentService from '../services/paymentService.js';
+import PaymentEventService from '../services/paymentEventService.js';
 import { AppError } from '../middleware/errorHandler.js';
 
 export const initializePayment = async (req, res, next) => {
@@ -6,23 +7,19 @@ export const initializePayment = async (req, res, next) => {
         const { orderId } = req.params;
         const { amount, email, callbackUrl } = req.body;
 
-        if (!orderId || !amount || !email) {
+        if (!orderId) {
             throw new AppError('Missing required parameters', 400);
         }
 
-        const { paymentUrl, paymentReference } = await PaymentService.initializePayment(
-            orderId,
+        const result = await PaymentService.initializePayment(orderId, req.user, {
             amount,
             email,
-            callbackUrl || `${process.env.FRONTEND_URL}/payment/callback`
-        );
+            callbackUrl: callbackUrl || `${process.env.FRONTEND_URL}/payment/callback`
+        });
 
         res.status(200).json({
             success: true,
-            data: {
-                paymentUrl,
-                paymentReference
-            }
+            data: result
         });
 
     } catch (error) {
@@ -33,7 +30,7 @@ export const initializePayment = async (req, res, next) => {
 export const verifyPayment = async (req, res, next) => {
     try {
         const { reference } = req.params;
-        const result = await PaymentService.verifyPayment(reference);
+        const result = await PaymentService.verifyPayment(reference, req.user);
         
         res.status(200).json({
             success: true,
@@ -47,37 +44,30 @@ export const verifyPayment = async (req, res, next) => {
 
 export const webhookHandler = async (req, res, next) => {
     try {
-        // Verify webhook signature here (recommended)
-        // const signature = req.headers['x-wema-signature'];
-        // verifySignature(signature, req.rawBody);
-        
-        const result = await PaymentService.handleWebhook(req.body);
+        // The signature covers the raw body captured by express.json in index.js
+        const signature = req.headers['x-wema-signature'];
+        if (!signature) {
+            return res.status(401).json({ status: 'error', message: 'No signature provided' });
+        }
+
+        const result = await PaymentEventService.receive('wema', req.rawBody, req.headers);
         res.status(200).json(result);
     } catch (error) {
         next(error);
     }
 };
 
-// Add this to handle payment verification from frontend
-// export const checkPaymentStatus = async (req, res, next) => {
-//     try {
-//         const { reference } = req.params;
-//         const order = await Order.findOne({ 'payment.reference': reference });
-        
-//         if (!order) {
-//             throw new AppError('Order not found', 404);
-//         }
+// Lets the frontend poll the stored payment status without calling Wema
+export const checkPaymentStatus = async (req, res, next) => {
+    try {
+        const { reference } = req.params;
+        const result = await PaymentService.getPaymentStatus(reference, req.user);
 
-//         res.status(200).json({
-//             success: true,
-//             data: {
-//                 status: order.payment.status,
-//                 reference: order.payment.reference,
-//                 amount: order.payment.amount,
-//                 orderId: order._id
-//             }
-//         });
-//     } catch (error) {
-//         next(error);
-//     }
-// };
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,63 @@
+import PaymentEventService from '../services/paymentEventService.js';
+import PaymentEvent from '../models/PaymentEvent.js';
+import { NotFoundError } from '../middleware/errorHandler.js';
+
+/**
+ * @desc    List inbound payment webhook events
+ * @route   GET /api/admin/payment-events?provider=&status=&reference=
+ * @access  Private/Admin
+ */
+export const getPaymentEvents = async (req, res, next) => {
+  try {
+    const { provider, status, reference, page, limit } = req.query;
+    const result = await PaymentEventService.listEvents({ provider, status, reference, page, limit });
+
+    res.status(200).json({
+      success: true,
+      data: result.events,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a payment webhook event with its payload
+ * @route   GET /api/admin/payment-events/:id
+ * @access  Private/Admin
+ */
+export const getPaymentEvent = async (req, res, next) => {
+  try {
+    const event = await PaymentEvent.findById(req.params.id);
+    if (!event) {
+      throw new NotFoundError('Payment event not found');
+    }
+
+    res.status(200).json({
+      success: true,
+      data: event
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Process a failed payment webhook event again
+ * @route   POST /api/admin/payment-events/:id/replay
+ * @access  Private/Admin
+ */
+export const replayPaymentEvent = async (req, res, next) => {
+  try {
+    const event = await PaymentEventService.replay(req.params.id, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: event.status === 'failed' ? `Replay failed: ${event.lastError}` : `Event ${event.status}`,
+      data: event
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,139 @@
+import PaymentReconciliationService from '../services/paymentReconciliationService.js';
+import PaymentService from '../services/paymentService.js';
+import WalletTopupService from '../services/walletTopupService.js';
+
+/**
+ * @desc    Re-verify stuck pending payments now instead of waiting for the scheduler
+ * @route   POST /api/admin/payments/reconcile
+ * @access  Private/Admin
+ */
+export const reconcilePendingPayments = async (req, res, next) => {
+  try {
+    const result = await PaymentReconciliationService.reconcilePending();
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List daily payment reconciliation reports
+ * @route   GET /api/admin/reports/payment-reconciliation?startDate=&endDate=&provider=&status=
+ * @access  Private/Admin
+ */
+export const getPaymentReconciliationReports = async (req, res, next) => {
+  try {
+    const { startDate, endDate, provider, status } = req.query;
+    const reports = await PaymentReconciliationService.listReports({ startDate, endDate, provider, status });
+
+    res.status(200).json({
+      success: true,
+      count: reports.length,
+      data: reports
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Build (or rebuild) the reconciliation report for a day
+ * @route   POST /api/admin/reports/payment-reconciliation/:date
+ * @access  Private/Admin
+ */
+export const buildPaymentReconciliationReport = async (req, res, next) => {
+  try {
+    const reports = await PaymentReconciliationService.buildDailyReport(req.params.date);
+
+    res.status(200).json({
+      success: true,
+      data: reports
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List orders whose payment amount or currency did not match and await review
+ * @route   GET /api/admin/payments/mismatches?page=&limit=
+ * @access  Private/Admin
+ */
+export const getPaymentMismatches = async (req, res, next) => {
+  try {
+    const { page, limit } = req.query;
+    const { orders, pagination } = await PaymentService.listMismatches({ page, limit });
+
+    res.status(200).json({
+      success: true,
+      data: orders,
+      pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Accept or reject a mismatched payment
+ * @route   POST /api/admin/payments/:orderId/resolve
+ * @access  Private/Admin
+ */
+export const resolvePaymentMismatch = async (req, res, next) => {
+  try {
+    const { action, note } = req.body;
+    const result = await PaymentService.resolveMismatch(req.params.orderId, req.user, { action, note });
+
+    res.status(200).json({
+      success: true,
+      message: action === 'accept' ? 'Payment accepted' : 'Payment rejected',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List wallet top-ups whose charge did not match the request and await review
+ * @route   GET /api/admin/payments/topups/reviews?page=&limit=
+ * @access  Private/Admin
+ */
+export const getTopupReviews = async (req, res, next) => {
+  try {
+    const { page, limit } = req.query;
+    const { topups, pagination } = await WalletTopupService.listReviews({ page, limit });
+
+    res.status(200).json({
+      success: true,
+      data: topups,
+      pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Credit a flagged top-up with the amount received, or refund its charge
+ * @route   POST /api/admin/payments/topups/:reference/resolve
+ * @access  Private/Admin
+ */
+export const resolveTopupReview = async (req, res, next) => {
+  try {
+    const { action, note } = req.body;
+    const result = await WalletTopupService.resolveReview(req.params.reference, req.user, { action, note });
+
+    res.status(200).json({
+      success: true,
+      message: action === 'accept' ? 'Top-up credited' : 'Top-up refunded',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -178,6 +178,7 @@ const createProduct = async (req, res) => {
             description,
             price,
             stock = 0,
+            weight = 0,
             category,
             isFeatured = false,
             discount = 0,
@@ -254,6 +255,7 @@ const createProduct = async (req, res) => {
             description: description.trim(),
             price: priceValue,
             stock: Math.max(0, parseInt(stock, 10) || 0),
+            weight: Math.max(0, parseFloat(weight) || 0),
             category: category.trim(),
             images,
             isFeatured: isFeatured === 'true' || isFeatured === true,
@@ -448,7 +450,7 @@ const getProduct = async (req, res) => {
 const updateProduct = async (req, res) => {
     try {
         const updates = Object.keys(req.body);
-        const allowedUpdates = ['name', 'description', 'price', 'stock', 'category', 'images', 'isFeatured', 'specifications'];
+        const allowedUpdates = ['name', 'description', 'price', 'stock', 'weight', 'category', 'images', 'isFeatured', 'specifications'];
         const isValidOperation = updates.every(update => allowedUpdates.includes(update));
 
         if (!isValidOperation) {
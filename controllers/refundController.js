@@ -0,0 +1,64 @@
+import RefundService from '../services/refundService.js';
+
+/**
+ * @desc    Refund an order in full or in part
+ * @route   POST /api/admin/orders/:id/refunds
+ * @access  Private/Admin
+ */
+export const createRefund = async (req, res, next) => {
+  try {
+    const { amount, method, reason } = req.body;
+    const refund = await RefundService.createRefund({
+      orderId: req.params.id,
+      amount,
+      method,
+      reason,
+      initiatedBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: refund.status === 'completed' ? 'Refund completed' : 'Refund submitted to the payment provider',
+      data: refund
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get refunds for an order
+ * @route   GET /api/admin/orders/:id/refunds
+ * @access  Private/Admin
+ */
+export const getOrderRefunds = async (req, res, next) => {
+  try {
+    const refunds = await RefundService.getOrderRefunds(req.params.id);
+
+    res.json({
+      success: true,
+      count: refunds.length,
+      data: refunds
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Refresh a refund's status from the payment provider
+ * @route   POST /api/admin/refunds/:id/reconcile
+ * @access  Private/Admin
+ */
+export const reconcileRefund = async (req, res, next) => {
+  try {
+    const refund = await RefundService.reconcile(req.params.id);
+
+    res.json({
+      success: true,
+      data: refund
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,206 @@
+import Order from '../models/Order.js';
+import ReturnService from '../services/returnService.js';
+import { getFileUrl } from '../middleware/upload.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+const parsePagination = (query) => ({
+  page: Math.max(parseInt(query.page) || 1, 1),
+  limit: Math.min(parseInt(query.limit) || 20, 100)
+});
+
+/**
+ * @desc    Request a return for items of a delivered order
+ * @route   POST /api/returns
+ * @access  Private
+ */
+export const createReturn = async (req, res, next) => {
+  try {
+    let { orderId, items, photos = [] } = req.body;
+
+    // Multipart requests send structured fields as JSON strings
+    try {
+      if (typeof items === 'string') items = JSON.parse(items);
+      if (typeof photos === 'string') photos = photos.startsWith('[') ? JSON.parse(photos) : [photos];
+    } catch (error) {
+      return next(new AppError('items and photos must be valid JSON', 400));
+    }
+
+    const uploaded = (req.files || []).map(file => getFileUrl(file.filename));
+
+    const returnRequest = await ReturnService.requestReturn(req.user, orderId, {
+      items,
+      photos: [...photos, ...uploaded]
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Return request submitted',
+      data: returnRequest
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the current user's return requests
+ * @route   GET /api/returns/my
+ * @access  Private
+ */
+export const getMyReturns = async (req, res, next) => {
+  try {
+    const result = await ReturnService.listReturns({ customer: req.user._id }, parsePagination(req.query));
+
+    res.json({
+      success: true,
+      data: result.returns,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get approved returns awaiting pickup on the marketer's orders
+ * @route   GET /api/returns/pickups
+ * @access  Private/Marketer
+ */
+export const getPickups = async (req, res, next) => {
+  try {
+    const orderIds = await Order.find({ marketer: req.user._id }).distinct('_id');
+    const result = await ReturnService.listReturns(
+      { order: { $in: orderIds }, status: req.query.status || 'approved' },
+      parsePagination(req.query)
+    );
+
+    res.json({
+      success: true,
+      data: result.returns,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get all return requests
+ * @route   GET /api/returns
+ * @access  Private/Admin
+ */
+export const getReturns = async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.orderId) filter.order = req.query.orderId;
+
+    const result = await ReturnService.listReturns(filter, parsePagination(req.query));
+
+    res.json({
+      success: true,
+      data: result.returns,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a return request
+ * @route   GET /api/returns/:id
+ * @access  Private
+ */
+export const getReturn = async (req, res, next) => {
+  try {
+    const returnRequest = await ReturnService.getReturn(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      data: returnRequest
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Approve or reject a return request
+ * @route   PATCH /api/returns/:id/review
+ * @access  Private/Admin
+ */
+export const reviewReturn = async (req, res, next) => {
+  try {
+    const { decision, refundMethod, note, reason } = req.body;
+    const returnRequest = await ReturnService.reviewReturn(req.params.id, req.user, {
+      decision,
+      refundMethod,
+      note,
+      reason
+    });
+
+    res.json({
+      success: true,
+      message: `Return request ${returnRequest.status}`,
+      data: returnRequest
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Record pickup of returned items, restock and refund
+ * @route   PATCH /api/returns/:id/pickup
+ * @access  Private/Marketer
+ */
+export const recordPickup = async (req, res, next) => {
+  try {
+    const returnRequest = await ReturnService.recordPickup(req.params.id, req.user, { note: req.body.note });
+
+    res.json({
+      success: true,
+      message: {
+        completed: 'Items picked up and refund completed',
+        pending: 'Items picked up; refund is being processed',
+        failed: `Items picked up but the refund failed (${returnRequest.refundFailureReason}); an admin will retry it`
+      }[returnRequest.refundStatus],
+      data: returnRequest
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Retry a refund that failed after pickup
+ * @route   POST /api/returns/:id/refund
+ * @access  Private/Admin
+ */
+export const retryRefund = async (req, res, next) => {
+  try {
+    const returnRequest = await ReturnService.retryRefund(req.params.id, req.user);
+
+    res.json({
+      success: returnRequest.refundStatus !== 'failed',
+      message: returnRequest.refundStatus === 'failed'
+        ? `Refund failed: ${returnRequest.refundFailureReason}`
+        : `Refund ${returnRequest.refundStatus}`,
+      data: returnRequest
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  createReturn,
+  getMyReturns,
+  getPickups,
+  getReturns,
+  getReturn,
+  reviewReturn,
+  recordPickup,
+  retryRefund
+};
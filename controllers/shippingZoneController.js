@@ -0,0 +1,95 @@
+import ShippingService from '../services/shippingService.js';
+
+/**
+ * @desc    List shipping zones
+ * @route   GET /api/admin/shipping-zones
+ * @access  Private/Admin
+ */
+export const getShippingZones = async (req, res, next) => {
+  try {
+    const active = req.query.active === undefined ? undefined : req.query.active === 'true';
+    const zones = await ShippingService.listZones({ active });
+
+    res.json({
+      success: true,
+      count: zones.length,
+      data: zones
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a shipping zone
+ * @route   GET /api/admin/shipping-zones/:id
+ * @access  Private/Admin
+ */
+export const getShippingZone = async (req, res, next) => {
+  try {
+    const zone = await ShippingService.getZone(req.params.id);
+
+    res.json({
+      success: true,
+      data: zone
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a shipping zone
+ * @route   POST /api/admin/shipping-zones
+ * @access  Private/Admin
+ */
+export const createShippingZone = async (req, res, next) => {
+  try {
+    const zone = await ShippingService.createZone(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Shipping zone created',
+      data: zone
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a shipping zone
+ * @route   PUT /api/admin/shipping-zones/:id
+ * @access  Private/Admin
+ */
+export const updateShippingZone = async (req, res, next) => {
+  try {
+    const zone = await ShippingService.updateZone(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Shipping zone updated',
+      data: zone
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a shipping zone
+ * @route   DELETE /api/admin/shipping-zones/:id
+ * @access  Private/Admin
+ */
+export const deleteShippingZone = async (req, res, next) => {
+  try {
+    await ShippingService.deleteZone(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Shipping zone deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,140 @@
+import SubscriptionService from '../services/subscriptionService.js';
+
+/**
+ * @desc    Start a recurring order
+ * @route   POST /api/subscriptions
+ * @access  Private
+ */
+export const createSubscription = async (req, res, next) => {
+  try {
+    const { items, interval, shippingAddress, paymentMethod, startDate } = req.body;
+    const subscription = await SubscriptionService.createSubscription(req.user, {
+      items,
+      interval,
+      shippingAddress,
+      paymentMethod,
+      startDate
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Subscription created',
+      data: subscription
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the current user's subscriptions
+ * @route   GET /api/subscriptions
+ * @access  Private
+ */
+export const getMySubscriptions = async (req, res, next) => {
+  try {
+    const subscriptions = await SubscriptionService.listSubscriptions(req.user);
+
+    res.json({
+      success: true,
+      count: subscriptions.length,
+      data: subscriptions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a subscription
+ * @route   GET /api/subscriptions/:id
+ * @access  Private
+ */
+export const getSubscription = async (req, res, next) => {
+  try {
+    const subscription = await SubscriptionService.getSubscription(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      data: subscription
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Pause a subscription
+ * @route   PATCH /api/subscriptions/:id/pause
+ * @access  Private
+ */
+export const pauseSubscription = async (req, res, next) => {
+  try {
+    const subscription = await SubscriptionService.pause(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      message: 'Subscription paused',
+      data: subscription
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Resume a paused subscription
+ * @route   PATCH /api/subscriptions/:id/resume
+ * @access  Private
+ */
+export const resumeSubscription = async (req, res, next) => {
+  try {
+    const subscription = await SubscriptionService.resume(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      message: 'Subscription resumed',
+      data: subscription
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Skip the next delivery
+ * @route   PATCH /api/subscriptions/:id/skip
+ * @access  Private
+ */
+export const skipSubscription = async (req, res, next) => {
+  try {
+    const subscription = await SubscriptionService.skip(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      message: `Next delivery moved to ${subscription.nextRunAt.toISOString().slice(0, 10)}`,
+      data: subscription
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Cancel a subscription
+ * @route   PATCH /api/subscriptions/:id/cancel
+ * @access  Private
+ */
+export const cancelSubscription = async (req, res, next) => {
+  try {
+    const subscription = await SubscriptionService.cancel(req.params.id, req.user, req.body.reason);
+
+    res.json({
+      success: true,
+      message: 'Subscription cancelled',
+      data: subscription
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,6 +1,8 @@
+import mongoose from 'mongoose';
 import Wallet from '../models/Wallet.js';
 import WalletTransaction from '../models/WalletTransaction.js';
 import { v4 as uuidv4 } from 'uuid';
+import WalletTopupService from '../services/walletTopupService.js';
 
 // Get wallet balance
 export const getWalletBalance = async (req, res) => {
@@ -178,51 +180,35 @@ export const requestWithdrawal = async (req, res) => {
     }
 };
 
-// Add funds to wallet (for admin or system use)
-export const addFunds = async (userId, amount, type = 'credit', description = 'Funds added', metadata = {}) => {
-    const session = await mongoose.startSession();
-    session.startTransaction();
-
+// Start a wallet top-up paid through Flutterwave
+export const initializeTopup = async (req, res, next) => {
     try {
-        const wallet = await Wallet.findOneAndUpdate(
-            { userId },
-            {
-                $inc: {
-                    availableBalance: amount,
-                    totalEarned: amount
-                },
-                lastUpdated: new Date()
-            },
-            { new: true, upsert: true, session }
-        );
-
-        const transaction = new WalletTransaction({
-            walletId: wallet._id,
-            userId,
+        const { amount, callbackUrl } = req.body;
+        const result = await WalletTopupService.initializeTopup(req.user, {
             amount,
-            type,
-            status: 'completed',
-            reference: `CR-${uuidv4()}`,
-            description,
-            metadata,
-            availableBalance: wallet.availableBalance,
-            lockedAmount: wallet.lockedAmount
+            callbackUrl: callbackUrl || `${process.env.FRONTEND_URL}/wallet/topup/callback`
         });
 
-        await transaction.save({ session });
-        await session.commitTransaction();
-        
-        return {
+        res.status(201).json({
             success: true,
-            wallet,
-            transaction
-        };
+            data: result
+        });
     } catch (error) {
-        await session.abortTransaction();
-        console.error('Error adding funds to wallet:', error);
-        throw error;
-    } finally {
-        session.endSession();
+        next(error);
+    }
+};
+
+// Verify a top-up after the Flutterwave redirect; credits the wallet if the payment went through
+export const verifyTopup = async (req, res, next) => {
+    try {
+        const result = await WalletTopupService.verifyTopup(req.params.reference, req.user);
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        next(error);
     }
 };
 
@@ -70,13 +70,20 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed'],
   optionsSuccessStatus: 204,
   maxAge: 86400 // Cache preflight for 24 hours
 };
 
 // ✅ Apply middleware - ORDER MATTERS!
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Payment webhooks are signed over the exact bytes received, so keep them
+  verify: (req, res, buf) => {
+    if (req.originalUrl.includes('/webhook')) req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(cors(corsOptions)); // Use the safe CORS options
 
@@ -254,10 +261,14 @@ import testAuthRoutes from './routes/testAuth.js';
 import walletRoutes from './routes/wallet.js';
 import paymentRoutes from './routes/payment.js';
 import flutterwaveRoutes from './routes/flutterwave.js';
+import checkoutRoutes from './routes/checkout.js';
+import returnRoutes from './routes/returns.js';
+import subscriptionRoutes from './routes/subscriptions.js';
 
 app.use('/api/auth', authRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/flutterwave', flutterwaveRoutes);
+app.use('/api/checkout', checkoutRoutes);
 app.use('/api/cart', cartRoutes);
 app.use('/api/test-auth', testAuthRoutes);
 app.use('/api/products', productRoutes);
@@ -273,6 +284,8 @@ app.use('/api/deliveries', deliveryRoutes);
 app.use('/api/commission/admin', commissionAdminRoutes);
 app.use('/api/marketer', marketerRoutes);
 app.use('/api/withdrawals', withdrawalRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
 // Removed duplicate delivery route
 
 setupScheduledTasks();
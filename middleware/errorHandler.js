@@ -35,6 +35,13 @@ class NotFoundError extends AppError {
     }
 }
 
+class ConflictError extends AppError {
+    constructor(message = 'Request conflicts with the current state of the resource', details) {
+        super(message, 409);
+        this.details = details;
+    }
+}
+
 class DatabaseError extends AppError {
     constructor(message = 'Database operation failed') {
         super(message, 500);
@@ -84,6 +91,7 @@ const sendErrorDev = (err, res) => {
         message: err.message,
         stack: process.env.NODE_ENV === 'development' ? err.stack : undefined,
         errors: err.errors || undefined,
+        details: err.details || undefined,
         isOperational: err.isOperational
     };
     
@@ -111,7 +119,8 @@ const sendErrorProd = (err, res) => {
                     success: false,
                     status: err.status,
                     message: err.message,
-                    errors: err.errors || undefined
+                    errors: err.errors || undefined,
+                    details: err.details || undefined
                 })
             });
         } else {
@@ -119,7 +128,8 @@ const sendErrorProd = (err, res) => {
                 success: false,
                 status: err.status,
                 message: err.message,
-                errors: err.errors || undefined
+                errors: err.errors || undefined,
+                details: err.details || undefined
             });
         }
     } 
@@ -237,6 +247,7 @@ export {
     AuthenticationError,
     AuthorizationError,
     NotFoundError,
+    ConflictError,
     DatabaseError,
     handleMongooseError,
     handleJWTError,
@@ -0,0 +1,138 @@
+// middleware/idempotency.js
+import crypto from 'crypto';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+import config from '../config/environment.js';
+import { AppError, ConflictError } from './errorHandler.js';
+
+const MAX_KEY_LENGTH = 255;
+// A key left in 'processing' this long belongs to a request that died mid-flight
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+// Serialize with sorted keys so the same body always hashes the same way
+const stableStringify = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+};
+
+export const hashRequestBody = (body) => {
+    return crypto.createHash('sha256').update(stableStringify(body || {})).digest('hex');
+};
+
+/**
+ * What a request whose key is already stored gets: the stored response ('replay'), a 409 for
+ * a different body under the same key ('conflict') or for a first request still running
+ * ('in_flight'), or a retry prompt when the record went away meanwhile ('released').
+ */
+export const classifyExisting = (existing, requestHash) => {
+    if (!existing) return 'released';
+    if (existing.requestHash !== requestHash) return 'conflict';
+    if (existing.status === 'completed') return 'replay';
+    return 'in_flight';
+};
+
+// Server errors are not final; the key is freed so the client can retry
+export const releasesKey = (statusCode) => statusCode >= 500;
+
+// Guests have no account, so their keys are scoped to the email they check out with
+const guestOwner = (req) => {
+    const email = String(req.body?.customerInfo?.email || '').trim().toLowerCase();
+    return email ? { guest: email } : null;
+};
+
+/**
+ * Replay the first response for a repeated Idempotency-Key.
+ * Must run after `authenticate` so keys are scoped to the user; with `allowGuests`, requests
+ * without a user are scoped to customerInfo.email instead.
+ * Requests without the header are passed through untouched.
+ * Only responses sent with `res.json` are stored for replay; a guarded route that responds any
+ * other way has its key released when the response finishes, so a retry runs it again.
+ */
+export const idempotency = ({ ttlHours = config.IDEMPOTENCY_TTL_HOURS, allowGuests = false } = {}) => {
+    return async (req, res, next) => {
+        const key = req.get('Idempotency-Key');
+        const owner = req.user ? { userId: req.user._id } : allowGuests ? guestOwner(req) : null;
+        if (!key || !owner) {
+            return next();
+        }
+
+        if (key.length > MAX_KEY_LENGTH) {
+            return next(new AppError(`Idempotency-Key must not exceed ${MAX_KEY_LENGTH} characters`, 400));
+        }
+
+        const scope = {
+            ...owner,
+            key,
+            route: `${req.method} ${req.baseUrl}${req.path}`
+        };
+        const requestHash = hashRequestBody(req.body);
+
+        let record;
+        try {
+            record = await IdempotencyKey.create({
+                ...scope,
+                requestHash,
+                expiresAt: new Date(Date.now() + ttlHours * 60 * 60 * 1000)
+            });
+        } catch (error) {
+            if (error.code !== 11000) {
+                return next(error);
+            }
+
+            const existing = await IdempotencyKey.findOne(scope);
+            switch (classifyExisting(existing, requestHash)) {
+                case 'released':
+                    return next(new ConflictError('Idempotency-Key is being released, please retry'));
+                case 'conflict':
+                    return next(new ConflictError('Idempotency-Key has already been used with a different request body'));
+                case 'replay':
+                    res.set('Idempotent-Replayed', 'true');
+                    return res.status(existing.responseStatus).json(existing.responseBody);
+            }
+
+            record = await IdempotencyKey.findOneAndUpdate(
+                { _id: existing._id, status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) } },
+                { $set: { updatedAt: new Date() } },
+                { new: true, timestamps: false }
+            );
+            if (!record) {
+                return next(new ConflictError('A request with this Idempotency-Key is still being processed'));
+            }
+        }
+
+        // Persist the response before it is sent so an immediate retry can replay it
+        let stored = false;
+        const sendJson = res.json.bind(res);
+        res.json = (body) => {
+            stored = true;
+            const persist = releasesKey(res.statusCode)
+                ? IdempotencyKey.deleteOne({ _id: record._id })
+                : IdempotencyKey.updateOne(
+                    { _id: record._id },
+                    { status: 'completed', responseStatus: res.statusCode, responseBody: body }
+                );
+
+            persist
+                .catch(error => console.error('Error saving idempotent response:', error))
+                .finally(() => sendJson(body));
+
+            return res;
+        };
+
+        // A response that bypassed res.json cannot be replayed; free the key instead of leaving it locked
+        res.on('finish', () => {
+            if (stored) return;
+            console.warn(`Idempotent route ${scope.route} responded without res.json; releasing its key`);
+            IdempotencyKey.deleteOne({ _id: record._id, status: 'processing' })
+                .catch(error => console.error('Error releasing idempotency key:', error));
+        });
+
+        next();
+    };
+};
+
+export default idempotency;
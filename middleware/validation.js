@@ -338,8 +338,14 @@ const validateOrderStatusUpdate = [
     
     body('status')
         .trim()
-        .isIn(['pending', 'processing', 'shipped', 'delivered', 'cancelled'])
-        .withMessage('Invalid order status')
+        .isIn(['pending', 'processing', 'assigned', 'in_transit', 'delivered', 'completed', 'cancelled', 'rejected'])
+        .withMessage('Invalid order status'),
+
+    body('reason')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Reason cannot exceed 500 characters')
 ];
 
 
@@ -42,6 +42,20 @@ const cartSchema = new mongoose.Schema({
     unique: true
   },
   items: [cartItemSchema],
+  // Discount code applied with POST /api/cart/coupon, redeemed at checkout
+  couponCode: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  // Abandoned-cart reminders sent since the items last changed
+  reminders: {
+    count: {
+      type: Number,
+      default: 0
+    },
+    lastSentAt: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -68,9 +82,16 @@ cartSchema.virtual('subtotal').get(function() {
 // Update the updatedAt timestamp before saving
 cartSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
+  // A changed cart starts a fresh reminder cycle
+  if (this.isModified('items')) {
+    this.reminders = { count: 0 };
+  }
   next();
 });
 
+// Abandoned-cart job scans idle carts
+cartSchema.index({ updatedAt: 1, 'reminders.count': 1 });
+
 // Create index for faster querying
 cartSchema.index({ user: 1 }, {
    unique: true,
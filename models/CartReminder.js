@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// One abandoned-cart reminder email; marked converted when the buyer orders after receiving it
+const cartReminderSchema = new mongoose.Schema({
+    cart: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Cart',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // 1 for the first reminder after the cart went idle, 2 for the next, ...
+    sequence: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    itemCount: Number,
+    cartValue: Number,
+    sentAt: {
+        type: Date,
+        default: Date.now
+    },
+    convertedOrder: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    },
+    convertedAt: Date,
+    orderTotal: Number
+}, {
+    timestamps: true
+});
+
+cartReminderSchema.index({ user: 1, sentAt: -1 });
+cartReminderSchema.index({ sentAt: 1, sequence: 1 });
+cartReminderSchema.index({ convertedOrder: 1 }, { unique: true, partialFilterExpression: { convertedOrder: { $type: 'objectId' } } });
+
+const CartReminder = mongoose.model('CartReminder', cartReminderSchema);
+
+export default CartReminder;
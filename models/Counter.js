@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+
+// Named sequences incremented atomically with $inc, e.g. "order:2026-10" or "rma:2026-10"
+const counterSchema = new mongoose.Schema({
+    _id: {
+        type: String,
+        required: true
+    },
+    seq: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+const couponSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: [true, 'Coupon code is required'],
+        unique: true,
+        uppercase: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    type: {
+        type: String,
+        enum: ['percentage', 'fixed', 'free_shipping'],
+        required: true
+    },
+    // Percent off for percentage coupons, NGN off for fixed coupons; unused for free_shipping
+    value: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Caps a percentage discount, e.g. 10% off up to NGN 5,000
+    maxDiscount: {
+        type: Number,
+        min: 0
+    },
+    // Eligible merchandise total needed before the coupon applies
+    minOrderAmount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    startsAt: Date,
+    expiresAt: Date,
+    // Total redemptions allowed across all users; empty means unlimited
+    usageLimit: {
+        type: Number,
+        min: 1
+    },
+    perUserLimit: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    usedCount: {
+        type: Number,
+        default: 0
+    },
+    // When set, only these products / categories are discounted
+    products: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+    }],
+    categories: [{
+        type: String,
+        trim: true
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+couponSchema.index({ isActive: 1, expiresAt: 1 });
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+export default Coupon;
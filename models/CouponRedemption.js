@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// One use of a coupon on an order; released again if the order is cancelled
+const couponRedemptionSchema = new mongoose.Schema({
+    coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon',
+        required: true
+    },
+    code: {
+        type: String,
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+    },
+    discount: {
+        type: Number,
+        default: 0
+    },
+    status: {
+        type: String,
+        enum: ['redeemed', 'released'],
+        default: 'redeemed'
+    },
+    releasedAt: Date
+}, {
+    timestamps: true
+});
+
+couponRedemptionSchema.index({ coupon: 1, user: 1, status: 1 });
+couponRedemptionSchema.index({ order: 1 }, { unique: true });
+
+const CouponRedemption = mongoose.model('CouponRedemption', couponRedemptionSchema);
+
+export default CouponRedemption;
@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+// Stores the first response for a user (or guest email) + Idempotency-Key + route so retries can be replayed
+const idempotencyKeySchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: function() { return !this.guest; }
+    },
+    // Lower-cased checkout email for guest requests
+    guest: {
+        type: String
+    },
+    route: {
+        type: String,
+        required: true
+    },
+    requestHash: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['processing', 'completed'],
+        default: 'processing'
+    },
+    responseStatus: {
+        type: Number
+    },
+    responseBody: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+idempotencyKeySchema.index({ userId: 1, guest: 1, key: 1, route: 1 }, { unique: true });
+// Let MongoDB purge keys once they expire
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+export default IdempotencyKey;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { roundMoney } from '../services/pricingService.js';
 const { Schema, model } = mongoose;
 
 // Define status history schema
@@ -6,7 +7,7 @@ const statusHistorySchema = new Schema({
     status: {
         type: String,
         required: true,
-        enum: ['pending', 'processing', 'assigned', 'in_transit', 'delivered', 'completed', 'cancelled', 'rejected']
+        enum: ['pending', 'processing', 'assigned', 'in_transit', 'delivered', 'completed', 'cancelled', 'rejected', 'abandoned']
     },
     changedAt: {
         type: Date,
@@ -27,19 +28,54 @@ const orderSchema = new Schema({
     payment: {
         status: {
             type: String,
-            enum: ['pending', 'success', 'failed', 'abandoned'],
+            // mismatch: provider took a payment that differs from the order total or currency; awaits admin review
+            enum: ['pending', 'success', 'failed', 'abandoned', 'mismatch'],
             default: 'pending'
         },
         method: String,
         reference: String,
         amount: Number,
         amountPaid: Number,
+        // Money received short of the total, one entry per provider transaction
+        partialPayments: [{
+            _id: false,
+            amount: Number,
+            currency: String,
+            transactionId: String,
+            receivedAt: Date
+        }],
+        mismatch: {
+            reason: {
+                type: String,
+                enum: ['underpaid', 'overpaid', 'currency']
+            },
+            expectedAmount: Number,
+            expectedCurrency: String,
+            receivedAmount: Number,
+            receivedCurrency: String,
+            detectedAt: Date,
+            resolution: {
+                type: String,
+                enum: ['accepted', 'rejected']
+            },
+            resolvedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            },
+            resolvedAt: Date,
+            note: String
+        },
         currency: {
             type: String,
             default: 'NGN'
         },
         initiatedAt: Date,
         verifiedAt: Date,
+        // Gateway that handled the payment: flutterwave, paystack or wema
+        provider: String,
+        // Provider's id for the charge, needed to refund it
+        transactionId: String,
+        providerData: Object,
         metadata: Object
     },
     
@@ -52,9 +88,31 @@ const orderSchema = new Schema({
         required: true,
         unique: true
     },
+    // Buyer contact details as given at checkout; searchable through the text index
+    customerInfo: {
+        name: {
+            type: String,
+            trim: true
+        },
+        phone: {
+            type: String,
+            trim: true
+        },
+        email: {
+            type: String,
+            trim: true,
+            lowercase: true
+        }
+    },
+    // Placed without an account; userId and buyer are set once the guest registers and claims it
+    isGuest: {
+        type: Boolean,
+        default: false
+    },
+    claimedAt: Date,
     status: {
         type: String,
-        enum: ['pending', 'processing', 'assigned', 'in_transit', 'delivered', 'completed', 'cancelled', 'rejected'],
+        enum: ['pending', 'processing', 'assigned', 'in_transit', 'delivered', 'completed', 'cancelled', 'rejected', 'abandoned'],
         default: 'pending'
     },
     statusHistory: [statusHistorySchema],
@@ -110,7 +168,7 @@ const orderSchema = new Schema({
     },
     paymentMethod: {
         type: String,
-        enum: ['card', 'bank_transfer', 'cash_on_delivery', 'wallet', 'flutterwave']
+        enum: ['card', 'bank_transfer', 'cash_on_delivery', 'wallet', 'flutterwave', 'paystack']
     },
     paymentStatus: {
         type: String,
@@ -201,15 +259,91 @@ const orderSchema = new Schema({
             required: true,
             min: 1
         },
+        name: String,
         price: {
             type: Number,
             required: true
+        },
+        total: Number,
+        // VAT on this line after its share of the order discount (0 for exempt categories)
+        taxRate: {
+            type: Number,
+            default: 0
+        },
+        taxAmount: {
+            type: Number,
+            default: 0
+        },
+        // Units received back through approved returns
+        returnedQuantity: {
+            type: Number,
+            default: 0
         }
     }],
+    // Pricing breakdown (see services/pricingService.js)
+    subtotal: {
+        type: Number,
+        default: 0
+    },
+    discountAmount: {
+        type: Number,
+        default: 0
+    },
+    // Coupon applied at checkout; its discount is included in discountAmount
+    // (free-shipping coupons record the waived fee instead)
+    coupon: {
+        coupon: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Coupon'
+        },
+        code: String,
+        type: {
+            type: String
+        },
+        discount: Number
+    },
+    shippingFee: {
+        type: Number,
+        default: 0
+    },
+    // Zone the shipping fee was priced from (see models/ShippingZone.js)
+    shippingZone: {
+        zone: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ShippingZone'
+        },
+        name: String,
+        etaDays: {
+            min: Number,
+            max: Number
+        }
+    },
+    taxAmount: {
+        type: Number,
+        default: 0
+    },
+    taxRate: {
+        type: Number,
+        default: 0
+    },
+    // Prices already contained the VAT, so taxAmount is not added to the total
+    taxInclusive: {
+        type: Boolean,
+        default: false
+    },
     totalAmount: {
         type: Number,
         required: true
     },
+    refundedAmount: {
+        type: Number,
+        default: 0
+    },
+    // Refunds created but not yet completed or failed; reserved atomically so concurrent refunds cannot overshoot
+    refundPendingAmount: {
+        type: Number,
+        default: 0
+    },
     isSeasonalPromo: {
         type: Boolean,
         default: false
@@ -296,26 +430,31 @@ orderSchema.pre('save', async function(next) {
     if (this.isModified('items') || this.isNew) {
         // Calculate item totals
         this.items = this.items.map(item => {
-            item.total = item.price * item.quantity;
+            item.total = roundMoney(item.price * item.quantity);
             return item;
         });
 
-        // Calculate order total
-        this.totalAmount = this.items.reduce((sum, item) => sum + item.total, 0);
+        // Calculate order total from the subtotal and the priced adjustments
+        this.subtotal = roundMoney(this.items.reduce((sum, item) => sum + item.total, 0));
+        const merchandiseTotal = this.subtotal - (this.discountAmount || 0);
+        const addedTax = this.taxInclusive ? 0 : (this.taxAmount || 0);
+        this.totalAmount = roundMoney(merchandiseTotal + (this.shippingFee || 0) + addedTax);
         
-        // Calculate commission amount
-        this.commissionAmount = (this.totalAmount * this.commissionRate) / 100;
+        // Calculate commission amount (shipping and tax do not earn commission)
+        const commissionableTotal = merchandiseTotal - (this.taxInclusive ? (this.taxAmount || 0) : 0);
+        this.commissionAmount = (commissionableTotal * this.commissionRate) / 100;
         
         // Update referral shares if applicable
         if (this.referralInfo?.referredBy && this.referralInfo.referralCommissionRate > 0) {
-            const totalReferralCommission = (this.totalAmount * this.referralInfo.referralCommissionRate) / 100;
+            const totalReferralCommission = (commissionableTotal * this.referralInfo.referralCommissionRate) / 100;
             this.referralInfo.referrerShare = totalReferralCommission * 0.5; // 50% to referrer
             this.referralInfo.userShare = totalReferralCommission * 0.5; // 50% to user
         }
     }
     
-    // Update status history if status changed
-    if (this.isModified('status')) {
+    // Update status history if status changed and the change was not already recorded
+    const lastEntry = this.statusHistory?.[this.statusHistory.length - 1];
+    if (this.isModified('status') && lastEntry?.status !== this.status) {
         if (!this.statusHistory) {
             this.statusHistory = [];
         }
@@ -330,6 +469,13 @@ orderSchema.pre('save', async function(next) {
     next();
 });
 
+// Guest lookup and claiming by email
+orderSchema.index({ 'customerInfo.email': 1, isGuest: 1 });
+
+// Webhook and verification lookups, and per-provider payment reports
+orderSchema.index({ 'payment.reference': 1 }, { sparse: true });
+orderSchema.index({ 'payment.provider': 1, 'payment.status': 1 });
+
 // Add text index for search
 orderSchema.index({
     'orderNumber': 'text',
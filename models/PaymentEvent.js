@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// Every signed webhook delivery from a payment provider, kept for deduplication and replay
+const paymentEventSchema = new mongoose.Schema({
+    provider: {
+        type: String,
+        required: true
+    },
+    // Provider's event id, or one derived from the payload when the provider sends none
+    eventId: {
+        type: String,
+        required: true
+    },
+    event: String,
+    reference: String,
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['received', 'processing', 'processed', 'ignored', 'failed'],
+        default: 'received'
+    },
+    // Times the provider sent this event; more than one means it was redelivered
+    deliveries: {
+        type: Number,
+        default: 1
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    // When the current attempt started; a processing event whose attempt is long gone can be taken over
+    claimedAt: Date,
+    result: mongoose.Schema.Types.Mixed,
+    lastError: String,
+    lastReceivedAt: Date,
+    processedAt: Date,
+    replayedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    replayedAt: Date
+}, {
+    timestamps: true
+});
+
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+paymentEventSchema.index({ status: 1, createdAt: -1 });
+paymentEventSchema.index({ reference: 1 });
+
+const PaymentEvent = mongoose.model('PaymentEvent', paymentEventSchema);
+
+export default PaymentEvent;
@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+// One provider's successful charges for a day compared with the orders we marked paid
+const paymentReconciliationSchema = new mongoose.Schema({
+    // UTC day, YYYY-MM-DD
+    date: {
+        type: String,
+        required: true
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['balanced', 'discrepancies', 'error'],
+        required: true
+    },
+    providerTotals: {
+        count: { type: Number, default: 0 },
+        amount: { type: Number, default: 0 },
+        fees: { type: Number, default: 0 }
+    },
+    orderTotals: {
+        count: { type: Number, default: 0 },
+        amount: { type: Number, default: 0 }
+    },
+    matched: {
+        type: Number,
+        default: 0
+    },
+    discrepancies: [{
+        // unrecorded_payment: provider charged but the order is not marked paid or the wallet top-up not credited
+        // missing_at_provider: order marked paid with no successful charge at the provider
+        // amount_mismatch / currency_mismatch: both sides have it but disagree
+        type: {
+            type: String,
+            enum: ['unrecorded_payment', 'missing_at_provider', 'amount_mismatch', 'currency_mismatch'],
+            required: true
+        },
+        reference: String,
+        order: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Order'
+        },
+        orderNumber: String,
+        providerAmount: Number,
+        orderAmount: Number,
+        currency: String
+    }],
+    error: String,
+    generatedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+paymentReconciliationSchema.index({ date: 1, provider: 1 }, { unique: true });
+
+const PaymentReconciliation = mongoose.model('PaymentReconciliation', paymentReconciliationSchema);
+
+export default PaymentReconciliation;
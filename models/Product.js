@@ -72,6 +72,12 @@ const productSchema = new Schema({
         default: 0,
         min: 0
     },
+    // Shipping weight in kg, used by weight-based shipping zones
+    weight: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
     rating: {
         type: Number,
         default: 0,
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+// One money movement back to a customer; an order can have several partial refunds
+const refundSchema = new mongoose.Schema({
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+    },
+    returnRequest: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ReturnRequest'
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0.01
+    },
+    currency: {
+        type: String,
+        default: 'NGN'
+    },
+    type: {
+        type: String,
+        enum: ['full', 'partial'],
+        required: true
+    },
+    method: {
+        type: String,
+        enum: ['wallet', 'flutterwave', 'paystack'],
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'processing', 'completed', 'failed'],
+        default: 'pending'
+    },
+    reason: {
+        type: String,
+        trim: true
+    },
+    initiatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Wallet transaction reference or provider refund id
+    reference: String,
+    provider: {
+        transactionId: String,
+        refundId: String,
+        status: String,
+        response: mongoose.Schema.Types.Mixed
+    },
+    failureReason: String,
+    lastCheckedAt: Date,
+    completedAt: Date
+}, {
+    timestamps: true
+});
+
+refundSchema.index({ order: 1, createdAt: -1 });
+refundSchema.index({ status: 1, method: 1 });
+refundSchema.index({ 'provider.refundId': 1 }, { sparse: true });
+
+const Refund = mongoose.model('Refund', refundSchema);
+
+export default Refund;
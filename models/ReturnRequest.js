@@ -0,0 +1,114 @@
+import mongoose from 'mongoose';
+
+const returnItemSchema = new mongoose.Schema({
+    // _id of the line in Order.items
+    orderItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    name: String,
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    unitPrice: {
+        type: Number,
+        required: true
+    },
+    reason: {
+        type: String,
+        enum: ['damaged', 'defective', 'wrong_item', 'not_as_described', 'changed_mind', 'other'],
+        required: true
+    },
+    comment: {
+        type: String,
+        trim: true
+    }
+}, { _id: false });
+
+const returnRequestSchema = new mongoose.Schema({
+    rmaNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+    },
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    items: {
+        type: [returnItemSchema],
+        validate: [items => items.length > 0, 'At least one item is required']
+    },
+    photos: [String], // URLs of uploaded photos
+    status: {
+        type: String,
+        enum: ['requested', 'approved', 'rejected', 'picked_up', 'refunded'],
+        default: 'requested'
+    },
+    refundMethod: {
+        type: String,
+        enum: ['wallet', 'original_payment']
+    },
+    refundAmount: {
+        type: Number,
+        default: 0
+    },
+    refundStatus: {
+        type: String,
+        enum: ['not_started', 'pending', 'completed', 'failed'],
+        default: 'not_started'
+    },
+    refundReference: String,
+    // Why the last payout attempt failed, shown to admins retrying it
+    refundFailureReason: String,
+    commissionAdjustment: {
+        type: Number,
+        default: 0
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reviewedAt: Date,
+    reviewNote: {
+        type: String,
+        trim: true
+    },
+    rejectionReason: {
+        type: String,
+        trim: true
+    },
+    pickedUpBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    pickedUpAt: Date,
+    pickupNote: {
+        type: String,
+        trim: true
+    },
+    refundedAt: Date
+}, {
+    timestamps: true
+});
+
+returnRequestSchema.index({ order: 1, status: 1 });
+returnRequestSchema.index({ customer: 1, createdAt: -1 });
+returnRequestSchema.index({ status: 1, createdAt: -1 });
+
+const ReturnRequest = mongoose.model('ReturnRequest', returnRequestSchema);
+
+export default ReturnRequest;
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+// Admin-editable store settings, one document per key (e.g. 'paymentProviders')
+const settingSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    value: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true,
+    minimize: false
+});
+
+const Setting = mongoose.model('Setting', settingSchema);
+
+export default Setting;
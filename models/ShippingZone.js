@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+// Admin-managed delivery zone; a zone listing cities wins over one that only lists the state
+const shippingZoneSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Zone name is required'],
+        trim: true,
+        unique: true
+    },
+    // Nigerian states covered, e.g. ['Lagos', 'Ogun']
+    states: [{
+        type: String,
+        trim: true
+    }],
+    // Optional: restrict the zone to these cities within its states
+    cities: [{
+        type: String,
+        trim: true
+    }],
+    rateType: {
+        type: String,
+        enum: ['flat', 'weight'],
+        default: 'flat'
+    },
+    flatFee: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Weight-based: baseFee covers the first baseWeightKg, perKgFee each extra kg (rounded up)
+    baseFee: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    baseWeightKg: {
+        type: Number,
+        default: 1,
+        min: 0
+    },
+    perKgFee: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Orders whose merchandise total reaches this ship free; 0 disables
+    freeShippingThreshold: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    etaDays: {
+        min: { type: Number, default: 1, min: 0 },
+        max: { type: Number, default: 3, min: 0 }
+    },
+    // Used when no other zone matches the address
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+shippingZoneSchema.index({ states: 1, isActive: 1 });
+
+const ShippingZone = mongoose.model('ShippingZone', shippingZoneSchema);
+
+export default ShippingZone;
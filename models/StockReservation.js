@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+// Quantity taken out of Product.stock for an order that has not been paid yet
+const stockReservationSchema = new mongoose.Schema({
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+    },
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    status: {
+        type: String,
+        enum: ['held', 'committed', 'released'],
+        default: 'held'
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    committedAt: {
+        type: Date
+    },
+    releasedAt: {
+        type: Date
+    },
+    releaseReason: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: true
+});
+
+stockReservationSchema.index({ order: 1, product: 1 });
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+
+const StockReservation = mongoose.model('StockReservation', stockReservationSchema);
+
+export default StockReservation;
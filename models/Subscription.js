@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+
+const subscriptionItemSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    name: String,
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    }
+}, { _id: false });
+
+// Repeat purchase that places an order every interval
+const subscriptionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    items: {
+        type: [subscriptionItemSchema],
+        validate: [items => items.length > 0, 'At least one item is required']
+    },
+    interval: {
+        type: String,
+        enum: ['weekly', 'biweekly', 'monthly', 'quarterly'],
+        required: true
+    },
+    nextRunAt: {
+        type: Date,
+        required: true
+    },
+    shippingAddress: {
+        address: { type: String, required: true },
+        city: { type: String, required: true },
+        state: { type: String, required: true },
+        country: String,
+        landmark: String,
+        deliveryInstructions: String
+    },
+    // Only methods that can be settled without the customer present
+    paymentMethod: {
+        type: String,
+        enum: ['wallet', 'cash_on_delivery'],
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['active', 'paused', 'cancelled'],
+        default: 'active'
+    },
+    lastRun: {
+        at: Date,
+        status: {
+            type: String,
+            enum: ['success', 'failed']
+        },
+        order: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Order'
+        },
+        error: String
+    },
+    // Consecutive failed runs; the subscription pauses itself after too many
+    failureCount: {
+        type: Number,
+        default: 0
+    },
+    orders: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    }],
+    pausedAt: Date,
+    cancelledAt: Date,
+    cancellationReason: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: true
+});
+
+subscriptionSchema.index({ status: 1, nextRunAt: 1 });
+subscriptionSchema.index({ user: 1, createdAt: -1 });
+
+const Subscription = mongoose.model('Subscription', subscriptionSchema);
+
+export default Subscription;
@@ -4,6 +4,13 @@ import * as adminController from '../controllers/adminController.js';
 import { uploadProductImages } from '../middleware/upload.js';
 import * as productController from '../controllers/productController.js';
 import * as orderController from '../controllers/orderController.js';
+import * as refundController from '../controllers/refundController.js';
+import * as shippingZoneController from '../controllers/shippingZoneController.js';
+import * as couponController from '../controllers/couponController.js';
+import * as cartController from '../controllers/cartController.js';
+import * as checkoutController from '../controllers/checkoutController.js';
+import * as paymentEventController from '../controllers/paymentEventController.js';
+import * as paymentReconciliationController from '../controllers/paymentReconciliationController.js';
 
 const router = express.Router();
 
@@ -37,9 +44,46 @@ router.get('/products/categories', authenticate, authorize(ROLES.ADMIN), product
 
 // Order management routes
 router.get('/orders', authenticate, authorize(ROLES.ADMIN), orderController.getOrders);
+router.get('/orders/search', authenticate, authorize(ROLES.ADMIN), orderController.searchOrders);
+router.get('/orders/stats', authenticate, authorize(ROLES.ADMIN), orderController.getOrderStats);
+router.get('/orders/export', authenticate, authorize(ROLES.ADMIN), orderController.exportOrders);
+router.post('/orders/bulk/status', authenticate, authorize(ROLES.ADMIN), orderController.bulkUpdateStatus);
+router.post('/orders/bulk/assign', authenticate, authorize(ROLES.ADMIN), orderController.bulkAssignMarketer);
+router.post('/orders/bulk/cancel', authenticate, authorize(ROLES.ADMIN), orderController.bulkCancelOrders);
 router.get('/orders/:id', authenticate, authorize(ROLES.ADMIN), orderController.getOrder);
 router.put('/orders/:id/status', authenticate, authorize(ROLES.ADMIN), orderController.updateOrderStatus);
-router.get('/orders/stats', authenticate, authorize(ROLES.ADMIN), orderController.getOrderStats);
+router.get('/reports/tax', authenticate, authorize(ROLES.ADMIN), orderController.getTaxSummary);
+router.get('/reports/abandoned-carts', authenticate, authorize(ROLES.ADMIN), cartController.getAbandonedCartReport);
+router.get('/reports/payment-reconciliation', authenticate, authorize(ROLES.ADMIN), paymentReconciliationController.getPaymentReconciliationReports);
+router.post('/reports/payment-reconciliation/:date', authenticate, authorize(ROLES.ADMIN), paymentReconciliationController.buildPaymentReconciliationReport);
+
+// Refund routes
+router.route('/orders/:id/refunds')
+  .get(authenticate, authorize(ROLES.ADMIN), refundController.getOrderRefunds)
+  .post(authenticate, authorize(ROLES.ADMIN), refundController.createRefund);
+router.post('/refunds/:id/reconcile', authenticate, authorize(ROLES.ADMIN), refundController.reconcileRefund);
+
+// Shipping zone management routes
+router.route('/shipping-zones')
+  .get(authenticate, authorize(ROLES.ADMIN), shippingZoneController.getShippingZones)
+  .post(authenticate, authorize(ROLES.ADMIN), shippingZoneController.createShippingZone);
+
+router.route('/shipping-zones/:id')
+  .get(authenticate, authorize(ROLES.ADMIN), shippingZoneController.getShippingZone)
+  .put(authenticate, authorize(ROLES.ADMIN), shippingZoneController.updateShippingZone)
+  .delete(authenticate, authorize(ROLES.ADMIN), shippingZoneController.deleteShippingZone);
+
+// Coupon management routes
+router.route('/coupons')
+  .get(authenticate, authorize(ROLES.ADMIN), couponController.getCoupons)
+  .post(authenticate, authorize(ROLES.ADMIN), couponController.createCoupon);
+
+router.get('/coupons/stats', authenticate, authorize(ROLES.ADMIN), couponController.getCouponsStats);
+
+router.route('/coupons/:id')
+  .get(authenticate, authorize(ROLES.ADMIN), couponController.getCoupon)
+  .put(authenticate, authorize(ROLES.ADMIN), couponController.updateCoupon)
+  .delete(authenticate, authorize(ROLES.ADMIN), couponController.deleteCoupon);
 
 // Affiliate management routes
 router.get('/affiliates', authenticate, authorize(ROLES.ADMIN), adminController.getAffiliates);
@@ -68,6 +112,26 @@ router.put('/commissions/:id/status', authenticate, authorize(ROLES.ADMIN), admi
 router.get('/withdrawals', authenticate, authorize(ROLES.ADMIN), adminController.getWithdrawals);
 router.put('/withdrawals/:id/status', authenticate, authorize(ROLES.ADMIN), adminController.updateWithdrawalStatus);
 
+// Payment webhook event log
+router.get('/payment-events', authenticate, authorize(ROLES.ADMIN), paymentEventController.getPaymentEvents);
+router.get('/payment-events/:id', authenticate, authorize(ROLES.ADMIN), paymentEventController.getPaymentEvent);
+router.post('/payment-events/:id/replay', authenticate, authorize(ROLES.ADMIN), paymentEventController.replayPaymentEvent);
+
+// Re-verify stuck pending payments (also runs every 10 minutes)
+router.post('/payments/reconcile', authenticate, authorize(ROLES.ADMIN), paymentReconciliationController.reconcilePendingPayments);
+
+// Payments whose amount or currency did not match the order
+router.get('/payments/mismatches', authenticate, authorize(ROLES.ADMIN), paymentReconciliationController.getPaymentMismatches);
+router.post('/payments/:orderId/resolve', authenticate, authorize(ROLES.ADMIN), paymentReconciliationController.resolvePaymentMismatch);
+
+// Wallet top-ups whose charge did not match what was requested
+router.get('/payments/topups/reviews', authenticate, authorize(ROLES.ADMIN), paymentReconciliationController.getTopupReviews);
+router.post('/payments/topups/:reference/resolve', authenticate, authorize(ROLES.ADMIN), paymentReconciliationController.resolveTopupReview);
+
+// Payment provider toggles
+router.get('/settings/payment-providers', authenticate, authorize(ROLES.ADMIN), checkoutController.getPaymentProviderSettings);
+router.patch('/settings/payment-providers/:provider', authenticate, authorize(ROLES.ADMIN), checkoutController.updatePaymentProviderSetting);
+
 // Settings routes
 router.route('/settings')
   .get(authenticate, authorize(ROLES.ADMIN), adminController.getSettings)
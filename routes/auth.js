@@ -4,6 +4,7 @@ import User from '../models/User.js';
 import PasswordResetToken from '../models/PasswordResetToken.js';
 import { generateToken, verifyToken } from '../middleware/auth.js';
 import emailService from '../services/emailService.js';
+import OrderTrackingService from '../services/orderTrackingService.js';
 import { 
     validateRegistration, 
     validateLogin, 
@@ -166,6 +167,14 @@ router.post('/register', validateRegistration, handleValidationErrors, async (re
         await session.commitTransaction();
         session.endSession();
 
+        // Attach orders placed as a guest with this email to the new account
+        let claimedOrders = 0;
+        try {
+            claimedOrders = await OrderTrackingService.claimGuestOrders(user);
+        } catch (error) {
+            console.error('Error claiming guest orders:', error.message);
+        }
+
         // Generate JWT token
         console.log('Generating JWT token...');
         const token = generateToken(user._id, user.role);
@@ -182,7 +191,8 @@ router.post('/register', validateRegistration, handleValidationErrors, async (re
                     lastName: user.lastName,
                     role: user.role
                 },
-                token
+                token,
+                claimedOrders
             }
         });
     } catch (saveError) {
@@ -1,12 +1,16 @@
 import express from 'express';
 import { authenticate } from '../middleware/auth.js';
 import { catchAsync } from '../middleware/errorHandler.js';
+import { idempotency } from '../middleware/idempotency.js';
 import { 
   getCart, 
   addToCart, 
   updateCartItem, 
   removeFromCart, 
-  clearCart 
+  clearCart,
+  checkout,
+  applyCoupon,
+  removeCoupon
 } from '../controllers/cartController.js';
 
 const router = express.Router();
@@ -39,4 +43,19 @@ router.delete('/items/:itemId', catchAsync(removeFromCart));
 // @access  Private
 router.delete('/', catchAsync(clearCart));
 
+// @route   POST /api/cart/coupon
+// @desc    Apply a coupon code
+// @access  Private
+router.post('/coupon', catchAsync(applyCoupon));
+
+// @route   DELETE /api/cart/coupon
+// @desc    Remove the applied coupon
+// @access  Private
+router.delete('/coupon', catchAsync(removeCoupon));
+
+// @route   POST /api/cart/checkout
+// @desc    Convert cart into an order
+// @access  Private
+router.post('/checkout', idempotency(), catchAsync(checkout));
+
 export default router;
@@ -0,0 +1,34 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { catchAsync } from '../middleware/errorHandler.js';
+import {
+  payOrder,
+  verifyCheckoutPayment,
+  checkoutWebhook,
+  getPaymentProviders
+} from '../controllers/checkoutController.js';
+
+const router = express.Router();
+
+// @route   GET /api/checkout/providers
+// @desc    Payment providers offered at checkout
+// @access  Public
+router.get('/providers', catchAsync(getPaymentProviders));
+
+// @route   POST /api/checkout/webhook/:provider
+// @desc    Provider payment notifications (signature checked against the raw body)
+// @access  Public
+router.post('/webhook/:provider', catchAsync(checkoutWebhook));
+
+// @route   POST /api/checkout/pay/:orderId?provider=
+// @desc    Start paying an order with Flutterwave or Paystack
+// @access  Private
+router.post('/pay/:orderId', authenticate, idempotency(), catchAsync(payOrder));
+
+// @route   GET /api/checkout/verify/:reference
+// @desc    Verify a checkout payment with its provider
+// @access  Private
+router.get('/verify/:reference', authenticate, catchAsync(verifyCheckoutPayment));
+
+export default router;
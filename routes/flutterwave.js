@@ -1,5 +1,6 @@
 import express from 'express';
 import { authenticate } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
 import {
     initializeFlutterwavePayment,
     verifyFlutterwavePayment,
@@ -10,11 +11,11 @@ import {
 const router = express.Router();
 
 // Protected routes (require authentication)
-router.post('/initialize/:orderId', authenticate, initializeFlutterwavePayment);
+router.post('/initialize/:orderId', authenticate, idempotency(), initializeFlutterwavePayment);
 router.get('/verify/:transactionId', authenticate, verifyFlutterwavePayment);
 router.get('/status/:reference', authenticate, getFlutterwavePaymentStatus);
 
-// Webhook (no auth required as it's called by Flutterwave)
-router.post('/webhook', express.raw({ type: 'application/json' }), flutterwaveWebhook);
+// Webhook (no auth required as it's called by Flutterwave); same handling as /api/checkout/webhook/flutterwave
+router.post('/webhook', flutterwaveWebhook);
 
 export default router;
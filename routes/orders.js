@@ -3,6 +3,7 @@ import Order from '../models/Order.js';
 import Product from '../models/Product.js';
 import { authenticate, authorize } from '../middleware/auth.js';
 import { catchAsync, AppError, NotFoundError } from '../middleware/errorHandler.js';
+import { idempotency } from '../middleware/idempotency.js';
 import {
     validateOrderCreation,
     validateOrderStatusUpdate,
@@ -12,8 +13,16 @@ import {
 } from '../middleware/validation.js';
 import { 
     createOrder, 
+    createGuestOrder,
+    trackOrderByToken,
+    trackOrder,
+    getOrderQuote,
     getOrders, 
     getOrder, 
+    getOrderTimeline,
+    getOrderInvoice,
+    getOrderPackingSlip,
+    reorder,
     updateOrderStatus, 
     deleteOrder, 
     getUserOrders, 
@@ -25,50 +34,28 @@ import {
 
 const router = express.Router();
 
-// Track order (public - no auth required)
-router.get('/:id/track', catchAsync(async (req, res) => {
-    try {
-        const { id } = req.params;
-        const order = await Order.findById(id)
-            .select('orderNumber status trackingNumber createdAt updatedAt inTransitAt deliveredAt completedAt cancelledAt')
-            .populate('marketer', 'name phone');
-        
-        if (!order) {
-            return res.status(404).json({
-                success: false,
-                message: 'Order not found'
-            });
-        }
+// Public routes for guest checkout and tracking (no auth required)
 
-        res.json({
-            success: true,
-            data: {
-                orderNumber: order.orderNumber,
-                status: order.status,
-                trackingNumber: order.trackingNumber,
-                estimatedDelivery: order.estimatedDelivery,
-                createdAt: order.createdAt,
-                updatedAt: order.updatedAt,
-                inTransitAt: order.inTransitAt,
-                deliveredAt: order.deliveredAt,
-                completedAt: order.completedAt,
-                cancelledAt: order.cancelledAt,
-                marketer: order.marketer
-            }
-        });
-    } catch (error) {
-        res.status(500).json({
-            success: false,
-            message: 'Error tracking order'
-        });
-    }
-}));
+// Price items for a guest checkout
+router.post('/guest/quote', catchAsync(getOrderQuote));
+
+// Place an order without an account
+router.post('/guest', idempotency({ allowGuests: true }), catchAsync(createGuestOrder));
+
+// Track an order with the signed link issued at checkout
+router.get('/track/:token', catchAsync(trackOrderByToken));
+
+// Track an order by order number and the email it was placed with
+router.post('/track', catchAsync(trackOrder));
 
-// Apply authentication middleware to all routes except tracking
+// Apply authentication middleware to all routes except guest checkout and tracking
 router.use(authenticate);
 
+// Price items exactly as checkout will charge them
+router.post('/quote', catchAsync(getOrderQuote));
+
 // Create a new order
-router.post('/', catchAsync(createOrder));
+router.post('/', idempotency(), catchAsync(createOrder));
 
 // Mark order as delivered (for marketers)
 router.post(
@@ -93,9 +80,21 @@ router.get('/stats', authorize('admin'), catchAsync(getOrderStats));
 // Get orders for current user
 router.get('/my-orders', catchAsync(getUserOrders));
 
+// Chronological history of an order (buyer, assigned marketer or admin)
+router.get('/:id/timeline', validateMongoId, handleValidationErrors, catchAsync(getOrderTimeline));
+
+// Download order invoice PDF
+router.get('/:id/invoice', validateMongoId, handleValidationErrors, catchAsync(getOrderInvoice));
+
+// Download packing slip PDF (marketers and admin)
+router.get('/:id/packing-slip', validateMongoId, handleValidationErrors, authorize('marketer', 'admin'), catchAsync(getOrderPackingSlip));
+
 // Get single order
 router.get('/:id', catchAsync(getOrder));
 
+// Copy a past order's items into the cart
+router.post('/:id/reorder', validateMongoId, handleValidationErrors, catchAsync(reorder));
+
 // Cancel order (user only)
 router.patch('/:id/cancel', catchAsync(cancelOrder));
 
@@ -129,25 +128,7 @@ router.get('/:id', validateMongoId, authenticate, catchAsync(async (req, res, ne
 }));
 
 // Update order status (admin only)
-router.put('/:id/status', validateMongoId, validateOrderStatusUpdate, handleValidationErrors, authenticate, authorize('admin'), catchAsync(async (req, res, next) => {
-    const { status } = req.body;
-    
-    const order = await Order.findByIdAndUpdate(
-        req.params.id,
-        { status },
-        { new: true }
-    );
-    
-    if (!order) {
-        return next(new NotFoundError('Order not found'));
-    }
-    
-    res.json({
-        success: true,
-        message: 'Order status updated successfully',
-        order
-    });
-}));
+router.put('/:id/status', validateMongoId, validateOrderStatusUpdate, handleValidationErrors, authenticate, authorize('admin'), catchAsync(updateOrderStatus));
 
 // Update payment status (admin only)
 router.put('/:id/payment-status', validateMongoId, authenticate, authorize('admin'), catchAsync(async (req, res, next) => {
@@ -0,0 +1,61 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { catchAsync } from '../middleware/errorHandler.js';
+import { upload } from '../middleware/upload.js';
+import {
+  createReturn,
+  getMyReturns,
+  getPickups,
+  getReturns,
+  getReturn,
+  reviewReturn,
+  recordPickup,
+  retryRefund
+} from '../controllers/returnController.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// @route   POST /api/returns
+// @desc    Request a return (multipart: up to 5 `photos`)
+// @access  Private
+router.post('/', upload.array('photos', 5), catchAsync(createReturn));
+
+// @route   GET /api/returns/my
+// @desc    Get current user's return requests
+// @access  Private
+router.get('/my', catchAsync(getMyReturns));
+
+// @route   GET /api/returns/pickups
+// @desc    Get returns awaiting pickup on the marketer's orders
+// @access  Private/Marketer
+router.get('/pickups', authorize('marketer', 'affiliate'), catchAsync(getPickups));
+
+// @route   GET /api/returns
+// @desc    Get all return requests
+// @access  Private/Admin
+router.get('/', authorize('admin'), catchAsync(getReturns));
+
+// @route   GET /api/returns/:id
+// @desc    Get a return request
+// @access  Private
+router.get('/:id', catchAsync(getReturn));
+
+// @route   PATCH /api/returns/:id/review
+// @desc    Approve or reject a return request
+// @access  Private/Admin
+router.patch('/:id/review', authorize('admin'), catchAsync(reviewReturn));
+
+// @route   PATCH /api/returns/:id/pickup
+// @desc    Record pickup, restock and refund
+// @access  Private/Marketer
+router.patch('/:id/pickup', authorize('marketer', 'affiliate', 'admin'), catchAsync(recordPickup));
+
+// @route   POST /api/returns/:id/refund
+// @desc    Retry a refund that failed after pickup
+// @access  Private/Admin
+router.post('/:id/refund', authorize('admin'), catchAsync(retryRefund));
+
+export default router;
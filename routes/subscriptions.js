@@ -0,0 +1,54 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { catchAsync } from '../middleware/errorHandler.js';
+import {
+  createSubscription,
+  getMySubscriptions,
+  getSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  skipSubscription,
+  cancelSubscription
+} from '../controllers/subscriptionController.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// @route   POST /api/subscriptions
+// @desc    Start a recurring order
+// @access  Private
+router.post('/', catchAsync(createSubscription));
+
+// @route   GET /api/subscriptions
+// @desc    Get current user's subscriptions
+// @access  Private
+router.get('/', catchAsync(getMySubscriptions));
+
+// @route   GET /api/subscriptions/:id
+// @desc    Get a subscription
+// @access  Private
+router.get('/:id', catchAsync(getSubscription));
+
+// @route   PATCH /api/subscriptions/:id/pause
+// @desc    Pause a subscription
+// @access  Private
+router.patch('/:id/pause', catchAsync(pauseSubscription));
+
+// @route   PATCH /api/subscriptions/:id/resume
+// @desc    Resume a paused subscription
+// @access  Private
+router.patch('/:id/resume', catchAsync(resumeSubscription));
+
+// @route   PATCH /api/subscriptions/:id/skip
+// @desc    Skip the next delivery
+// @access  Private
+router.patch('/:id/skip', catchAsync(skipSubscription));
+
+// @route   PATCH /api/subscriptions/:id/cancel
+// @desc    Cancel a subscription
+// @access  Private
+router.patch('/:id/cancel', catchAsync(cancelSubscription));
+
+export default router;
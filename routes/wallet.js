@@ -1,10 +1,13 @@
 import express from 'express';
 import { authenticate, admin } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
 import { 
     getWalletBalance, 
     getWalletTransactions, 
     requestWithdrawal,
-    processWithdrawal
+    processWithdrawal,
+    initializeTopup,
+    verifyTopup
 } from '../controllers/walletController.js';
 
 const router = express.Router();
@@ -19,7 +22,13 @@ router.get('/balance', getWalletBalance);
 router.get('/transactions', getWalletTransactions);
 
 // Request withdrawal
-router.post('/withdraw', requestWithdrawal);
+router.post('/withdraw', idempotency(), requestWithdrawal);
+
+// Top up through Flutterwave
+router.post('/topup', idempotency(), initializeTopup);
+
+// Verify a top-up after the payment redirect
+router.get('/topup/verify/:reference', verifyTopup);
 
 // Admin routes
 router.use(admin);
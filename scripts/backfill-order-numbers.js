@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+import config from '../config/environment.js';
+import OrderNumberService from '../services/orderNumberService.js';
+
+// Assigns counter-backed order numbers to orders that have none, oldest first, in the
+// month each order was placed. Pass --dry-run to only report what would change.
+async function backfillOrderNumbers() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await mongoose.connect(config.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const orders = mongoose.connection.db.collection('orders');
+    const missing = orders
+      .find({ $or: [{ orderNumber: { $exists: false } }, { orderNumber: null }, { orderNumber: '' }] })
+      .sort({ createdAt: 1, _id: 1 })
+      .project({ _id: 1, createdAt: 1 });
+
+    let updated = 0;
+    for await (const order of missing) {
+      const createdAt = order.createdAt || order._id.getTimestamp();
+
+      if (dryRun) {
+        console.log(`Would number order ${order._id} (placed ${createdAt.toISOString()})`);
+        updated++;
+        continue;
+      }
+
+      const orderNumber = await OrderNumberService.next({ date: createdAt });
+      // Raw collection update so model hooks do not recalculate totals or history
+      await orders.updateOne({ _id: order._id }, { $set: { orderNumber } });
+      console.log(`Order ${order._id} -> ${orderNumber}`);
+      updated++;
+    }
+
+    console.log(`${dryRun ? 'Found' : 'Backfilled'} ${updated} orders without an order number`);
+  } catch (error) {
+    console.error('Backfill error:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+backfillOrderNumbers();
@@ -0,0 +1,103 @@
+import http from 'http';
+import { fileURLToPath } from 'url';
+
+/**
+ * Minimal stand-in for the Flutterwave v3 API, enough to exercise payment verification
+ * and refunds locally. Point FLUTTERWAVE_BASE_URL at it:
+ *
+ *   node scripts/flutterwave-stub.js            # listens on http://localhost:4010
+ *   FLUTTERWAVE_BASE_URL=http://localhost:4010 npm run dev
+ *
+ * Refunds start as "pending" and report "completed" on the next lookup. A refund
+ * amount of 13.13 is declined, so failure paths can be tested too.
+ */
+export const createFlutterwaveStub = () => {
+  const transactions = new Map();
+  const refunds = new Map();
+  let nextRefundId = 1000;
+
+  // Any tx_ref or id the stub has not seen is treated as a successful NGN payment
+  const findTransaction = ({ id, txRef }) => {
+    const key = String(id || txRef);
+    if (!transactions.has(key)) {
+      const transaction = {
+        id: Number(id) || transactions.size + 1,
+        tx_ref: txRef || `stub-${id}`,
+        amount: 0,
+        currency: 'NGN',
+        status: 'successful'
+      };
+      transactions.set(String(transaction.id), transaction);
+      transactions.set(transaction.tx_ref, transaction);
+    }
+    return transactions.get(key);
+  };
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const readBody = (req) => new Promise((resolve) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        resolve({});
+      }
+    });
+  });
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const path = url.pathname.replace(/^\/v3/, '');
+    let match;
+
+    if (req.method === 'GET' && path === '/transactions/verify_by_reference') {
+      return send(res, 200, { status: 'success', data: findTransaction({ txRef: url.searchParams.get('tx_ref') }) });
+    }
+
+    if (req.method === 'GET' && (match = path.match(/^\/transactions\/([^/]+)\/verify$/))) {
+      return send(res, 200, { status: 'success', data: findTransaction({ id: match[1] }) });
+    }
+
+    if (req.method === 'POST' && (match = path.match(/^\/transactions\/([^/]+)\/refund$/))) {
+      const transaction = findTransaction({ id: match[1] });
+      const { amount } = await readBody(req);
+      const refund = {
+        id: nextRefundId++,
+        flw_ref: `FLW-REFUND-${Date.now()}`,
+        transaction_id: transaction.id,
+        amount_refunded: amount || transaction.amount,
+        status: Number(amount) === 13.13 ? 'failed' : 'pending',
+        created_at: new Date().toISOString()
+      };
+      refunds.set(String(refund.id), refund);
+      return send(res, 200, { status: 'success', message: 'Transaction refund initiated', data: refund });
+    }
+
+    if (req.method === 'GET' && (match = path.match(/^\/refunds\/([^/]+)$/))) {
+      const refund = refunds.get(match[1]);
+      if (!refund) {
+        return send(res, 404, { status: 'error', message: 'Refund not found', data: null });
+      }
+      if (refund.status === 'pending') {
+        refund.status = 'completed';
+      }
+      return send(res, 200, { status: 'success', data: refund });
+    }
+
+    send(res, 404, { status: 'error', message: `No stub for ${req.method} ${url.pathname}`, data: null });
+  });
+
+  return { server, transactions, refunds };
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = process.env.PORT || 4010;
+  createFlutterwaveStub().server.listen(port, () => {
+    console.log(`Flutterwave stub listening on http://localhost:${port}`);
+  });
+}
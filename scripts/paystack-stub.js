@@ -0,0 +1,164 @@
+import crypto from 'crypto';
+import http from 'http';
+import { fileURLToPath } from 'url';
+
+/**
+ * Local stand-in for the Paystack API, enough to run checkout payments and refunds without
+ * Paystack. Point PAYSTACK_BASE_URL at it and give both sides the same secret key:
+ *
+ *   PAYSTACK_SECRET_KEY=sk_test_dev PAYSTACK_WEBHOOK_URL=http://localhost:5000/api/checkout/webhook/paystack \
+ *     node scripts/paystack-stub.js            # listens on http://localhost:4030
+ *   PAYSTACK_BASE_URL=http://localhost:4030 PAYSTACK_SECRET_KEY=sk_test_dev npm run dev
+ *
+ * Opening the authorization_url returned by /transaction/initialize pays the transaction in
+ * full and posts a signed charge.success webhook. Refunds start as "pending" and report
+ * "processed" on the next lookup; a refund of 13.13 is declined so failures can be tested.
+ */
+export const createPaystackStub = ({ webhookUrl, secretKey } = {}) => {
+  const transactions = new Map();
+  const refunds = new Map();
+  let nextTransactionId = 5000001;
+  let nextRefundId = 9000001;
+  let baseUrl = '';
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const readBody = (req) => new Promise((resolve) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        resolve({});
+      }
+    });
+  });
+
+  // Signed as Paystack does: HMAC-SHA512 of the raw JSON body with the secret key, hex encoded
+  const deliverWebhook = async (event, data) => {
+    if (!webhookUrl) return { delivered: false, reason: 'PAYSTACK_WEBHOOK_URL not set' };
+
+    const body = JSON.stringify({ event, data });
+    const signature = crypto.createHmac('sha512', secretKey || '').update(body).digest('hex');
+    const response = await fetch(webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-paystack-signature': signature },
+      body
+    });
+    return { delivered: true, status: response.status };
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    baseUrl = baseUrl || `http://${req.headers.host}`;
+    let match;
+
+    if (req.method === 'POST' && url.pathname === '/transaction/initialize') {
+      const { reference, amount, currency = 'NGN', email } = await readBody(req);
+      if (!reference || !amount || !email) {
+        return send(res, 400, { status: false, message: 'reference, amount and email are required' });
+      }
+
+      const accessCode = crypto.randomBytes(8).toString('hex');
+      transactions.set(reference, {
+        id: nextTransactionId++,
+        reference,
+        amount: Number(amount),
+        currency,
+        status: 'abandoned',
+        customer: { email }
+      });
+      return send(res, 200, {
+        status: true,
+        message: 'Authorization URL created',
+        data: { authorization_url: `${baseUrl}/pay/${encodeURIComponent(reference)}`, access_code: accessCode, reference }
+      });
+    }
+
+    if (req.method === 'GET' && (match = url.pathname.match(/^\/pay\/([^/]+)$/))) {
+      const transaction = transactions.get(decodeURIComponent(match[1]));
+      if (!transaction) {
+        return send(res, 404, { status: false, message: 'Transaction reference not found' });
+      }
+
+      transaction.status = 'success';
+      transaction.paid_at = new Date().toISOString();
+      transaction.fees = Math.min(Math.round(transaction.amount * 0.015) + 10000, 200000);
+      const webhook = await deliverWebhook('charge.success', transaction);
+      return send(res, 200, { status: true, data: transaction, webhook });
+    }
+
+    if (req.method === 'GET' && (match = url.pathname.match(/^\/transaction\/verify\/([^/]+)$/))) {
+      const transaction = transactions.get(decodeURIComponent(match[1]));
+      if (!transaction) {
+        return send(res, 400, { status: false, message: 'Transaction reference not found' });
+      }
+      return send(res, 200, { status: true, message: 'Verification successful', data: transaction });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/transaction') {
+      const from = url.searchParams.get('from') ? new Date(url.searchParams.get('from')) : new Date(0);
+      const to = url.searchParams.get('to') ? new Date(url.searchParams.get('to')) : new Date();
+      const status = url.searchParams.get('status');
+      const perPage = Number(url.searchParams.get('perPage')) || 50;
+      const page = Number(url.searchParams.get('page')) || 1;
+
+      const matching = [...transactions.values()].filter(t =>
+        (!status || t.status === status) && t.paid_at && new Date(t.paid_at) >= from && new Date(t.paid_at) <= to
+      );
+      return send(res, 200, {
+        status: true,
+        data: matching.slice((page - 1) * perPage, page * perPage),
+        meta: { total: matching.length, page, perPage, pageCount: Math.max(Math.ceil(matching.length / perPage), 1) }
+      });
+    }
+
+    if (req.method === 'POST' && url.pathname === '/refund') {
+      const { transaction, amount } = await readBody(req);
+      const charge = [...transactions.values()].find(t => String(t.id) === String(transaction) || t.reference === transaction);
+      if (!charge || charge.status !== 'success') {
+        return send(res, 400, { status: false, message: 'Transaction has not been paid' });
+      }
+
+      const refund = {
+        id: nextRefundId++,
+        transaction: charge.id,
+        amount: amount !== undefined ? Number(amount) : charge.amount,
+        currency: charge.currency,
+        status: 'pending'
+      };
+      refunds.set(String(refund.id), refund);
+      return send(res, 200, { status: true, message: 'Refund has been queued for processing', data: refund });
+    }
+
+    if (req.method === 'GET' && (match = url.pathname.match(/^\/refund\/([^/]+)$/))) {
+      const refund = refunds.get(match[1]);
+      if (!refund) {
+        return send(res, 404, { status: false, message: 'Refund not found' });
+      }
+
+      if (refund.status === 'pending') {
+        refund.status = refund.amount === 1313 ? 'failed' : 'processed';
+      }
+      return send(res, 200, { status: true, data: refund });
+    }
+
+    send(res, 404, { status: false, message: `No stub for ${req.method} ${url.pathname}` });
+  });
+
+  return { server, transactions, refunds, deliverWebhook };
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = process.env.PORT || 4030;
+  createPaystackStub({
+    webhookUrl: process.env.PAYSTACK_WEBHOOK_URL,
+    secretKey: process.env.PAYSTACK_SECRET_KEY
+  }).server.listen(port, () => {
+    console.log(`Paystack stub listening on http://localhost:${port}`);
+  });
+}
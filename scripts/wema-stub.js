@@ -0,0 +1,131 @@
+import crypto from 'crypto';
+import http from 'http';
+import { fileURLToPath } from 'url';
+
+/**
+ * Local stand-in for Wema Bank's virtual account API, so bank transfer payments can be
+ * tested end to end without a bank. Point WEMA_BASE_URL at it and give both sides the
+ * same webhook secret:
+ *
+ *   WEMA_WEBHOOK_SECRET=dev-secret WEMA_WEBHOOK_URL=http://localhost:5000/api/payments/webhook/wema \
+ *     node scripts/wema-stub.js                 # listens on http://localhost:4020
+ *   WEMA_BASE_URL=http://localhost:4020 WEMA_WEBHOOK_SECRET=dev-secret npm run dev
+ *
+ * Simulate the buyer's transfer with
+ *
+ *   curl -X POST localhost:4020/simulate/transfer -H 'Content-Type: application/json' \
+ *     -d '{"reference":"WEMA-EPX-2026-10-000001-...","amount":5000}'
+ *
+ * which records the transfer and posts a signed transfer.received webhook. Leaving out
+ * `amount` pays the account in full.
+ */
+export const createWemaStub = ({ webhookUrl, webhookSecret } = {}) => {
+  const accounts = new Map();
+  let nextAccount = 9900000001;
+  let nextTransaction = 1;
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const readBody = (req) => new Promise((resolve) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        resolve({});
+      }
+    });
+  });
+
+  const transactionOf = (account) => ({
+    reference: account.reference,
+    status: account.amountPaid >= account.amount ? 'successful' : (new Date(account.expiresAt) < new Date() ? 'expired' : 'pending'),
+    amount: account.amount,
+    amountPaid: account.amountPaid,
+    currency: account.currency,
+    transactionId: account.transactionId,
+    sessionId: account.sessionId,
+    paidAt: account.paidAt
+  });
+
+  // Signed exactly as the API expects: HMAC-SHA512 of the raw JSON body, hex encoded
+  const deliverWebhook = async (event, data) => {
+    if (!webhookUrl) return { delivered: false, reason: 'WEMA_WEBHOOK_URL not set' };
+
+    const body = JSON.stringify({ event, data });
+    const signature = crypto.createHmac('sha512', webhookSecret || '').update(body).digest('hex');
+    const response = await fetch(webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-wema-signature': signature },
+      body
+    });
+    return { delivered: true, status: response.status, response: await response.json().catch(() => null) };
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    let match;
+
+    if (req.method === 'POST' && url.pathname === '/virtual-accounts') {
+      const { reference, amount, currency = 'NGN', accountName, expiresAt } = await readBody(req);
+      if (!reference || !amount) {
+        return send(res, 400, { status: 'error', message: 'reference and amount are required' });
+      }
+
+      const account = {
+        reference,
+        amount: Number(amount),
+        currency,
+        amountPaid: 0,
+        accountNumber: String(nextAccount++),
+        accountName: `EPILUX/${accountName || 'CUSTOMER'}`.toUpperCase(),
+        bankName: 'Wema Bank',
+        expiresAt: expiresAt || new Date(Date.now() + 30 * 60 * 1000).toISOString()
+      };
+      accounts.set(reference, account);
+      return send(res, 201, { status: 'success', data: account });
+    }
+
+    if (req.method === 'GET' && (match = url.pathname.match(/^\/transactions\/([^/]+)$/))) {
+      const account = accounts.get(decodeURIComponent(match[1]));
+      if (!account) {
+        return send(res, 404, { status: 'error', message: 'Transaction not found' });
+      }
+      return send(res, 200, { status: 'success', data: transactionOf(account) });
+    }
+
+    if (req.method === 'POST' && url.pathname === '/simulate/transfer') {
+      const { reference, amount } = await readBody(req);
+      const account = accounts.get(reference);
+      if (!account) {
+        return send(res, 404, { status: 'error', message: 'Unknown reference' });
+      }
+
+      account.amountPaid += amount !== undefined ? Number(amount) : account.amount - account.amountPaid;
+      account.transactionId = `WEMA-TXN-${nextTransaction++}`;
+      account.sessionId = crypto.randomBytes(10).toString('hex');
+      account.paidAt = new Date().toISOString();
+
+      const webhook = await deliverWebhook('transfer.received', transactionOf(account));
+      return send(res, 200, { status: 'success', data: transactionOf(account), webhook });
+    }
+
+    send(res, 404, { status: 'error', message: `No stub for ${req.method} ${url.pathname}` });
+  });
+
+  return { server, accounts, deliverWebhook };
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = process.env.PORT || 4020;
+  createWemaStub({
+    webhookUrl: process.env.WEMA_WEBHOOK_URL,
+    webhookSecret: process.env.WEMA_WEBHOOK_SECRET
+  }).server.listen(port, () => {
+    console.log(`Wema stub listening on http://localhost:${port}`);
+  });
+}
@@ -0,0 +1,215 @@
+import Cart from '../models/Cart.js';
+import CartReminder from '../models/CartReminder.js';
+import Order from '../models/Order.js';
+import { roundMoney } from './pricingService.js';
+import { sendNotificationEmail } from './emailService.js';
+import config from '../config/environment.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Carts handled per run; the rest are picked up by the next run
+const BATCH_SIZE = 200;
+
+class CartRecoveryService {
+    /**
+     * Email buyers whose carts have been idle past the threshold. Each cart gets at most
+     * ABANDONED_CART_MAX_REMINDERS per cycle, spaced by the reminder interval; changing the
+     * cart's items starts a new cycle.
+     * @param {Object} [options]
+     * @param {Date} [options.now]
+     * @returns {Promise<{checked: number, sent: number, skipped: number}>}
+     */
+    static async sendDueReminders({ now = new Date() } = {}) {
+        const maxReminders = config.ABANDONED_CART_MAX_REMINDERS;
+        const result = { checked: 0, sent: 0, skipped: 0 };
+        if (maxReminders <= 0) return result;
+
+        const carts = await Cart.find({
+            'items.0': { $exists: true },
+            updatedAt: { $lte: new Date(now.getTime() - config.ABANDONED_CART_AFTER_HOURS * HOUR) },
+            // $not also matches carts that have never had a reminder
+            'reminders.count': { $not: { $gte: maxReminders } },
+            'reminders.lastSentAt': { $not: { $gt: new Date(now.getTime() - config.ABANDONED_CART_REMINDER_INTERVAL_HOURS * HOUR) } }
+        })
+            .populate('user', 'email firstName isActive')
+            .sort({ updatedAt: 1 })
+            .limit(BATCH_SIZE);
+
+        for (const cart of carts) {
+            result.checked++;
+            try {
+                const reminder = await this.sendReminder(cart, now);
+                result[reminder ? 'sent' : 'skipped']++;
+            } catch (error) {
+                result.skipped++;
+                console.error(`Error sending abandoned cart reminder for cart ${cart._id}:`, error);
+            }
+        }
+
+        return result;
+    }
+
+    static async sendReminder(cart, now) {
+        const user = cart.user;
+        if (!user?.email || user.isActive === false) return null;
+
+        const sequence = (cart.reminders?.count || 0) + 1;
+
+        // Claim the reminder only if the cart is unchanged since it was read, so parallel runs
+        // and a buyer editing the cart at the same moment never produce a duplicate email.
+        // timestamps: false keeps the claim from counting as cart activity.
+        const claim = await Cart.updateOne(
+            {
+                _id: cart._id,
+                updatedAt: cart.updatedAt,
+                'reminders.lastSentAt': cart.reminders?.lastSentAt ?? null
+            },
+            { $set: { 'reminders.count': sequence, 'reminders.lastSentAt': now } },
+            { timestamps: false }
+        );
+        if (claim.modifiedCount === 0) return null;
+
+        const itemCount = cart.items.reduce((sum, item) => sum + item.quantity, 0);
+        const cartValue = roundMoney(cart.items.reduce((sum, item) => sum + item.price * item.quantity, 0));
+
+        const reminder = await CartReminder.create({
+            cart: cart._id,
+            user: user._id,
+            sequence,
+            itemCount,
+            cartValue,
+            sentAt: now
+        });
+
+        // A failed send still counts toward the limit so a bad address is not retried forever
+        try {
+            await sendNotificationEmail({
+                to: user.email,
+                subject: sequence === 1 ? 'You left something in your cart' : 'Your cart is still waiting for you',
+                template: 'abandoned-cart',
+                context: {
+                    message: `<p>Hi ${user.firstName || 'there'}, the items in your cart are still available:</p>` +
+                        '<ul>' + cart.items.map(item => `<li>${item.quantity} x ${item.name}</li>`).join('') + '</ul>' +
+                        `<p>Cart total: NGN ${cartValue.toLocaleString('en-NG', { minimumFractionDigits: 2 })}</p>`,
+                    actionUrl: `${config.FRONTEND_URL}/cart?reminder=${reminder._id}`,
+                    actionText: 'Return to your cart'
+                }
+            });
+        } catch (error) {
+            console.error(`Error emailing abandoned cart reminder ${reminder._id}:`, error.message);
+        }
+
+        return reminder;
+    }
+
+    /**
+     * Credit an order to the buyer's most recent reminder, if it was sent within the
+     * attribution window and has not already been credited. Never throws: the order stands
+     * whether or not it is attributed.
+     * @param {Object} order - Newly placed order
+     * @param {Object} user - Buyer
+     * @returns {Promise<Object|null>} The converted reminder
+     */
+    static async recordConversion(order, user) {
+        if (!user?._id) return null;
+
+        try {
+            const reminder = await CartReminder.findOne({
+                user: user._id,
+                sentAt: { $gte: new Date(Date.now() - config.ABANDONED_CART_ATTRIBUTION_DAYS * DAY) }
+            }).sort({ sentAt: -1 });
+
+            // Only the latest reminder can convert, and only once
+            if (!reminder || reminder.convertedOrder) return null;
+
+            return await CartReminder.findOneAndUpdate(
+                { _id: reminder._id, convertedOrder: { $exists: false } },
+                { $set: { convertedOrder: order._id, convertedAt: new Date(), orderTotal: order.totalAmount } },
+                { new: true }
+            );
+        } catch (error) {
+            console.error(`Error recording cart recovery for order ${order._id}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Abandonment and recovery figures for a period.
+     * `abandonedCarts` counts carts that went idle (received a first reminder); the abandonment
+     * rate is the share of carts that ended without an order: unrecovered abandoned carts over
+     * orders placed plus unrecovered abandoned carts.
+     * @param {Object} params
+     * @param {string} [params.startDate] - Defaults to 30 days ago
+     * @param {string} [params.endDate] - Defaults to now
+     */
+    static async getReport({ startDate, endDate } = {}) {
+        const end = endDate ? new Date(endDate) : new Date();
+        const start = startDate ? new Date(startDate) : new Date(end.getTime() - 30 * DAY);
+        if (isNaN(start) || isNaN(end) || start > end) {
+            throw new AppError('startDate and endDate must be valid dates, with startDate first', 400);
+        }
+
+        const [bySequence, orders, openCarts] = await Promise.all([
+            CartReminder.aggregate([
+                { $match: { sentAt: { $gte: start, $lte: end } } },
+                {
+                    $group: {
+                        _id: '$sequence',
+                        sent: { $sum: 1 },
+                        converted: { $sum: { $cond: [{ $ifNull: ['$convertedOrder', false] }, 1, 0] } },
+                        recoveredRevenue: { $sum: { $ifNull: ['$orderTotal', 0] } }
+                    }
+                },
+                { $sort: { _id: 1 } }
+            ]),
+            Order.countDocuments({ createdAt: { $gte: start, $lte: end } }),
+            Cart.aggregate([
+                {
+                    $match: {
+                        'items.0': { $exists: true },
+                        updatedAt: { $lte: new Date(Date.now() - config.ABANDONED_CART_AFTER_HOURS * HOUR) }
+                    }
+                },
+                { $unwind: '$items' },
+                {
+                    $group: {
+                        _id: '$_id',
+                        value: { $sum: { $multiply: ['$items.price', '$items.quantity'] } }
+                    }
+                },
+                { $group: { _id: null, carts: { $sum: 1 }, value: { $sum: '$value' } } }
+            ])
+        ]);
+
+        const reminders = bySequence.map(row => ({
+            sequence: row._id,
+            sent: row.sent,
+            converted: row.converted,
+            conversionRate: row.sent ? roundMoney((row.converted / row.sent) * 100) : 0,
+            recoveredRevenue: roundMoney(row.recoveredRevenue)
+        }));
+
+        const abandonedCarts = reminders.find(row => row.sequence === 1)?.sent || 0;
+        const recoveredCarts = reminders.reduce((sum, row) => sum + row.converted, 0);
+        const unrecovered = Math.max(abandonedCarts - recoveredCarts, 0);
+
+        return {
+            period: { startDate: start, endDate: end },
+            abandonedCarts,
+            recoveredCarts,
+            ordersPlaced: orders,
+            abandonmentRate: orders + unrecovered ? roundMoney((unrecovered / (orders + unrecovered)) * 100) : 0,
+            recoveryRate: abandonedCarts ? roundMoney((recoveredCarts / abandonedCarts) * 100) : 0,
+            recoveredRevenue: roundMoney(reminders.reduce((sum, row) => sum + row.recoveredRevenue, 0)),
+            reminders,
+            currentlyAbandoned: {
+                carts: openCarts[0]?.carts || 0,
+                value: roundMoney(openCarts[0]?.value || 0)
+            }
+        };
+    }
+}
+
+export default CartRecoveryService;
@@ -0,0 +1,276 @@
+import mongoose from 'mongoose';
+import Cart from '../models/Cart.js';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import OrderService from './orderService.js';
+import PricingService, { roundMoney } from './pricingService.js';
+import CartRecoveryService from './cartRecoveryService.js';
+import { AppError, ConflictError, NotFoundError } from '../middleware/errorHandler.js';
+
+class CartService {
+    /**
+     * Compare the cart's snapshot prices and quantities against the live catalogue.
+     * @param {Object} cart - Cart document
+     * @returns {Promise<{priceChanges: Array, unavailable: Array}>}
+     */
+    static async reviewCart(cart) {
+        const priceChanges = [];
+        const unavailable = [];
+
+        for (const item of cart.items) {
+            const product = await Product.findById(item.product);
+
+            if (!product || !product.isActive) {
+                unavailable.push({
+                    product: item.product,
+                    name: item.name,
+                    reason: 'Product is no longer available'
+                });
+                continue;
+            }
+
+            if (product.stock < item.quantity) {
+                unavailable.push({
+                    product: product._id,
+                    name: product.name,
+                    reason: `Only ${product.stock} items available in stock`,
+                    requested: item.quantity,
+                    available: product.stock
+                });
+            }
+
+            if (roundMoney(item.price) !== roundMoney(product.price)) {
+                priceChanges.push({
+                    product: product._id,
+                    name: product.name,
+                    snapshotPrice: item.price,
+                    currentPrice: product.price
+                });
+            }
+        }
+
+        return { priceChanges, unavailable };
+    }
+
+    /**
+     * Turn the user's persisted cart into an order and empty the cart, atomically.
+     * Price changes since the items were added are reported with a 409 unless accepted.
+     * @param {Object} user - Authenticated buyer document
+     * @param {Object} params
+     * @param {Object} params.shippingAddress
+     * @param {string} params.paymentMethod
+     * @param {Object} [params.customerInfo]
+     * @param {boolean} [params.acceptPriceChanges=false] - Proceed at current prices
+     * @param {number} [params.totalAmount] - Expected total; rejected with 409 if it differs
+     * @returns {Promise<{order: Object, quote: Object, priceChanges: Array}>}
+     */
+    static async checkout(user, { shippingAddress, paymentMethod, customerInfo, acceptPriceChanges = false, totalAmount }) {
+        const cart = await Cart.findOne({ user: user._id });
+        if (!cart) {
+            throw new NotFoundError('Cart not found');
+        }
+        if (cart.items.length === 0) {
+            throw new AppError('Your cart is empty', 400);
+        }
+
+        const review = await this.reviewCart(cart);
+
+        if (review.unavailable.length > 0) {
+            throw new ConflictError('Some items in your cart are unavailable', review);
+        }
+
+        if (review.priceChanges.length > 0 && !acceptPriceChanges) {
+            // Refresh the snapshots so the cart the user reviews next shows current prices
+            for (const change of review.priceChanges) {
+                const item = cart.items.find(i => i.product.toString() === change.product.toString());
+                item.price = change.currentPrice;
+            }
+            await cart.save();
+
+            throw new ConflictError('Prices changed for some items in your cart', review);
+        }
+
+        const session = await mongoose.startSession();
+        session.startTransaction();
+
+        let result;
+        try {
+            result = await OrderService.createOrder({
+                user,
+                items: cart.items.map(item => ({
+                    product: item.product,
+                    quantity: item.quantity
+                })),
+                shippingAddress,
+                paymentMethod,
+                customerInfo,
+                totalAmount,
+                couponCode: cart.couponCode
+            }, { session });
+
+            cart.items = [];
+            cart.couponCode = undefined;
+            await cart.save({ session });
+
+            await session.commitTransaction();
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
+        }
+
+        await OrderService.afterOrderCreated(result.order, user);
+        await CartRecoveryService.recordConversion(result.order, user);
+
+        return { ...result, priceChanges: review.priceChanges };
+    }
+
+    /**
+     * Validate a discount code against the cart and keep it for checkout.
+     * @param {Object} user - Authenticated buyer document
+     * @param {string} code
+     * @param {Object} [shippingAddress] - Used to price free-shipping coupons
+     * @returns {Promise<{cart: Object, quote: Object}>} The cart and a quote with the coupon applied
+     */
+    static async applyCoupon(user, code, shippingAddress = null) {
+        if (!code || typeof code !== 'string') {
+            throw new AppError('Coupon code is required', 400);
+        }
+
+        const cart = await Cart.findOne({ user: user._id });
+        if (!cart || cart.items.length === 0) {
+            throw new AppError('Add items to your cart before applying a coupon', 400);
+        }
+
+        const quote = await PricingService.buildQuote({
+            items: cart.items.map(item => ({ product: item.product, quantity: item.quantity })),
+            shippingAddress: shippingAddress || user.profile?.address,
+            couponCode: code,
+            user
+        });
+
+        cart.couponCode = quote.coupon.code;
+        await cart.save();
+
+        return { cart, quote };
+    }
+
+    // Cart line for a product at its current price, in the shape addToCart stores
+    static buildCartItem(product, quantity) {
+        const images = (product.images || []).map(img => ({
+            url: img.url,
+            isPrimary: img.isPrimary || false,
+            altText: img.altText || product.name
+        }));
+        const primary = images.find(img => img.isPrimary) || images[0];
+
+        return {
+            product: product._id,
+            quantity,
+            price: product.price,
+            name: product.name,
+            image: primary?.url || '',
+            images,
+            productDetails: {
+                stock: product.stock,
+                sku: product.sku || ''
+            }
+        };
+    }
+
+    /**
+     * Copy a past order's items into the user's cart at current prices.
+     * Unavailable products are dropped and quantities are trimmed to what is in stock.
+     * @param {Object} user - Authenticated buyer document
+     * @param {string} orderId
+     * @returns {Promise<{cart: Object, added: Array, adjusted: Array, dropped: Array}>}
+     */
+    static async reorder(user, orderId) {
+        if (!mongoose.Types.ObjectId.isValid(orderId)) {
+            throw new AppError('Invalid order ID', 400);
+        }
+
+        const order = await Order.findOne({
+            _id: orderId,
+            $or: [{ buyer: user._id }, { userId: user._id }]
+        });
+        if (!order) {
+            throw new NotFoundError('Order not found');
+        }
+
+        // The same product can appear on several lines of older orders
+        const requested = new Map();
+        for (const line of order.items) {
+            const key = line.product.toString();
+            const entry = requested.get(key) || { product: line.product, name: line.name, quantity: 0, price: line.price };
+            entry.quantity += line.quantity;
+            requested.set(key, entry);
+        }
+
+        const cart = await Cart.findOne({ user: user._id }) || new Cart({ user: user._id, items: [] });
+        const added = [];
+        const adjusted = [];
+        const dropped = [];
+
+        for (const [key, line] of requested) {
+            const product = await Product.findById(line.product);
+            if (!product || !product.isActive) {
+                dropped.push({ product: line.product, name: line.name, reason: 'Product is no longer available' });
+                continue;
+            }
+
+            const cartItem = cart.items.find(item => item.product.toString() === key);
+            const available = product.stock - (cartItem?.quantity || 0);
+            if (available <= 0) {
+                dropped.push({
+                    product: product._id,
+                    name: product.name,
+                    reason: product.stock > 0 ? 'Your cart already holds all available stock' : 'Out of stock'
+                });
+                continue;
+            }
+
+            const quantity = Math.min(line.quantity, available);
+            if (cartItem) {
+                cartItem.quantity += quantity;
+                cartItem.price = product.price;
+            } else {
+                cart.items.push(this.buildCartItem(product, quantity));
+            }
+
+            const report = {
+                product: product._id,
+                name: product.name,
+                quantity,
+                price: product.price,
+                previousPrice: line.price
+            };
+            if (quantity < line.quantity) {
+                adjusted.push({ ...report, requested: line.quantity, reason: `Only ${available} available in stock` });
+            } else {
+                added.push(report);
+            }
+        }
+
+        if (added.length > 0 || adjusted.length > 0) {
+            await cart.save();
+        }
+
+        return { cart, added, adjusted, dropped };
+    }
+
+    static async removeCoupon(user) {
+        const cart = await Cart.findOneAndUpdate(
+            { user: user._id },
+            { $unset: { couponCode: 1 } },
+            { new: true }
+        );
+        if (!cart) {
+            throw new NotFoundError('Cart not found');
+        }
+        return cart;
+    }
+}
+
+export default CartService;
@@ -0,0 +1,278 @@
+import mongoose from 'mongoose';
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import { roundMoney } from './pricingService.js';
+import { AppError, ConflictError, NotFoundError } from '../middleware/errorHandler.js';
+
+const COUPON_FIELDS = [
+    'code', 'description', 'type', 'value', 'maxDiscount', 'minOrderAmount', 'startsAt', 'expiresAt',
+    'usageLimit', 'perUserLimit', 'products', 'categories', 'isActive'
+];
+
+class CouponService {
+    static normalizeCode(code) {
+        return String(code || '').trim().toUpperCase();
+    }
+
+    // Lines the coupon discounts; unrestricted coupons cover the whole order
+    static eligibleLines(coupon, lines) {
+        const products = (coupon.products || []).map(id => id.toString());
+        const categories = (coupon.categories || []).map(category => category.toLowerCase());
+        if (products.length === 0 && categories.length === 0) {
+            return lines;
+        }
+
+        return lines.filter(line =>
+            products.includes(line.product.toString()) ||
+            categories.includes(String(line.category || '').toLowerCase())
+        );
+    }
+
+    /**
+     * Check a coupon's window and restrictions against priced lines and work out its discount.
+     * @param {Object} coupon - Coupon document
+     * @param {Object} params
+     * @param {Array} params.lines - Priced quote lines
+     * @param {number} params.merchandiseTotal - Order subtotal after other discounts
+     * @param {Date} [params.now]
+     * @returns {{ discount: number, freeShipping: boolean, eligibleAmount: number }}
+     * @throws {AppError} When the coupon cannot be used on these lines
+     */
+    static evaluate(coupon, { lines, merchandiseTotal, now = new Date() }) {
+        if (!coupon.isActive) {
+            throw new AppError('This coupon is no longer active', 400);
+        }
+        if (coupon.startsAt && now < coupon.startsAt) {
+            throw new AppError('This coupon is not valid yet', 400);
+        }
+        if (coupon.expiresAt && now > coupon.expiresAt) {
+            throw new AppError('This coupon has expired', 400);
+        }
+
+        const eligible = this.eligibleLines(coupon, lines);
+        if (eligible.length === 0) {
+            throw new AppError('This coupon does not apply to any item in your order', 400);
+        }
+
+        const eligibleAmount = roundMoney(eligible.reduce((sum, line) => sum + line.lineTotal, 0));
+        if (coupon.minOrderAmount && eligibleAmount < coupon.minOrderAmount) {
+            throw new AppError(`This coupon requires a minimum spend of ${coupon.minOrderAmount}`, 400);
+        }
+
+        let discount = 0;
+        if (coupon.type === 'percentage') {
+            discount = (eligibleAmount * coupon.value) / 100;
+            if (coupon.maxDiscount) discount = Math.min(discount, coupon.maxDiscount);
+        } else if (coupon.type === 'fixed') {
+            discount = Math.min(coupon.value, eligibleAmount);
+        }
+
+        return {
+            discount: roundMoney(Math.min(discount, merchandiseTotal)),
+            freeShipping: coupon.type === 'free_shipping',
+            eligibleAmount
+        };
+    }
+
+    static async assertUsageAvailable(coupon, userId, session = null) {
+        if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+            throw new AppError('This coupon has reached its usage limit', 400);
+        }
+
+        if (userId) {
+            const used = await CouponRedemption.countDocuments({
+                coupon: coupon._id,
+                user: userId,
+                status: 'redeemed'
+            }).session(session);
+            if (used >= coupon.perUserLimit) {
+                throw new AppError('You have already used this coupon', 400);
+            }
+        }
+    }
+
+    /**
+     * Look up a code and price it against a quote's lines.
+     * @returns {Promise<Object>} { id, code, type, discount, freeShipping }
+     */
+    static async resolve({ code, user, lines, merchandiseTotal, session = null }) {
+        const coupon = await Coupon.findOne({ code: this.normalizeCode(code) }).session(session);
+        if (!coupon) {
+            throw new AppError('Invalid coupon code', 400);
+        }
+
+        const { discount, freeShipping } = this.evaluate(coupon, { lines, merchandiseTotal });
+        await this.assertUsageAvailable(coupon, user?._id, session);
+
+        return {
+            id: coupon._id,
+            code: coupon.code,
+            type: coupon.type,
+            discount,
+            freeShipping
+        };
+    }
+
+    /**
+     * Record the use of a quoted coupon on a new order, inside the order's transaction.
+     * The usage counter only moves while it is below the limit, so concurrent checkouts
+     * cannot overspend a limited code.
+     */
+    static async redeem({ coupon, user, order, session = null }) {
+        const claimed = await Coupon.findOneAndUpdate(
+            {
+                _id: coupon.id,
+                $or: [
+                    { usageLimit: null },
+                    { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+                ]
+            },
+            { $inc: { usedCount: 1 } },
+            { new: true, session }
+        );
+        if (!claimed) {
+            throw new ConflictError('This coupon has reached its usage limit');
+        }
+
+        await this.assertUsageAvailable({ ...claimed.toObject(), usageLimit: null }, user._id, session);
+
+        const [redemption] = await CouponRedemption.create([{
+            coupon: claimed._id,
+            code: claimed.code,
+            user: user._id,
+            order: order._id,
+            discount: coupon.discount
+        }], { session });
+
+        return redemption;
+    }
+
+    // Give the use back when an order is cancelled, rejected or abandoned
+    static async releaseForOrder(orderId, { session = null } = {}) {
+        const redemption = await CouponRedemption.findOneAndUpdate(
+            { order: orderId, status: 'redeemed' },
+            { status: 'released', releasedAt: new Date() },
+            { new: true, session }
+        );
+        if (!redemption) return null;
+
+        await Coupon.updateOne({ _id: redemption.coupon, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } }, { session });
+        return redemption;
+    }
+
+    static validateCoupon(data) {
+        if (data.type === 'percentage' && (data.value === undefined || data.value <= 0 || data.value > 100)) {
+            throw new AppError('Percentage coupons need a value between 0 and 100', 400);
+        }
+        if (data.type === 'fixed' && !(data.value > 0)) {
+            throw new AppError('Fixed coupons need a positive value', 400);
+        }
+        if (data.startsAt && data.expiresAt && new Date(data.startsAt) >= new Date(data.expiresAt)) {
+            throw new AppError('expiresAt must be after startsAt', 400);
+        }
+        if (data.products && !data.products.every(id => mongoose.Types.ObjectId.isValid(id))) {
+            throw new AppError('products must be a list of product IDs', 400);
+        }
+    }
+
+    static pickCouponFields(data) {
+        return Object.fromEntries(COUPON_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]]));
+    }
+
+    static async listCoupons({ active, page = 1, limit = 20 } = {}) {
+        const filter = active === undefined ? {} : { isActive: active };
+        const [coupons, total] = await Promise.all([
+            Coupon.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+            Coupon.countDocuments(filter)
+        ]);
+
+        return {
+            coupons,
+            pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        };
+    }
+
+    static async getCoupon(couponId) {
+        const coupon = await Coupon.findById(couponId).populate('products', 'name sku');
+        if (!coupon) {
+            throw new NotFoundError('Coupon not found');
+        }
+        return coupon;
+    }
+
+    static async createCoupon(data, admin) {
+        this.validateCoupon(data);
+        const existing = await Coupon.findOne({ code: this.normalizeCode(data.code) });
+        if (existing) {
+            throw new ConflictError(`Coupon code ${existing.code} already exists`);
+        }
+
+        return Coupon.create({ ...this.pickCouponFields(data), createdBy: admin?._id });
+    }
+
+    static async updateCoupon(couponId, data) {
+        const coupon = await Coupon.findById(couponId);
+        if (!coupon) {
+            throw new NotFoundError('Coupon not found');
+        }
+
+        this.validateCoupon({ ...coupon.toObject(), ...data });
+        coupon.set(this.pickCouponFields(data));
+        return coupon.save();
+    }
+
+    // Redeemed coupons are kept for order history; deactivate them instead
+    static async deleteCoupon(couponId) {
+        const coupon = await Coupon.findById(couponId);
+        if (!coupon) {
+            throw new NotFoundError('Coupon not found');
+        }
+        if (await CouponRedemption.exists({ coupon: coupon._id })) {
+            throw new ConflictError('Coupon has been redeemed; deactivate it instead');
+        }
+
+        await coupon.deleteOne();
+        return coupon;
+    }
+
+    /**
+     * Redemption stats for one coupon, or every coupon when no id is given.
+     * @param {string} [couponId]
+     */
+    static async getStats(couponId) {
+        const match = { status: 'redeemed' };
+        if (couponId) {
+            match.coupon = new mongoose.Types.ObjectId(String(couponId));
+        }
+
+        const stats = await CouponRedemption.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: '$coupon',
+                    code: { $first: '$code' },
+                    redemptions: { $sum: 1 },
+                    totalDiscount: { $sum: '$discount' },
+                    users: { $addToSet: '$user' },
+                    lastRedeemedAt: { $max: '$createdAt' }
+                }
+            },
+            {
+                $project: {
+                    _id: 0,
+                    coupon: '$_id',
+                    code: 1,
+                    redemptions: 1,
+                    totalDiscount: { $round: ['$totalDiscount', 2] },
+                    uniqueUsers: { $size: '$users' },
+                    lastRedeemedAt: 1
+                }
+            },
+            { $sort: { redemptions: -1 } }
+        ]);
+
+        return couponId ? (stats[0] || { coupon: couponId, redemptions: 0, totalDiscount: 0, uniqueUsers: 0 }) : stats;
+    }
+}
+
+export default CouponService;
@@ -1,164 +1,176 @@
+import crypto from 'crypto';
 import axios from 'axios';
 import config from '../config/environment.js';
 import Order from '../models/Order.js';
+import PaymentService from './paymentService.js';
 import { AppError } from '../middleware/errorHandler.js';
 
-const FLUTTERWAVE_BASE_URL = config.FLUTTERWAVE_BASE_URL;
-const FLUTTERWAVE_SECRET_KEY = config.FLUTTERWAVE_SECRET_KEY;
-const FLUTTERWAVE_PUBLIC_KEY = config.FLUTTERWAVE_PUBLIC_KEY;
-
 class FlutterwaveService {
-    static async initializePayment(orderId, amount, customer, callbackUrl) {
-        try {
-            const order = await Order.findById(orderId);
-            if (!order) {
-                throw new AppError('Order not found', 404);
+    /**
+     * Create a hosted payment link for an order, or for anything else given its own
+     * description and meta.
+     * @returns {Promise<Object>} { link, ... }
+     */
+    static async createPaymentLink({ txRef, amount, currency = 'NGN', customer, callbackUrl, order, description, meta }) {
+        const response = await this.client().post('/payments', {
+            tx_ref: txRef,
+            amount,
+            currency,
+            payment_options: 'card,ussd,account,banktransfer',
+            redirect_url: callbackUrl,
+            customer: {
+                email: customer.email,
+                phonenumber: customer.phone || '',
+                name: customer.name || 'Customer'
+            },
+            customizations: {
+                title: 'Epilux Store',
+                description: description || `Payment for Order #${order.orderNumber}`,
+                logo: process.env.STORE_LOGO_URL || ''
+            },
+            meta: meta || {
+                order_id: order._id.toString(),
+                order_number: order.orderNumber
             }
+        });
+        return response.data.data;
+    }
 
-            const tx_ref = `ORDER-${order.orderNumber}-${Date.now()}`;
-            const payload = {
-                tx_ref,
-                amount: amount,
-                currency: 'NGN', // Default to Naira, can be made configurable
-                payment_options: 'card,ussd,account,banktransfer',
-                redirect_url: callbackUrl,
-                customer: {
-                    email: customer.email,
-                    phonenumber: customer.phone || '',
-                    name: customer.name || 'Customer'
-                },
-                customizations: {
-                    title: 'Epilux Store',
-                    description: `Payment for Order #${order.orderNumber}`,
-                    logo: process.env.STORE_LOGO_URL || ''
-                },
-                meta: {
-                    order_id: orderId,
-                    order_number: order.orderNumber
-                }
-            };
-
-            const response = await axios.post(
-                `${FLUTTERWAVE_BASE_URL}/payments`,
-                payload,
-                {
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${FLUTTERWAVE_SECRET_KEY}`
-                    }
-                }
+    static async verifyPayment(transactionId) {
+        let transaction;
+        try {
+            const response = await this.client().get(`/transactions/${encodeURIComponent(transactionId)}/verify`);
+            transaction = response.data.data;
+        } catch (error) {
+            console.error('Flutterwave payment verification error:', error.response?.data || error.message);
+            throw new AppError(
+                error.response?.data?.message || 'Failed to verify Flutterwave payment',
+                error.response?.status || 500
             );
+        }
 
-            // Save payment reference to order
-            order.payment = {
-                reference: tx_ref,
-                status: 'pending',
-                method: 'flutterwave',
-                amount: amount,
-                initiatedAt: new Date(),
-                provider: 'flutterwave',
-                providerData: {
-                    flw_ref: response.data.data.flw_ref,
-                    payment_type: response.data.data.payment_type
-                }
-            };
-            await order.save();
+        const { id, status, amount, currency, tx_ref, created_at } = transaction;
+        const order = await Order.findOne({ 'payment.reference': tx_ref, 'payment.provider': 'flutterwave' });
+        if (!order) {
+            return { status: String(status || '').toLowerCase(), amount, currency, reference: tx_ref };
+        }
+
+        // Amount and currency are checked against the order before it is marked paid
+        const result = await PaymentService.reconcile(order, {
+            status,
+            amountPaid: amount,
+            currency,
+            transactionId: id,
+            paidAt: created_at
+        });
+
+        return {
+            status: String(status || '').toLowerCase(),
+            paymentStatus: result.status,
+            amount,
+            currency,
+            reference: tx_ref,
+            orderId: order._id,
+            ...(result.mismatch && { mismatch: result.mismatch })
+        };
+    }
 
-            return {
-                paymentUrl: response.data.data.link,
-                paymentReference: tx_ref,
-                publicKey: FLUTTERWAVE_PUBLIC_KEY
-            };
+    // Requests made at call time so FLUTTERWAVE_BASE_URL can point at a local stub
+    static client() {
+        return axios.create({
+            baseURL: config.FLUTTERWAVE_BASE_URL,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${config.FLUTTERWAVE_SECRET_KEY}`
+            }
+        });
+    }
 
+    static async getTransactionByReference(txRef) {
+        try {
+            const response = await this.client().get('/transactions/verify_by_reference', {
+                params: { tx_ref: txRef }
+            });
+            return response.data.data;
         } catch (error) {
-            console.error('Flutterwave payment initialization error:', error.response?.data || error.message);
+            console.error('Flutterwave transaction lookup error:', error.response?.data || error.message);
             throw new AppError(
-                error.response?.data?.message || 'Failed to initialize Flutterwave payment',
+                error.response?.data?.message || 'Failed to look up Flutterwave transaction',
                 error.response?.status || 500
             );
         }
     }
 
-    static async verifyPayment(transactionId) {
+    /**
+     * Successful charges between two dates (inclusive, YYYY-MM-DD), across all result pages.
+     * @returns {Promise<Array>} Flutterwave transactions ({ id, tx_ref, amount, app_fee, currency, created_at, ... })
+     */
+    static async listTransactions({ from, to }) {
+        const transactions = [];
         try {
-            const response = await axios.get(
-                `${FLUTTERWAVE_BASE_URL}/transactions/${transactionId}/verify`,
-                {
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${FLUTTERWAVE_SECRET_KEY}`
-                    }
-                }
-            );
-
-            const { status, amount, currency, tx_ref, flw_ref, created_at } = response.data.data;
-            
-            // Find and update order
-            const order = await Order.findOne({ 'payment.reference': tx_ref });
-            if (order) {
-                order.payment.status = status.toLowerCase();
-                order.payment.verifiedAt = new Date();
-                order.payment.amountPaid = amount;
-                order.payment.currency = currency;
-                order.payment.providerData = {
-                    ...(order.payment.providerData || {}),
-                    flw_ref,
-                    verifiedAt: new Date(created_at)
-                };
-                
-                if (status.toLowerCase() === 'successful') {
-                    order.status = 'processing'; // Update order status
-                }
-                
-                await order.save();
+            for (let page = 1; ; page++) {
+                const response = await this.client().get('/transactions', {
+                    params: { from, to, status: 'successful', page }
+                });
+                transactions.push(...(response.data.data || []));
+
+                const totalPages = response.data.meta?.page_info?.total_pages || 1;
+                if (page >= totalPages) break;
             }
-
-            return {
-                status: status.toLowerCase(),
-                amount,
-                currency,
-                reference: tx_ref,
-                orderId: order?._id
-            };
-
+            return transactions;
         } catch (error) {
-            console.error('Flutterwave payment verification error:', error.response?.data || error.message);
+            console.error('Flutterwave transaction list error:', error.response?.data || error.message);
             throw new AppError(
-                error.response?.data?.message || 'Failed to verify Flutterwave payment',
+                error.response?.data?.message || 'Failed to list Flutterwave transactions',
                 error.response?.status || 500
             );
         }
     }
 
-    static async handleWebhook(payload, signature) {
+    /**
+     * Refund a charge in full (amount omitted) or in part.
+     * @returns {Promise<Object>} Flutterwave refund object ({ id, status, amount_refunded, ... })
+     */
+    static async refundTransaction(transactionId, amount) {
         try {
-            // Verify webhook signature
-            const secretHash = config.FLUTTERWAVE_WEBHOOK_HASH;
-            
-            // Verify the webhook signature
-            const crypto = await import('crypto');
-            const hash = crypto
-                .createHmac('sha512', secretHash)
-                .update(JSON.stringify(payload))
-                .digest('hex');
-
-            if (hash !== signature) {
-                throw new AppError('Invalid webhook signature', 401);
-            }
-
-            const { event, data } = payload;
-            
-            if (event === 'charge.completed' || event === 'charge.successful') {
-                return await this.verifyPayment(data.id);
-            }
-
-            return { status: 'ignored', message: 'No action taken' };
+            const response = await this.client().post(
+                `/transactions/${transactionId}/refund`,
+                amount ? { amount } : {}
+            );
+            return response.data.data;
+        } catch (error) {
+            console.error('Flutterwave refund error:', error.response?.data || error.message);
+            throw new AppError(
+                error.response?.data?.message || 'Failed to refund Flutterwave payment',
+                error.response?.status || 500
+            );
+        }
+    }
 
+    static async getRefund(refundId) {
+        try {
+            const response = await this.client().get(`/refunds/${refundId}`);
+            return response.data.data;
         } catch (error) {
-            console.error('Flutterwave webhook processing error:', error);
-            throw error;
+            console.error('Flutterwave refund lookup error:', error.response?.data || error.message);
+            throw new AppError(
+                error.response?.data?.message || 'Failed to fetch Flutterwave refund',
+                error.response?.status || 500
+            );
         }
     }
+
+    // Flutterwave sends the secret hash set on its dashboard, unchanged, in the verif-hash header
+    static verifyWebhookSignature(signature) {
+        if (!config.FLUTTERWAVE_WEBHOOK_HASH) {
+            throw new AppError('Flutterwave webhook hash is not configured', 503);
+        }
+        if (!signature) return false;
+
+        const expected = Buffer.from(config.FLUTTERWAVE_WEBHOOK_HASH);
+        const given = Buffer.from(String(signature));
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    }
 }
 
 export default FlutterwaveService;
@@ -2,6 +2,7 @@ import Order from '../models/Order.js';
 import User from '../models/User.js';
 import CommissionService from './commissionService.js';
 import Wallet from '../models/Wallet.js';
+import OrderLifecycle, { SYSTEM } from './orderLifecycle.js';
 
 class MarketerService {
     // Assign order to a marketer
@@ -23,23 +24,21 @@ class MarketerService {
             assignmentExpiresAt.setDate(assignmentExpiresAt.getDate() + 7); // 7 days to deliver
 
             // Update order with marketer assignment
-            const updatedOrder = await Order.findByIdAndUpdate(
-                orderId,
-                {
+            const updatedOrder = await OrderLifecycle.transition(orderId, 'assigned', {
+                actor: SYSTEM,
+                note: 'Assigned to marketer',
+                fields: {
                     marketer: marketer._id,
-                    assignedAt: new Date(),
-                    assignmentExpiresAt,
-                    status: 'assigned',
-                    $push: {
-                        previousMarketers: {
-                            marketerId: marketer._id,
-                            assignedAt: new Date(),
-                            reason: 'Initial assignment'
-                        }
-                    }
+                    assignmentExpiresAt
                 },
-                { new: true }
-            );
+                push: {
+                    previousMarketers: {
+                        marketerId: marketer._id,
+                        assignedAt: new Date(),
+                        reason: 'Initial assignment'
+                    }
+                }
+            });
 
             // Increment marketer's assigned orders count
             await User.findByIdAndUpdate(marketer._id, {
@@ -98,8 +97,8 @@ class MarketerService {
         }
     }
 
-    // Mark order as delivered by marketer
-    static async markAsDelivered(orderId, marketerId, deliveryProof) {
+    // Mark order as delivered by the marketer (or affiliate) acting
+    static async markAsDelivered(orderId, actor, deliveryProof) {
         try {
             const order = await Order.findById(orderId);
             
@@ -107,30 +106,30 @@ class MarketerService {
                 throw new Error('Order not found');
             }
 
-            if (order.marketer.toString() !== marketerId) {
-                throw new Error('Not authorized to update this order');
-            }
-
-            order.deliveryProof = deliveryProof;
-            order.markedDeliveredAt = new Date();
-            order.status = 'delivered';
-            await order.save();
+            const updatedOrder = await OrderLifecycle.transition(order, 'delivered', {
+                actor,
+                note: 'Marked as delivered by marketer',
+                fields: {
+                    deliveryProof,
+                    markedDeliveredAt: new Date()
+                }
+            });
 
             // TODO: Send notification to customer to confirm delivery
 
-            return order;
+            return updatedOrder;
         } catch (error) {
             console.error('Error marking order as delivered:', error);
             throw error;
         }
     }
 
-    // Confirm order delivery by customer
-    static async confirmDelivery(orderId, userId) {
+    // Confirm order delivery by the customer acting
+    static async confirmDelivery(orderId, actor) {
         try {
             const order = await Order.findOne({
                 _id: orderId,
-                buyer: userId,
+                buyer: actor._id,
                 status: 'delivered',
                 customerConfirmed: false
             });
@@ -139,9 +138,14 @@ class MarketerService {
                 throw new Error('Order not found or already confirmed');
             }
 
-            order.customerConfirmed = true;
-            order.confirmedAt = new Date();
-            order.status = 'completed';
+            const updatedOrder = await OrderLifecycle.transition(order, 'completed', {
+                actor,
+                note: 'Delivery confirmed by customer',
+                fields: {
+                    customerConfirmed: true,
+                    confirmedAt: new Date()
+                }
+            });
             
             // Process commission if not already processed
             if (!order.commissionReleased) {
@@ -150,17 +154,16 @@ class MarketerService {
                     marketerId: order.marketer,
                     amount: order.totalAmount * (order.commissionRate / 100)
                 });
-                order.commissionReleased = true;
+                await Order.updateOne({ _id: order._id }, { commissionReleased: true });
+                updatedOrder.commissionReleased = true;
             }
 
-            await order.save();
-
             // Decrement marketer's assigned orders count
             await User.findByIdAndUpdate(order.marketer, {
                 $inc: { assignedOrdersCount: -1, completedOrdersCount: 1 }
             });
 
-            return order;
+            return updatedOrder;
         } catch (error) {
             console.error('Error confirming delivery:', error);
             throw error;
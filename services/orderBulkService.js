@@ -0,0 +1,240 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import OrderService from './orderService.js';
+import OrderLifecycle from './orderLifecycle.js';
+import { toCsvRow } from '../utils/dataExport.js';
+import { AppError, ConflictError, NotFoundError } from '../middleware/errorHandler.js';
+
+// Upper bound on orders per bulk request, to keep a single request's runtime predictable
+const MAX_BULK_ORDERS = 200;
+
+const DELIVERY_ROLES = ['marketer', 'affiliate'];
+
+const CSV_COLUMNS = [
+    ['Order Number', order => order.orderNumber],
+    ['Created At', order => order.createdAt],
+    ['Status', order => order.status],
+    ['Payment Method', order => order.paymentMethod],
+    ['Payment Status', order => order.paymentStatus],
+    ['Customer Name', order => order.customerInfo?.name],
+    ['Customer Email', order => order.customerInfo?.email],
+    ['Customer Phone', order => order.customerInfo?.phone],
+    ['Guest', order => !!order.isGuest],
+    ['Address', order => order.shippingAddress?.address],
+    ['City', order => order.shippingAddress?.city],
+    ['State', order => order.shippingAddress?.state],
+    ['Items', order => order.items.map(item => `${item.quantity} x ${item.name || item.product}`).join('; ')],
+    ['Item Count', order => order.items.reduce((sum, item) => sum + item.quantity, 0)],
+    ['Subtotal', order => order.subtotal],
+    ['Discount', order => order.discountAmount],
+    ['Coupon', order => order.coupon?.code],
+    ['Shipping Fee', order => order.shippingFee],
+    ['Tax', order => order.taxAmount],
+    ['Total', order => order.totalAmount],
+    ['Marketer', order => order.marketer ? [order.marketer.firstName, order.marketer.lastName].filter(Boolean).join(' ') : ''],
+    ['Assigned At', order => order.assignedAt],
+    ['Delivered At', order => order.deliveredAt],
+    ['Cancelled At', order => order.cancelledAt],
+    ['Cancellation Reason', order => order.cancellationReason]
+];
+
+class OrderBulkService {
+    /**
+     * Apply an operation to each order independently. One order failing never stops the others;
+     * every id gets a line in the report.
+     * @param {Array<string>} orderIds
+     * @param {Function} operation - async (orderId) => updated order
+     * @returns {Promise<{requested: number, succeeded: number, failed: number, results: Array}>}
+     */
+    static async run(orderIds, operation) {
+        const ids = this.normalizeIds(orderIds);
+        const results = [];
+
+        for (const orderId of ids) {
+            if (!mongoose.Types.ObjectId.isValid(orderId)) {
+                results.push({ orderId, success: false, statusCode: 400, error: 'Invalid order ID' });
+                continue;
+            }
+
+            try {
+                const order = await operation(orderId);
+                results.push({
+                    orderId,
+                    orderNumber: order.orderNumber,
+                    success: true,
+                    status: order.status,
+                    marketer: order.marketer
+                });
+            } catch (error) {
+                results.push({
+                    orderId,
+                    success: false,
+                    statusCode: error.statusCode || 500,
+                    error: error.statusCode ? error.message : 'Unexpected error updating order'
+                });
+                if (!error.statusCode) {
+                    console.error(`Bulk operation failed for order ${orderId}:`, error);
+                }
+            }
+        }
+
+        const succeeded = results.filter(result => result.success).length;
+        return {
+            requested: ids.length,
+            succeeded,
+            failed: ids.length - succeeded,
+            results
+        };
+    }
+
+    static normalizeIds(orderIds) {
+        if (!Array.isArray(orderIds) || orderIds.length === 0) {
+            throw new AppError('orderIds must be a non-empty array', 400);
+        }
+
+        const ids = [...new Set(orderIds.map(id => String(id).trim()))];
+        if (ids.length > MAX_BULK_ORDERS) {
+            throw new AppError(`A bulk request can include at most ${MAX_BULK_ORDERS} orders`, 400);
+        }
+        return ids;
+    }
+
+    // Move every order to `status` through the lifecycle, as a single admin update would
+    static async updateStatus(orderIds, status, admin, { reason, note } = {}) {
+        if (!status) {
+            throw new AppError('Status is required', 400);
+        }
+        if (status === 'assigned') {
+            throw new AppError('Use the bulk assign endpoint to assign orders to a marketer', 400);
+        }
+
+        return this.run(orderIds, orderId =>
+            OrderService.updateOrderStatus(orderId, status, admin, { reason, note })
+        );
+    }
+
+    static async cancel(orderIds, admin, reason) {
+        if (!reason?.trim()) {
+            throw new AppError('A reason is required to cancel orders', 400);
+        }
+
+        return this.run(orderIds, orderId =>
+            OrderService.updateOrderStatus(orderId, 'cancelled', admin, {
+                reason: reason.trim(),
+                note: `Order cancelled by admin. ${reason.trim()}`
+            })
+        );
+    }
+
+    /**
+     * Assign orders to a marketer, or move them from their current marketer.
+     * Each order keeps a previousMarketers entry for the marketer it was taken from.
+     */
+    static async assign(orderIds, marketerId, admin, { reason } = {}) {
+        if (!mongoose.Types.ObjectId.isValid(marketerId)) {
+            throw new AppError('A valid marketerId is required', 400);
+        }
+
+        const marketer = await User.findOne({ _id: marketerId, role: { $in: DELIVERY_ROLES } });
+        if (!marketer) {
+            throw new NotFoundError('Marketer not found');
+        }
+        if (!marketer.isActive) {
+            throw new AppError('Marketer account is not active', 400);
+        }
+
+        return this.run(orderIds, orderId => this.assignOne(orderId, marketer, admin, reason));
+    }
+
+    static async assignOne(orderId, marketer, admin, reason) {
+        const order = await Order.findById(orderId);
+        if (!order) {
+            throw new NotFoundError('Order not found');
+        }
+
+        const previousMarketer = order.marketer;
+        if (previousMarketer?.toString() === marketer._id.toString()) {
+            throw new ConflictError('Order is already assigned to this marketer');
+        }
+
+        const now = new Date();
+        const history = [];
+        if (previousMarketer) {
+            history.push({
+                marketerId: previousMarketer,
+                assignedAt: order.assignedAt,
+                unassignedAt: now,
+                reason: reason || 'Reassigned by admin'
+            });
+        }
+        history.push({
+            marketerId: marketer._id,
+            assignedAt: now,
+            reason: previousMarketer ? 'Reassignment' : 'Assigned by admin'
+        });
+
+        const updated = await OrderLifecycle.transition(order, 'assigned', {
+            actor: admin,
+            note: previousMarketer ? `Reassigned to marketer${reason ? `: ${reason}` : ''}` : 'Assigned to marketer',
+            fields: { marketer: marketer._id },
+            push: { previousMarketers: { $each: history } }
+        });
+
+        await User.updateOne({ _id: marketer._id }, { $inc: { assignedOrdersCount: 1 } });
+        if (previousMarketer) {
+            await User.updateOne({ _id: previousMarketer }, { $inc: { assignedOrdersCount: -1 } });
+        }
+
+        return updated;
+    }
+
+    /**
+     * Stream orders matching the admin search criteria to `output` as CSV, one row per order.
+     * Rows are written as the cursor yields them, so memory use does not grow with the export.
+     * @param {Object} criteria - Same filters as OrderService.searchOrders
+     * @param {import('stream').Writable} output
+     * @returns {Promise<number>} Rows written
+     */
+    static async exportCsv(criteria, output) {
+        const { filter } = OrderService.buildSearchFilter(criteria);
+
+        // Byte order mark so spreadsheet apps read the file as UTF-8
+        output.write('\uFEFF' + toCsvRow(CSV_COLUMNS.map(([header]) => header)));
+
+        const cursor = Order.find(filter)
+            .select('-statusHistory -tracking -previousMarketers -payment.providerData')
+            .populate('marketer', 'firstName lastName')
+            .sort({ createdAt: -1 })
+            .lean()
+            .cursor();
+
+        let rows = 0;
+        for await (const order of cursor) {
+            const line = toCsvRow(CSV_COLUMNS.map(([, value]) => value(order)));
+            // Respect backpressure from slow clients instead of buffering the whole export
+            if (!output.write(line)) {
+                await this.waitForDrain(output);
+            }
+            // Client went away; leaving the loop closes the cursor
+            if (output.destroyed) break;
+            rows++;
+        }
+
+        return rows;
+    }
+
+    static waitForDrain(output) {
+        return new Promise(resolve => {
+            const done = () => {
+                output.off('drain', done);
+                output.off('close', done);
+                resolve();
+            };
+            output.on('drain', done);
+            output.on('close', done);
+        });
+    }
+}
+
+export default OrderBulkService;
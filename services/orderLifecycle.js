@@ -0,0 +1,220 @@
+import Order from '../models/Order.js';
+import StockReservationService from './stockReservationService.js';
+import CouponService from './couponService.js';
+import { ROLES } from '../middleware/auth.js';
+import { AppError, AuthorizationError, ConflictError, NotFoundError } from '../middleware/errorHandler.js';
+
+// Actor for scheduled jobs, payment webhooks and automatic assignment
+export const SYSTEM = 'system';
+
+export const ORDER_STATUSES = [
+    'pending', 'processing', 'assigned', 'in_transit', 'delivered',
+    'completed', 'cancelled', 'rejected', 'abandoned'
+];
+
+const BUYER_ROLES = [ROLES.USER, ROLES.CUSTOMER];
+// Affiliates can be assigned orders to deliver, same as marketers
+const DELIVERY_ROLES = [ROLES.MARKETER, 'affiliate'];
+
+/**
+ * Allowed transitions: from -> to -> { roles, requires }.
+ * `requires` lists fields the caller must supply (`reason`, or keys of `fields`).
+ * Buyers may only act on their own orders and marketers/affiliates on orders assigned to them.
+ */
+export const TRANSITIONS = {
+    pending: {
+        processing: { roles: [ROLES.ADMIN, SYSTEM] },
+        assigned: { roles: [ROLES.ADMIN, SYSTEM], requires: ['marketer'] },
+        cancelled: { roles: [ROLES.ADMIN, ...BUYER_ROLES] },
+        rejected: { roles: [ROLES.ADMIN, ...DELIVERY_ROLES], requires: ['reason'] },
+        abandoned: { roles: [SYSTEM] }
+    },
+    processing: {
+        assigned: { roles: [ROLES.ADMIN, SYSTEM], requires: ['marketer'] },
+        cancelled: { roles: [ROLES.ADMIN, ...BUYER_ROLES] },
+        rejected: { roles: [ROLES.ADMIN, ...DELIVERY_ROLES], requires: ['reason'] }
+    },
+    assigned: {
+        // Reassignment to another marketer
+        assigned: { roles: [ROLES.ADMIN, SYSTEM], requires: ['marketer'] },
+        in_transit: { roles: [ROLES.ADMIN, ...DELIVERY_ROLES] },
+        delivered: { roles: [ROLES.ADMIN, ...DELIVERY_ROLES] },
+        cancelled: { roles: [ROLES.ADMIN, ...BUYER_ROLES] },
+        rejected: { roles: [ROLES.ADMIN, ...DELIVERY_ROLES], requires: ['reason'] },
+        abandoned: { roles: [SYSTEM] }
+    },
+    in_transit: {
+        delivered: { roles: [ROLES.ADMIN, ...DELIVERY_ROLES] },
+        cancelled: { roles: [ROLES.ADMIN, ...DELIVERY_ROLES], requires: ['reason'] },
+        rejected: { roles: [ROLES.ADMIN, ...DELIVERY_ROLES], requires: ['reason'] }
+    },
+    delivered: {
+        completed: { roles: [ROLES.ADMIN, SYSTEM, ...BUYER_ROLES] }
+    },
+    // A payment that lands after the stock hold expired revives the order
+    abandoned: {
+        processing: { roles: [ROLES.ADMIN, SYSTEM] }
+    },
+    completed: {},
+    cancelled: {},
+    rejected: {}
+};
+
+// Fields stamped when an order enters a status
+const ENTRY_FIELDS = {
+    assigned: ({ now, fields }) => ({
+        assignedAt: now,
+        assignmentExpiresAt: fields.assignmentExpiresAt || new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000)
+    }),
+    in_transit: ({ now }) => ({ inTransitAt: now }),
+    delivered: ({ now }) => ({ deliveredAt: now }),
+    completed: ({ now }) => ({ completedAt: now }),
+    cancelled: ({ now, reason }) => ({ cancelledAt: now, cancellationReason: reason }),
+    rejected: ({ now, reason }) => ({ rejectedAt: now, rejectionReason: reason })
+};
+
+const hooks = new Map();
+
+const actorRole = (actor) => (actor === SYSTEM ? SYSTEM : actor?.role);
+const actorId = (actor) => (actor === SYSTEM ? undefined : (actor?._id || actor?.id));
+
+class OrderLifecycle {
+    /**
+     * Register a side effect to run after an order enters `status`.
+     * Hooks receive (order, { from, to, actor, reason, session }); failures are logged, not thrown.
+     * @param {string|string[]} status
+     * @param {Function} hook
+     */
+    static on(status, hook) {
+        for (const s of [].concat(status)) {
+            if (!hooks.has(s)) hooks.set(s, []);
+            hooks.get(s).push(hook);
+        }
+    }
+
+    static canTransition(from, to, actor) {
+        return !!TRANSITIONS[from]?.[to]?.roles.includes(actorRole(actor));
+    }
+
+    // Throws 409 for a transition the actor's role may not make, 403 for someone else's order
+    // and 400 for missing required fields
+    static assertTransition(order, to, actor, { reason, fields = {} } = {}) {
+        if (!ORDER_STATUSES.includes(to)) {
+            throw new AppError(`Invalid order status: ${to}`, 400);
+        }
+
+        const rule = TRANSITIONS[order.status]?.[to];
+        const role = actorRole(actor);
+
+        if (!rule || !rule.roles.includes(role)) {
+            throw new ConflictError(`Cannot change order status from ${order.status} to ${to}`, {
+                from: order.status,
+                to,
+                role,
+                allowed: this.allowedTransitions(order.status, actor)
+            });
+        }
+
+        if (BUYER_ROLES.includes(role)) {
+            const owner = (order.buyer || order.userId)?.toString();
+            if (owner !== actorId(actor)?.toString()) {
+                throw new AuthorizationError('Only the buyer can change the status of this order');
+            }
+        }
+        if (DELIVERY_ROLES.includes(role) && order.marketer?.toString() !== actorId(actor)?.toString()) {
+            throw new AuthorizationError('Order is not assigned to you');
+        }
+
+        const missing = (rule.requires || []).filter(field =>
+            field === 'reason' ? !reason?.trim() : !fields[field]
+        );
+        if (missing.length > 0) {
+            throw new AppError(`Missing required fields for ${to}: ${missing.join(', ')}`, 400);
+        }
+    }
+
+    static allowedTransitions(from, actor) {
+        return Object.keys(TRANSITIONS[from] || {}).filter(to => this.canTransition(from, to, actor));
+    }
+
+    /**
+     * Move an order to a new status. The update only applies if the order is still in the
+     * status it was read in, so concurrent changes surface as a 409 instead of being overwritten.
+     * @param {Object|string} orderOrId - Order document or id
+     * @param {string} to - Target status
+     * @param {Object} options
+     * @param {Object|string} options.actor - User document ({ _id, role }) or SYSTEM
+     * @param {string} [options.reason] - Cancellation/rejection reason
+     * @param {string} [options.note] - Status history note
+     * @param {Object} [options.fields] - Extra order fields to set with the transition
+     * @param {Object} [options.push] - Extra $push operations
+     * @param {Object} [options.session] - Mongoose session
+     * @returns {Promise<Object>} The updated order
+     */
+    static async transition(orderOrId, to, { actor, reason, note, fields = {}, push = {}, session = null } = {}) {
+        const order = typeof orderOrId === 'object' && orderOrId.status
+            ? orderOrId
+            : await Order.findById(orderOrId).session(session);
+
+        if (!order) {
+            throw new NotFoundError('Order not found');
+        }
+
+        this.assertTransition(order, to, actor, { reason, fields });
+
+        const from = order.status;
+        const now = new Date();
+        const set = {
+            ...(ENTRY_FIELDS[to]?.({ now, reason, fields }) || {}),
+            ...fields,
+            status: to
+        };
+
+        const updated = await Order.findOneAndUpdate(
+            { _id: order._id, status: from },
+            {
+                $set: set,
+                $push: {
+                    ...push,
+                    statusHistory: {
+                        status: to,
+                        changedAt: now,
+                        changedBy: actorId(actor),
+                        note: note || reason || ''
+                    }
+                }
+            },
+            { new: true, session }
+        );
+
+        if (!updated) {
+            throw new ConflictError('Order status was changed by another request, please retry');
+        }
+
+        await this.runHooks(updated, { from, to, actor, reason, session });
+
+        return updated;
+    }
+
+    static async runHooks(order, context) {
+        for (const hook of hooks.get(context.to) || []) {
+            try {
+                await hook(order, context);
+            } catch (error) {
+                console.error(`Order lifecycle hook for ${context.to} failed on order ${order._id}:`, error);
+            }
+        }
+    }
+}
+
+// Give back stock still held for an unpaid order
+OrderLifecycle.on(['cancelled', 'rejected'], (order, { to, session }) =>
+    StockReservationService.releaseForOrder(order._id, to, { session })
+);
+
+// Orders that never went through do not use up a coupon
+OrderLifecycle.on(['cancelled', 'rejected', 'abandoned'], (order, { session }) =>
+    CouponService.releaseForOrder(order._id, { session })
+);
+
+export default OrderLifecycle;
@@ -0,0 +1,47 @@
+import Counter from '../models/Counter.js';
+import config from '../config/environment.js';
+
+const SEQUENCE_DIGITS = 6;
+
+class OrderNumberService {
+    // Sequences restart every month: EPX-2026-10-000123
+    static period(date = new Date()) {
+        return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+    }
+
+    static format(seq, { prefix = config.ORDER_NUMBER_PREFIX, date = new Date() } = {}) {
+        return `${prefix}-${this.period(date)}-${String(seq).padStart(SEQUENCE_DIGITS, '0')}`;
+    }
+
+    static async nextSequence(key) {
+        try {
+            const counter = await Counter.findOneAndUpdate(
+                { _id: key },
+                { $inc: { seq: 1 } },
+                { new: true, upsert: true }
+            );
+            return counter.seq;
+        } catch (error) {
+            // Two upserts racing to create a new period's counter; the loser retries as an update
+            if (error.code !== 11000) throw error;
+            const counter = await Counter.findOneAndUpdate({ _id: key }, { $inc: { seq: 1 } }, { new: true });
+            return counter.seq;
+        }
+    }
+
+    /**
+     * Allocate the next order number for the period containing `date`.
+     * The counter is deliberately incremented outside any checkout transaction: concurrent
+     * transactions writing the same counter would abort each other, and a number skipped
+     * by a rolled-back checkout is harmless.
+     * @param {Object} [options]
+     * @param {Date} [options.date] - Defaults to now
+     * @returns {Promise<string>}
+     */
+    static async next({ date = new Date() } = {}) {
+        const seq = await this.nextSequence(`order:${this.period(date)}`);
+        return this.format(seq, { date });
+    }
+}
+
+export default OrderNumberService;
@@ -1,121 +1,294 @@
+import mongoose from 'mongoose';
 import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import Wallet from '../models/Wallet.js';
+import OrderNumberService from './orderNumberService.js';
+import PricingService from './pricingService.js';
+import MarketerService from './marketerService.js';
+import SeasonalPromoService from './seasonalPromoService.js';
+import StockReservationService from './stockReservationService.js';
+import CouponService from './couponService.js';
+import OrderLifecycle from './orderLifecycle.js';
 import { AppError } from '../middleware/errorHandler.js';
 
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
 class OrderService {
-    // Update order status with validation and history tracking
-    static async updateOrderStatus(orderId, newStatus, userId, note = '') {
-        const validStatuses = ['pending', 'processing', 'assigned', 'in_transit', 'delivered', 'completed', 'cancelled', 'rejected'];
+    /**
+     * Create an order from requested items inside the caller's transaction.
+     * Prices come from PricingService; stock is decremented and wallet funds are locked here.
+     * @param {Object} params
+     * @param {Object|null} params.user - Authenticated buyer document, or null for a guest checkout
+     * @param {Array} params.items - [{ product, quantity, price? }]
+     * @param {Object} params.shippingAddress
+     * @param {string} params.paymentMethod
+     * @param {Object} [params.customerInfo] - Buyer contact snapshot; name, email and phone are required for guests
+     * @param {number} [params.totalAmount] - Client total; rejected with 409 if it differs from the quote
+     * @param {string} [params.couponCode] - Discount code to apply
+     * @param {Object} options
+     * @param {Object} options.session - Mongoose session with an active transaction
+     * @returns {Promise<{order: Object, quote: Object}>}
+     */
+    static async createOrder({ user, items, shippingAddress, paymentMethod, customerInfo, totalAmount, couponCode }, { session }) {
+        if (!paymentMethod || typeof paymentMethod !== 'string') {
+            throw new AppError('Payment method is required', 400);
+        }
+
+        if (!shippingAddress || typeof shippingAddress !== 'object') {
+            throw new AppError('Shipping address is required and must be an object', 400);
+        }
+
+        // Validate required fields (phone is only required if customerInfo was provided in request)
+        const missingFields = [];
+        
+        if (customerInfo?.phone !== undefined && !String(customerInfo.phone).trim()) {
+            missingFields.push('customerInfo.phone');
+        }
+        
+        if (!shippingAddress.address) missingFields.push('shippingAddress.address');
+        if (!shippingAddress.city) missingFields.push('shippingAddress.city');
+        if (!shippingAddress.state) missingFields.push('shippingAddress.state');
         
-        if (!validStatuses.includes(newStatus)) {
-            throw new AppError('Invalid order status', 400);
+        if (missingFields.length > 0) {
+            throw new AppError(`Missing required fields: ${missingFields.join(', ')}`, 400);
         }
 
-        const order = await Order.findById(orderId);
-        if (!order) {
-            throw new AppError('Order not found', 404);
+        if (!user) {
+            this.assertGuestCheckout({ customerInfo, paymentMethod, couponCode });
         }
 
-        // Validate status transition
-        this.validateStatusTransition(order.status, newStatus);
+        // Price every line from the Product collection and reject amounts that disagree with it
+        const quote = await PricingService.buildQuote({ items, shippingAddress, couponCode, user, session });
+        if (totalAmount !== undefined) {
+            PricingService.assertMatchesQuote(quote, { items, totalAmount });
+        }
 
-        // Update order status and history
-        const statusUpdate = {
-            status: newStatus,
-            $push: {
-                statusHistory: {
-                    status: newStatus,
-                    changedBy: userId,
-                    note
-                }
+        if (paymentMethod === 'wallet') {
+            const wallet = await Wallet.findOne({ userId: user._id }).session(session);
+            if (!wallet || wallet.availableBalance < quote.total) {
+                throw new AppError('Insufficient wallet balance', 400);
             }
-        };
 
-        // Set timestamps for specific statuses
-        if (newStatus === 'assigned') {
-            statusUpdate.assignedAt = new Date();
-            // Set expiration for delivery (7 days from assignment)
-            const expiresAt = new Date();
-            expiresAt.setDate(expiresAt.getDate() + 7);
-            statusUpdate.assignmentExpiresAt = expiresAt;
-        } else if (newStatus === 'in_transit') {
-            statusUpdate.inTransitAt = new Date();
-        } else if (newStatus === 'delivered') {
-            statusUpdate.deliveredAt = new Date();
-        } else if (newStatus === 'completed') {
-            statusUpdate.completedAt = new Date();
-        } else if (newStatus === 'cancelled' || newStatus === 'rejected') {
-            statusUpdate[`${newStatus}At`] = new Date();
-        }
-
-        const updatedOrder = await Order.findByIdAndUpdate(
-            orderId,
-            statusUpdate,
-            { new: true }
-        );
-
-        // TODO: Send notifications based on status change
+            // Lock funds during order processing
+            wallet.availableBalance -= quote.total;
+            wallet.lockedAmount += quote.total;
+            await wallet.save({ session });
+        }
+        
+        // Validate items and update stock
+        for (const line of quote.items) {
+            const product = await Product.findById(line.product).session(session);
+            
+            if (product.stock < line.quantity) {
+                throw new AppError(`Insufficient stock for product: ${product.name}`, 400);
+            }
+            
+            // Update product stock
+            product.stock -= line.quantity;
+            await product.save({ session });
+        }
+
+        const orderNumber = await OrderNumberService.next();
         
-        return updatedOrder;
+        const order = new Order({
+            orderNumber,
+            userId: user?._id,
+            buyer: user?._id,
+            isGuest: !user,
+            customerInfo: this.buildCustomerInfo(user, customerInfo),
+            items: quote.items.map(line => ({
+                product: line.product,
+                name: line.name,
+                quantity: line.quantity,
+                price: line.unitPrice,
+                taxRate: line.taxRate,
+                taxAmount: line.taxAmount
+            })),
+            shippingAddress: {
+                address: shippingAddress.address,
+                city: shippingAddress.city,
+                state: shippingAddress.state,
+                country: shippingAddress.country || 'Nigeria',
+                landmark: shippingAddress.landmark,
+                deliveryInstructions: shippingAddress.deliveryInstructions
+            },
+            paymentMethod,
+            discountAmount: quote.discount,
+            coupon: quote.coupon ? {
+                coupon: quote.coupon.id,
+                code: quote.coupon.code,
+                type: quote.coupon.type,
+                discount: quote.coupon.discount
+            } : undefined,
+            shippingFee: quote.shippingFee,
+            shippingZone: quote.shipping.zone ? {
+                zone: quote.shipping.zone.id,
+                name: quote.shipping.zone.name,
+                etaDays: quote.shipping.etaDays
+            } : undefined,
+            tracking: quote.shipping.etaDays ? {
+                estimatedDelivery: new Date(Date.now() + quote.shipping.etaDays.max * 24 * 60 * 60 * 1000)
+            } : undefined,
+            taxAmount: quote.tax,
+            taxRate: quote.taxRate,
+            taxInclusive: quote.taxInclusive,
+            totalAmount: quote.total,
+            status: 'pending',
+            referralInfo: {
+                referredBy: user ? this.resolveReferrer(user) : undefined
+            },
+            statusHistory: [{
+                status: 'pending',
+                changedBy: user?._id,
+                note: 'Order created'
+            }]
+        });
+
+        await order.save({ session });
+
+        if (quote.coupon) {
+            await CouponService.redeem({ coupon: quote.coupon, user, order, session });
+        }
+
+        // Hold the stock only until the online payment window closes
+        if (StockReservationService.requiresReservation(paymentMethod)) {
+            await StockReservationService.reserve(order, quote.items, { session });
+        }
+
+        return { order, quote };
     }
 
-    // Validate status transition
-    static validateStatusTransition(currentStatus, newStatus) {
-        const validTransitions = {
-            pending: ['processing', 'cancelled', 'rejected'],
-            processing: ['assigned', 'cancelled', 'rejected'],
-            assigned: ['in_transit', 'cancelled', 'rejected'],
-            in_transit: ['delivered', 'cancelled', 'rejected'],
-            delivered: ['completed'],
-            completed: [],
-            cancelled: [],
-            rejected: []
+    // Guests have no wallet or coupon history, and online payment needs a signed-in buyer, so only
+    // contact details and cash on delivery are accepted
+    static assertGuestCheckout({ customerInfo, paymentMethod, couponCode }) {
+        const missingFields = ['name', 'email', 'phone']
+            .filter(field => !String(customerInfo?.[field] || '').trim())
+            .map(field => `customerInfo.${field}`);
+        if (missingFields.length > 0) {
+            throw new AppError(`Missing required fields: ${missingFields.join(', ')}`, 400);
+        }
+
+        if (!EMAIL_PATTERN.test(String(customerInfo.email).trim())) {
+            throw new AppError('A valid email address is required for guest checkout', 400);
+        }
+
+        if (paymentMethod === 'wallet') {
+            throw new AppError('Sign in to pay from a wallet', 400);
+        }
+
+        if (paymentMethod !== 'cash_on_delivery') {
+            throw new AppError('Guest orders are paid cash on delivery; sign in to pay online', 400);
+        }
+
+        if (couponCode) {
+            throw new AppError('Sign in to use a coupon code', 400);
+        }
+    }
+
+    // Contact snapshot for the order, falling back to the buyer's profile for missing fields
+    static buildCustomerInfo(user, customerInfo = {}) {
+        user = user || {};
+        const profileName = [user.firstName, user.lastName].filter(Boolean).join(' ') || user.name;
+
+        return {
+            name: customerInfo?.name?.trim() || profileName || '',
+            phone: String(customerInfo?.phone || user.phone || user.profile?.phone || '').trim(),
+            email: customerInfo?.email || user.email || ''
         };
+    }
 
-        if (!validTransitions[currentStatus]?.includes(newStatus)) {
-            throw new AppError(`Invalid status transition from ${currentStatus} to ${newStatus}`, 400);
+    // Extract referredBy correctly - handle all possible formats
+    static resolveReferrer(user) {
+        let referredBy = null;
+        try {
+            if (user.referredBy) {
+                // If it's a string ObjectId
+                if (typeof user.referredBy === 'string') {
+                    referredBy = user.referredBy;
+                }
+                // If it's an object with user property
+                else if (typeof user.referredBy === 'object' && user.referredBy.user) {
+                    referredBy = user.referredBy.user;
+                }
+                // If it's an object with _id property
+                else if (typeof user.referredBy === 'object' && user.referredBy._id) {
+                    referredBy = user.referredBy._id;
+                }
+                // If it's already a valid ObjectId
+                else if (user.referredBy.toString && user.referredBy.toString().length === 24) {
+                    referredBy = user.referredBy.toString();
+                }
+            }
+        } catch (error) {
+            console.error('Error processing referredBy:', error);
+            referredBy = null;
         }
+
+        return referredBy;
+    }
+
+    // Follow-up work for a committed order; failures here never undo the order
+    static async afterOrderCreated(order, user) {
+        // Apply seasonal promotions if any
+        try {
+            await SeasonalPromoService.applySeasonalPromo(order._id);
+        } catch (error) {
+            console.error('Error applying seasonal promotion:', error);
+        }
+
+        // Process referral commission
+        try {
+            await SeasonalPromoService.updateReferralCommission(order._id, user?.referredBy);
+        } catch (error) {
+            console.error('Error processing referral commission:', error);
+        }
+        
+        // Assign order to a marketer
+        try {
+            await MarketerService.assignOrder(order._id);
+        } catch (error) {
+            console.error('Error assigning order to marketer:', error);
+            // The system will retry marketer assignment later
+        }
+    }
+
+    /**
+     * Update order status through the order lifecycle.
+     * @param {string} orderId
+     * @param {string} newStatus
+     * @param {Object|string} actor - User document or SYSTEM
+     * @param {Object} [options] - { reason, note, fields }
+     */
+    static async updateOrderStatus(orderId, newStatus, actor, { reason, note, fields } = {}) {
+        return OrderLifecycle.transition(orderId, newStatus, { actor, reason, note, fields });
     }
 
     // Cancel order with reason
-    static async cancelOrder(orderId, userId, reason = '') {
+    static async cancelOrder(orderId, user, reason = '') {
         const order = await Order.findOne({
             _id: orderId,
             $or: [
-                { userId: userId },
-                { buyer: userId }
-            ],
-            status: { $in: ['pending', 'processing', 'assigned'] }
+                { userId: user._id },
+                { buyer: user._id }
+            ]
         });
 
         if (!order) {
-            throw new AppError('Order cannot be cancelled', 400);
+            throw new AppError('Order not found', 404);
         }
 
-        return this.updateOrderStatus(
-            orderId, 
-            'cancelled', 
-            userId, 
-            `Order cancelled by user. ${reason}`.trim()
-        );
+        return this.updateOrderStatus(order, 'cancelled', user, {
+            reason,
+            note: `Order cancelled by user. ${reason}`.trim()
+        });
     }
 
     // Reject order (admin/marketer only)
-    static async rejectOrder(orderId, userId, reason = '') {
-        const order = await Order.findOne({
-            _id: orderId,
-            status: { $in: ['pending', 'processing', 'assigned', 'in_transit'] }
+    static async rejectOrder(orderId, user, reason = '') {
+        return this.updateOrderStatus(orderId, 'rejected', user, {
+            reason,
+            note: `Order rejected. ${reason}`.trim()
         });
-
-        if (!order) {
-            throw new AppError('Order cannot be rejected', 400);
-        }
-
-        return this.updateOrderStatus(
-            orderId, 
-            'rejected', 
-            userId, 
-            `Order rejected. ${reason}`.trim()
-        );
     }
 
     // Get order details with proper authorization
@@ -152,6 +325,95 @@ class OrderService {
         return order;
     }
 
+    /**
+     * Admin order search: full-text over order number, customer contact and address, plus filters.
+     * @param {Object} params
+     * @param {string} [params.q] - Search text; an order number prefix such as "EPX-2026-10" matches directly
+     * @param {string} [params.status] - One status or a comma-separated list
+     * @param {string} [params.paymentStatus]
+     * @param {string} [params.marketer] - Marketer user id
+     * @param {string} [params.state] - Shipping state
+     * @param {string} [params.startDate]
+     * @param {string} [params.endDate]
+     * @param {number} [params.minAmount]
+     * @param {number} [params.maxAmount]
+     * @param {number} [params.page=1]
+     * @param {number} [params.limit=20]
+     * @returns {Promise<{orders: Array, pagination: Object}>}
+     */
+    static async searchOrders({ page = 1, limit = 20, ...criteria }) {
+        const { filter, textSearch } = this.buildSearchFilter(criteria);
+
+        const query = Order.find(filter, textSearch ? { score: { $meta: 'textScore' } } : {})
+            .populate('buyer', 'firstName lastName email')
+            .populate('marketer', 'firstName lastName phone')
+            .select('-statusHistory -__v')
+            .sort(textSearch ? { score: { $meta: 'textScore' }, createdAt: -1 } : { createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit);
+
+        const [orders, total] = await Promise.all([query, Order.countDocuments(filter)]);
+
+        return {
+            orders,
+            pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        };
+    }
+
+    // Mongo filter for the admin search criteria; shared by search and CSV export
+    static buildSearchFilter({ q, status, paymentStatus, marketer, state, startDate, endDate, minAmount, maxAmount }) {
+        const filter = {};
+        const escape = value => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        let textSearch = false;
+
+        if (q?.trim()) {
+            const term = q.trim();
+            if (/^[A-Za-z]{2,6}-\d/.test(term)) {
+                filter.orderNumber = { $regex: `^${escape(term.toUpperCase())}` };
+            } else {
+                filter.$text = { $search: term };
+                textSearch = true;
+            }
+        }
+
+        if (status) {
+            const statuses = String(status).split(',').map(s => s.trim()).filter(Boolean);
+            filter.status = statuses.length === 1 ? statuses[0] : { $in: statuses };
+        }
+        if (paymentStatus) filter.paymentStatus = paymentStatus;
+
+        if (marketer) {
+            if (!mongoose.Types.ObjectId.isValid(marketer)) {
+                throw new AppError('Invalid marketer ID', 400);
+            }
+            filter.marketer = marketer;
+        }
+
+        if (state) {
+            filter['shippingAddress.state'] = { $regex: `^${escape(state.trim())}$`, $options: 'i' };
+        }
+
+        if (startDate || endDate) {
+            filter.createdAt = {};
+            if (startDate) filter.createdAt.$gte = new Date(startDate);
+            if (endDate) filter.createdAt.$lte = new Date(endDate);
+            if (Object.values(filter.createdAt).some(date => isNaN(date))) {
+                throw new AppError('startDate and endDate must be valid dates', 400);
+            }
+        }
+
+        if (minAmount !== undefined || maxAmount !== undefined) {
+            filter.totalAmount = {};
+            if (minAmount !== undefined) filter.totalAmount.$gte = Number(minAmount);
+            if (maxAmount !== undefined) filter.totalAmount.$lte = Number(maxAmount);
+            if (Object.values(filter.totalAmount).some(amount => isNaN(amount))) {
+                throw new AppError('minAmount and maxAmount must be numbers', 400);
+            }
+        }
+
+        return { filter, textSearch };
+    }
+
     // Get orders for a specific user
     static async getUserOrders(userId, status) {
         const query = { 
@@ -0,0 +1,216 @@
+import User from '../models/User.js';
+import Delivery from '../models/Delivery.js';
+import Dispute from '../models/Dispute.js';
+import Refund from '../models/Refund.js';
+import OrderService from './orderService.js';
+
+const STAFF_ROLES = ['admin', 'marketer', 'affiliate'];
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+class OrderTimelineService {
+    /**
+     * Merge everything that happened to an order into one chronological list.
+     * Admins see every event in full. The assigned marketer sees delivery notes and their own
+     * assignment history. Buyers see progress, payments, refunds and their disputes, without
+     * internal notes, provider references or the identity of admins.
+     * @param {string} orderId
+     * @param {Object} viewer - Authenticated user
+     * @returns {Promise<{orderId: string, orderNumber: string, status: string, events: Array}>}
+     */
+    static async getTimeline(orderId, viewer) {
+        const order = await OrderService.getOrderDetails(orderId, viewer._id, viewer.role);
+
+        const [deliveries, disputes, refunds] = await Promise.all([
+            Delivery.find({ order: order._id }).lean(),
+            Dispute.find({ order: order._id }).lean(),
+            Refund.find({ order: order._id }).lean()
+        ]);
+
+        const view = this.viewOf(order, viewer);
+        const events = [
+            ...this.statusEvents(order, view),
+            ...this.trackingEvents(order, view),
+            ...this.assignmentEvents(order, view),
+            ...this.paymentEvents(order, view),
+            ...this.deliveryEvents(deliveries, view),
+            ...this.disputeEvents(disputes, view),
+            ...this.refundEvents(refunds, view)
+        ].filter(event => event.at);
+
+        await this.resolveActors(events, view);
+        events.sort((a, b) => new Date(a.at) - new Date(b.at));
+
+        return {
+            orderId: order._id,
+            orderNumber: order.orderNumber,
+            status: order.status,
+            events
+        };
+    }
+
+    // What the viewer is to this order decides how much of each event they get
+    static viewOf(order, viewer) {
+        const viewerId = idOf(viewer);
+        if (viewer.role === 'admin') return { level: 'admin', viewerId };
+        if (STAFF_ROLES.includes(viewer.role) && idOf(order.marketer) === viewerId) return { level: 'marketer', viewerId };
+        return { level: 'customer', viewerId };
+    }
+
+    static event(type, at, actor, details) {
+        return { type, at, actor: actor ? idOf(actor) : null, details };
+    }
+
+    static statusEvents(order, view) {
+        return (order.statusHistory || []).map(entry => {
+            const details = { status: entry.status };
+            if (view.level !== 'customer') {
+                details.note = entry.note || undefined;
+            } else if (entry.status === 'cancelled') {
+                details.reason = order.cancellationReason;
+            } else if (entry.status === 'rejected') {
+                details.reason = order.rejectionReason;
+            }
+            return this.event('status_changed', entry.changedAt, entry.changedBy, details);
+        });
+    }
+
+    static trackingEvents(order, view) {
+        return (order.tracking?.statusUpdates || []).map(update =>
+            this.event('tracking_update', update.timestamp, null, {
+                status: update.status,
+                location: update.location,
+                notes: view.level === 'customer' ? undefined : update.notes
+            })
+        );
+    }
+
+    // Assignment changes are internal; marketers only see the entries about themselves
+    static assignmentEvents(order, view) {
+        if (view.level === 'customer') return [];
+
+        const entries = (order.previousMarketers || []).filter(entry =>
+            view.level === 'admin' || idOf(entry.marketerId) === view.viewerId
+        );
+
+        return entries.flatMap(entry => [
+            this.event('marketer_assigned', entry.assignedAt, null, {
+                marketer: idOf(entry.marketerId),
+                reason: entry.reason
+            }),
+            this.event('marketer_unassigned', entry.unassignedAt, null, {
+                marketer: idOf(entry.marketerId),
+                reason: entry.reason
+            })
+        ]);
+    }
+
+    static paymentEvents(order, view) {
+        const payment = order.payment;
+        if (!payment?.initiatedAt && !payment?.verifiedAt) return [];
+
+        const base = {
+            method: payment.method || order.paymentMethod,
+            provider: payment.provider,
+            amount: payment.amount,
+            currency: payment.currency
+        };
+        if (view.level === 'admin') {
+            base.reference = payment.reference;
+            base.transactionId = payment.transactionId;
+        }
+
+        return [
+            this.event('payment_initiated', payment.initiatedAt, order.buyer || order.userId, base),
+            this.event(`payment_${payment.status}`, payment.verifiedAt, null, {
+                ...base,
+                amountPaid: payment.amountPaid
+            })
+        ];
+    }
+
+    static deliveryEvents(deliveries, view) {
+        return deliveries.flatMap(delivery => {
+            const details = {
+                delivery: delivery._id,
+                status: delivery.status,
+                notes: view.level === 'customer' ? undefined : delivery.notes
+            };
+            return [
+                this.event('delivery_created', delivery.createdAt, delivery.marketer, details),
+                this.event('delivery_completed', delivery.deliveryDate, delivery.marketer, {
+                    ...details,
+                    deliveryProof: delivery.deliveryProof
+                }),
+                this.event('delivery_confirmed', delivery.confirmationDate, delivery.customer, details)
+            ];
+        });
+    }
+
+    // Buyers see only disputes they raised
+    static disputeEvents(disputes, view) {
+        return disputes
+            .filter(dispute => view.level !== 'customer' || idOf(dispute.raisedBy) === view.viewerId)
+            .flatMap(dispute => [
+                this.event('dispute_opened', dispute.createdAt, dispute.raisedBy, {
+                    dispute: dispute._id,
+                    reason: dispute.reason,
+                    evidence: dispute.evidence
+                }),
+                this.event(`dispute_${dispute.status}`, dispute.resolvedAt, dispute.resolvedBy, {
+                    dispute: dispute._id,
+                    resolution: dispute.resolution
+                })
+            ]);
+    }
+
+    static refundEvents(refunds, view) {
+        if (view.level === 'marketer') return [];
+
+        return refunds.flatMap(refund => {
+            const details = {
+                refund: refund._id,
+                amount: refund.amount,
+                method: refund.method,
+                status: refund.status
+            };
+            if (view.level === 'admin') {
+                details.reason = refund.reason;
+                details.reference = refund.reference;
+                details.failureReason = refund.failureReason;
+            }
+            return [
+                this.event('refund_initiated', refund.createdAt, refund.initiatedBy, details),
+                this.event('refund_completed', refund.completedAt, null, details)
+            ];
+        });
+    }
+
+    /**
+     * Replace actor ids with { id, name, role } in one lookup. Buyers see admins by role only.
+     */
+    static async resolveActors(events, view) {
+        const ids = [...new Set(events.map(event => event.actor).filter(Boolean))];
+        const users = ids.length > 0
+            ? await User.find({ _id: { $in: ids } }).select('firstName lastName role').lean()
+            : [];
+        const byId = new Map(users.map(user => [user._id.toString(), user]));
+
+        for (const event of events) {
+            const user = event.actor && byId.get(event.actor);
+            if (!user) {
+                event.actor = { role: 'system' };
+            } else if (view.level === 'customer' && user.role === 'admin') {
+                event.actor = { role: 'admin' };
+            } else {
+                event.actor = {
+                    id: user._id,
+                    name: [user.firstName, user.lastName].filter(Boolean).join(' '),
+                    role: user.role
+                };
+            }
+        }
+    }
+}
+
+export default OrderTimelineService;
@@ -0,0 +1,138 @@
+import jwt from 'jsonwebtoken';
+import Order from '../models/Order.js';
+import config from '../config/environment.js';
+import { AppError, NotFoundError } from '../middleware/errorHandler.js';
+
+// Marks tracking tokens so they can never be mistaken for (or used as) login tokens
+const TOKEN_PURPOSE = 'order-tracking';
+
+class OrderTrackingService {
+    /**
+     * Sign a token that grants read-only tracking access to one order.
+     * @param {Object} order - Order document
+     * @returns {string}
+     */
+    static createToken(order) {
+        return jwt.sign(
+            { orderId: order._id.toString(), purpose: TOKEN_PURPOSE },
+            config.JWT_SECRET,
+            { expiresIn: config.ORDER_TRACKING_TOKEN_EXPIRE }
+        );
+    }
+
+    static trackingUrl(token) {
+        return `${config.FRONTEND_URL}/track/${token}`;
+    }
+
+    // Resolve the order a tracking token was issued for
+    static async findByToken(token) {
+        let payload;
+        try {
+            payload = jwt.verify(token, config.JWT_SECRET);
+        } catch (error) {
+            throw new AppError('Tracking link is invalid or has expired', 401);
+        }
+
+        if (payload.purpose !== TOKEN_PURPOSE || !payload.orderId) {
+            throw new AppError('Tracking link is invalid or has expired', 401);
+        }
+
+        const order = await Order.findById(payload.orderId).populate('marketer', 'firstName lastName phone');
+        if (!order) {
+            throw new NotFoundError('Order not found');
+        }
+        return order;
+    }
+
+    /**
+     * Look an order up by its number and the email it was placed with.
+     * Both must match; a wrong pair is reported exactly like a missing order.
+     */
+    static async findByOrderNumber({ orderNumber, email }) {
+        if (!orderNumber?.trim() || !email?.trim()) {
+            throw new AppError('Order number and email are required', 400);
+        }
+
+        const order = await Order.findOne({
+            orderNumber: orderNumber.trim().toUpperCase(),
+            'customerInfo.email': email.trim().toLowerCase()
+        }).populate('marketer', 'firstName lastName phone');
+        if (!order) {
+            throw new NotFoundError('No order matches that order number and email');
+        }
+        return order;
+    }
+
+    // The public view of an order: progress and delivery details, no payment or account data
+    static summarize(order) {
+        const marketer = order.marketer?.phone !== undefined
+            ? {
+                name: [order.marketer.firstName, order.marketer.lastName].filter(Boolean).join(' '),
+                phone: order.marketer.phone
+            }
+            : null;
+
+        const latest = order.tracking?.statusUpdates?.at(-1);
+
+        return {
+            orderNumber: order.orderNumber,
+            status: order.status,
+            statusHistory: (order.statusHistory || []).map(entry => ({
+                status: entry.status,
+                changedAt: entry.changedAt
+            })),
+            items: order.items.map(item => ({ name: item.name, quantity: item.quantity })),
+            totalAmount: order.totalAmount,
+            paymentMethod: order.paymentMethod,
+            destination: {
+                city: order.shippingAddress?.city,
+                state: order.shippingAddress?.state
+            },
+            latestUpdate: latest ? { status: latest.status, location: latest.location, timestamp: latest.timestamp } : null,
+            estimatedDelivery: order.tracking?.estimatedDelivery,
+            marketer,
+            createdAt: order.createdAt,
+            inTransitAt: order.inTransitAt,
+            deliveredAt: order.deliveredAt,
+            completedAt: order.completedAt,
+            cancelledAt: order.cancelledAt
+        };
+    }
+
+    /**
+     * Attach guest orders placed with the user's email to their new account.
+     * Registration does not prove ownership of the email, so the order's phone
+     * number has to match the account's as well.
+     * @param {Object} user - Newly registered user
+     * @returns {Promise<number>} Number of orders claimed
+     */
+    static async claimGuestOrders(user) {
+        const phone = this.phoneKey(user?.profile?.phone || user?.phone);
+        if (!user?.email || !phone) return 0;
+
+        const candidates = await Order.find({
+            isGuest: true,
+            userId: null,
+            'customerInfo.email': user.email.trim().toLowerCase()
+        }).select('customerInfo.phone');
+
+        const orderIds = candidates
+            .filter(order => this.phoneKey(order.customerInfo?.phone) === phone)
+            .map(order => order._id);
+        if (orderIds.length === 0) return 0;
+
+        const result = await Order.updateMany(
+            { _id: { $in: orderIds }, userId: null },
+            { $set: { userId: user._id, buyer: user._id, claimedAt: new Date() } }
+        );
+        return result.modifiedCount;
+    }
+
+    // Compare phone numbers by their last ten digits so 0803..., +234803... and 234 803... agree
+    static phoneKey(phone) {
+        const digits = String(phone || '').replace(/\D/g, '');
+        return digits.length >= 10 ? digits.slice(-10) : null;
+    }
+}
+
+export default OrderTrackingService;
@@ -0,0 +1,200 @@
+import crypto from 'crypto';
+import PaymentEvent from '../models/PaymentEvent.js';
+import PaymentGateway from './paymentGateway.js';
+import PaymentService from './paymentService.js';
+import WalletTopupService from './walletTopupService.js';
+import { AppError, ConflictError, NotFoundError } from '../middleware/errorHandler.js';
+
+// Wema bank transfers live in PaymentService; card providers go through the gateway, except
+// for wallet top-ups, which have no order
+const PROVIDERS = {
+    wema: {
+        verify: (rawBody, headers) => {
+            if (!PaymentService.verifySignature(rawBody, headers['x-wema-signature'])) {
+                throw new AppError('Invalid webhook signature', 401);
+            }
+        },
+        process: (payload) => PaymentService.processWebhookEvent(payload)
+    }
+};
+
+// An event left processing this long belongs to a run that died mid-flight
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+const handlerFor = (provider) => PROVIDERS[provider] || {
+    verify: (rawBody, headers) => PaymentGateway.verifyWebhook(provider, rawBody, headers),
+    process: (payload) => WalletTopupService.handles(provider, payload)
+        ? WalletTopupService.processWebhookEvent(payload)
+        : PaymentGateway.processWebhookEvent(provider, payload)
+};
+
+/**
+ * Log of inbound payment webhooks. Each signed delivery is stored once per provider event id;
+ * redeliveries of an event that already went through are acknowledged without running it
+ * again, while failed events are retried when the provider redelivers them or an admin
+ * replays them.
+ */
+class PaymentEventService {
+    // Providers send no common event id, so fall back to the event and the charge it concerns
+    static eventIdFor(payload, rawBody) {
+        const data = payload.data || {};
+        if (payload.id) return String(payload.id);
+
+        const subject = data.id || data.transactionId || data.sessionId || data.reference;
+        if (payload.event && subject) return `${payload.event}:${subject}`;
+
+        return crypto.createHash('sha256').update(rawBody).digest('hex');
+    }
+
+    /**
+     * Verify, store and process a webhook delivery.
+     * @param {string} provider - wema, flutterwave or paystack
+     * @param {Buffer} rawBody - Request body exactly as received
+     * @param {Object} headers - Request headers, for the provider's signature
+     * @returns {Promise<Object>} The processing result, or { status: 'duplicate' } for a redelivery
+     */
+    static async receive(provider, rawBody, headers) {
+        if (!rawBody?.length) {
+            throw new AppError('Webhook body is required', 400);
+        }
+
+        const handler = handlerFor(provider);
+        // Unsigned deliveries are rejected before anything is stored
+        handler.verify(rawBody, headers);
+
+        let payload;
+        try {
+            payload = JSON.parse(rawBody.toString('utf8'));
+        } catch (error) {
+            throw new AppError('Webhook body must be JSON', 400);
+        }
+
+        const eventId = this.eventIdFor(payload, rawBody);
+        const event = await PaymentEvent.findOneAndUpdate(
+            { provider, eventId },
+            {
+                $setOnInsert: {
+                    provider,
+                    eventId,
+                    event: payload.event,
+                    reference: payload.data?.reference || payload.data?.tx_ref,
+                    payload
+                },
+                $inc: { deliveries: 1 },
+                $set: { lastReceivedAt: new Date() }
+            },
+            { upsert: true, new: true }
+        );
+
+        const claimed = await this.claim(event._id);
+        if (!claimed) {
+            return { status: 'duplicate', eventId, message: `Event already ${event.status}` };
+        }
+
+        return this.process(claimed, handler);
+    }
+
+    // Events processing since before this are stalled and may be run again
+    static staleBefore(now = new Date()) {
+        return new Date(now.getTime() - STALE_PROCESSING_MS);
+    }
+
+    /**
+     * Only one delivery or replay may run an event; anything already handled is left alone.
+     * A stalled run is taken over, which is safe because applying a payment result is idempotent.
+     */
+    static claim(eventId) {
+        return PaymentEvent.findOneAndUpdate(
+            {
+                _id: eventId,
+                $or: [
+                    { status: { $in: ['received', 'failed'] } },
+                    { status: 'processing', claimedAt: { $not: { $gte: this.staleBefore() } } }
+                ]
+            },
+            { $set: { status: 'processing', claimedAt: new Date() }, $inc: { attempts: 1 } },
+            { new: true }
+        );
+    }
+
+    // Failures are recorded and rethrown so the provider redelivers the event
+    static async process(event, handler = handlerFor(event.provider)) {
+        try {
+            const result = await handler.process(event.payload);
+            await PaymentEvent.updateOne(
+                { _id: event._id },
+                {
+                    $set: { status: result?.status === 'ignored' ? 'ignored' : 'processed', result, processedAt: new Date() },
+                    $unset: { lastError: 1 }
+                }
+            );
+            return result;
+        } catch (error) {
+            await PaymentEvent.updateOne(
+                { _id: event._id },
+                { $set: { status: 'failed', lastError: error.message } }
+            );
+            throw error;
+        }
+    }
+
+    /**
+     * Run a failed or stalled event again from its stored payload.
+     * @param {string} id - PaymentEvent id
+     * @param {string} adminId
+     * @returns {Promise<Object>} The updated event
+     */
+    static async replay(id, adminId) {
+        const event = await PaymentEvent.findById(id);
+        if (!event) {
+            throw new NotFoundError('Payment event not found');
+        }
+        const stalled = event.status === 'processing' && !(event.claimedAt >= this.staleBefore());
+        if (event.status !== 'failed' && !stalled) {
+            throw new ConflictError(`Only failed or stalled events can be replayed; this one is ${event.status}`);
+        }
+
+        const claimed = await this.claim(event._id);
+        if (!claimed) {
+            throw new ConflictError('Event is already being processed');
+        }
+        await PaymentEvent.updateOne({ _id: event._id }, { $set: { replayedBy: adminId, replayedAt: new Date() } });
+
+        try {
+            await this.process(claimed);
+        } catch (error) {
+            // The failure is on the event; the admin sees it in the response below
+        }
+
+        return PaymentEvent.findById(event._id);
+    }
+
+    /**
+     * List stored events, newest first.
+     * @param {Object} params - { provider, status, reference, page, limit }
+     */
+    static async listEvents({ provider, status, reference, page = 1, limit = 20 } = {}) {
+        const filter = {};
+        if (provider) filter.provider = provider;
+        if (status) filter.status = status;
+        if (reference) filter.reference = reference;
+
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+        const [events, total] = await Promise.all([
+            PaymentEvent.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize),
+            PaymentEvent.countDocuments(filter)
+        ]);
+
+        return {
+            events,
+            pagination: { page: pageNumber, limit: pageSize, total, pages: Math.ceil(total / pageSize) }
+        };
+    }
+}
+
+export default PaymentEventService;
@@ -0,0 +1,366 @@
+import config from '../config/environment.js';
+import Order from '../models/Order.js';
+import Setting from '../models/Setting.js';
+import FlutterwaveService from './flutterwaveService.js';
+import PaystackService from './paystackService.js';
+import PaymentService from './paymentService.js';
+import { AppError, NotFoundError } from '../middleware/errorHandler.js';
+
+const SETTINGS_KEY = 'paymentProviders';
+
+/**
+ * Card/checkout providers. Every adapter implements the same interface:
+ *
+ *   isConfigured()                                   -> boolean
+ *   initialize({ order, reference, amount, currency, customer, callbackUrl })
+ *                                                    -> { paymentUrl, publicKey, providerData }
+ *   verify(reference)                                -> { status, amountPaid, currency, transactionId, paidAt }
+ *   verifyWebhook(rawBody, headers)                  -> whether the delivery is signed by the provider
+ *   webhookReference(payload)                        -> payment reference the event is about, or null
+ *   refund({ transactionId, reference, amount })     -> { transactionId, refundId, status, response }
+ *   getRefund(refundId)                              -> { refundId, status, response }
+ *   listSuccessful({ start, end })                   -> [{ reference, transactionId, amount, fee, currency, paidAt }]
+ *
+ * Adapters only talk to the provider; order checks and bookkeeping live in PaymentGateway.
+ */
+const ADAPTERS = {
+    flutterwave: {
+        label: 'Flutterwave',
+        referencePrefix: 'ORDER',
+        isConfigured: () => Boolean(config.FLUTTERWAVE_SECRET_KEY),
+
+        async initialize({ order, reference, amount, currency, customer, callbackUrl }) {
+            const link = await FlutterwaveService.createPaymentLink({ txRef: reference, amount, currency, customer, callbackUrl, order });
+            return {
+                paymentUrl: link.link,
+                publicKey: config.FLUTTERWAVE_PUBLIC_KEY,
+                providerData: { flw_ref: link.flw_ref, payment_type: link.payment_type }
+            };
+        },
+
+        async verify(reference) {
+            const transaction = await FlutterwaveService.getTransactionByReference(reference);
+            return {
+                status: transaction.status,
+                amountPaid: transaction.amount,
+                currency: transaction.currency,
+                transactionId: transaction.id,
+                paidAt: transaction.created_at
+            };
+        },
+
+        verifyWebhook: (rawBody, headers) => FlutterwaveService.verifyWebhookSignature(headers['verif-hash']),
+
+        webhookReference(payload) {
+            return ['charge.completed', 'charge.successful'].includes(payload.event) ? payload.data?.tx_ref : null;
+        },
+
+        async refund({ transactionId, reference, amount }) {
+            if (!transactionId && reference) {
+                const transaction = await FlutterwaveService.getTransactionByReference(reference);
+                transactionId = transaction?.id && String(transaction.id);
+            }
+            if (!transactionId) {
+                throw new AppError('No Flutterwave transaction found for this order', 400);
+            }
+
+            const refund = await FlutterwaveService.refundTransaction(transactionId, amount);
+            return { transactionId, refundId: String(refund.id), status: refund.status, response: refund };
+        },
+
+        async getRefund(refundId) {
+            const refund = await FlutterwaveService.getRefund(refundId);
+            return { refundId: String(refund.id), status: refund.status, response: refund };
+        },
+
+        // Flutterwave filters by whole days, so trim to the exact window afterwards
+        async listSuccessful({ start, end }) {
+            const day = (date) => date.toISOString().slice(0, 10);
+            const transactions = await FlutterwaveService.listTransactions({
+                from: day(start),
+                to: day(new Date(end.getTime() - 1))
+            });
+            return transactions
+                .map(transaction => ({
+                    reference: transaction.tx_ref,
+                    transactionId: String(transaction.id),
+                    amount: Number(transaction.amount),
+                    fee: Number(transaction.app_fee || 0),
+                    currency: transaction.currency,
+                    paidAt: new Date(transaction.created_at)
+                }))
+                .filter(transaction => transaction.paidAt >= start && transaction.paidAt < end);
+        }
+    },
+
+    paystack: {
+        label: 'Paystack',
+        referencePrefix: 'PSTK',
+        isConfigured: () => Boolean(config.PAYSTACK_SECRET_KEY),
+
+        async initialize({ order, reference, amount, currency, customer, callbackUrl }) {
+            const checkout = await PaystackService.initializeTransaction({
+                reference,
+                amount,
+                currency,
+                email: customer.email,
+                callbackUrl,
+                metadata: { order_id: order._id.toString(), order_number: order.orderNumber }
+            });
+            return {
+                paymentUrl: checkout.authorization_url,
+                publicKey: config.PAYSTACK_PUBLIC_KEY,
+                providerData: { access_code: checkout.access_code }
+            };
+        },
+
+        async verify(reference) {
+            const transaction = await PaystackService.verifyTransaction(reference);
+            return {
+                status: transaction.status,
+                amountPaid: transaction.amount,
+                currency: transaction.currency,
+                transactionId: transaction.id,
+                paidAt: transaction.paid_at
+            };
+        },
+
+        verifyWebhook: (rawBody, headers) => PaystackService.verifySignature(rawBody, headers['x-paystack-signature']),
+
+        webhookReference(payload) {
+            return payload.event === 'charge.success' ? payload.data?.reference : null;
+        },
+
+        async refund({ transactionId, reference, amount }) {
+            const transaction = transactionId || reference;
+            if (!transaction) {
+                throw new AppError('No Paystack transaction found for this order', 400);
+            }
+
+            const refund = await PaystackService.refundTransaction(transaction, amount);
+            return { transactionId: transactionId || reference, refundId: String(refund.id), status: refund.status, response: refund };
+        },
+
+        async getRefund(refundId) {
+            const refund = await PaystackService.getRefund(refundId);
+            return { refundId: String(refund.id), status: refund.status, response: refund };
+        },
+
+        async listSuccessful({ start, end }) {
+            const transactions = await PaystackService.listTransactions({
+                from: start.toISOString(),
+                to: new Date(end.getTime() - 1).toISOString()
+            });
+            return transactions.map(transaction => ({
+                reference: transaction.reference,
+                transactionId: String(transaction.id),
+                amount: transaction.amount,
+                fee: transaction.fees || 0,
+                currency: transaction.currency,
+                paidAt: new Date(transaction.paid_at)
+            }));
+        }
+    }
+};
+
+class PaymentGateway {
+    static providerNames() {
+        return Object.keys(ADAPTERS);
+    }
+
+    static getAdapter(name) {
+        const adapter = ADAPTERS[name];
+        if (!adapter) {
+            throw new AppError(`Unknown payment provider: ${name}. Use one of ${this.providerNames().join(', ')}`, 400);
+        }
+        return adapter;
+    }
+
+    // Provider that took the order's payment, if it is one the gateway can refund through
+    static providerFor(order) {
+        const provider = order.payment?.provider || order.paymentMethod;
+        return ADAPTERS[provider] ? provider : null;
+    }
+
+    /**
+     * Every provider with its admin toggle. Providers are enabled unless an admin turned them
+     * off, but only `available` (configured and enabled) ones are offered at checkout.
+     */
+    static async listProviders() {
+        const setting = await Setting.findOne({ key: SETTINGS_KEY }).lean();
+        const toggles = setting?.value || {};
+
+        return this.providerNames().map(name => {
+            const configured = ADAPTERS[name].isConfigured();
+            const enabled = toggles[name]?.enabled !== false;
+            return {
+                name,
+                label: ADAPTERS[name].label,
+                configured,
+                enabled,
+                available: configured && enabled,
+                isDefault: name === config.DEFAULT_PAYMENT_PROVIDER
+            };
+        });
+    }
+
+    static async setProviderEnabled(name, enabled, adminId) {
+        const adapter = this.getAdapter(name);
+        if (typeof enabled !== 'boolean') {
+            throw new AppError('enabled must be true or false', 400);
+        }
+        if (enabled && !adapter.isConfigured()) {
+            throw new AppError(`${adapter.label} has no API keys configured`, 400);
+        }
+
+        await Setting.findOneAndUpdate(
+            { key: SETTINGS_KEY },
+            { $set: { [`value.${name}.enabled`]: enabled, updatedBy: adminId } },
+            { upsert: true }
+        );
+
+        return this.listProviders();
+    }
+
+    // The requested provider if it is available, otherwise the default or the first available one
+    static async resolveProvider(requested) {
+        return this.pickProvider(await this.listProviders(), requested);
+    }
+
+    // The requested provider if it is available, else the default or the first available one
+    static pickProvider(providers, requested) {
+        if (requested) {
+            const adapter = this.getAdapter(requested);
+            if (!providers.find(p => p.name === requested).available) {
+                throw new AppError(`${adapter.label} payments are not available`, 400);
+            }
+            return requested;
+        }
+
+        const provider = providers.find(p => p.isDefault && p.available) || providers.find(p => p.available);
+        if (!provider) {
+            throw new AppError('Online payments are not available', 503);
+        }
+        return provider.name;
+    }
+
+    /**
+     * Start paying an order through a provider's hosted checkout.
+     * @param {string} orderId
+     * @param {Object} user - Authenticated buyer
+     * @param {Object} params
+     * @param {string} [params.provider] - Defaults to DEFAULT_PAYMENT_PROVIDER when available
+     * @param {number} [params.amount] - Client's expected amount, checked against the order total
+     * @param {string} [params.callbackUrl] - Where the provider sends the buyer afterwards
+     * @returns {Promise<Object>} { provider, paymentUrl, paymentReference, amount, currency, publicKey }
+     */
+    static async initializePayment(orderId, user, { provider, amount, callbackUrl } = {}) {
+        const order = await Order.findById(orderId);
+        if (!order) {
+            throw new NotFoundError('Order not found');
+        }
+        PaymentService.assertCanAccess(order, user);
+        const total = PaymentService.assertPayable(order, amount);
+
+        const name = await this.resolveProvider(provider);
+        const adapter = ADAPTERS[name];
+        const reference = `${adapter.referencePrefix}-${order.orderNumber}-${Date.now()}`;
+        const currency = 'NGN';
+
+        let checkout;
+        try {
+            checkout = await adapter.initialize({
+                order,
+                reference,
+                amount: total,
+                currency,
+                customer: {
+                    email: order.customerInfo?.email || user.email,
+                    phone: order.customerInfo?.phone,
+                    name: order.customerInfo?.name
+                },
+                callbackUrl
+            });
+        } catch (error) {
+            throw PaymentService.providerError(error, `Failed to initialize ${adapter.label} payment`);
+        }
+
+        // A new attempt replaces any earlier unpaid one, possibly with another provider
+        order.payment = {
+            reference,
+            status: 'pending',
+            method: name,
+            amount: total,
+            currency,
+            initiatedAt: new Date(),
+            provider: name,
+            providerData: { ...checkout.providerData, callbackUrl }
+        };
+        await order.save();
+
+        return {
+            provider: name,
+            paymentUrl: checkout.paymentUrl,
+            paymentReference: reference,
+            amount: total,
+            currency,
+            publicKey: checkout.publicKey
+        };
+    }
+
+    /**
+     * Ask the order's provider for the payment's status and apply it.
+     * @param {string} reference - Payment reference from initializePayment
+     * @param {Object} [user] - Buyer checking their own payment; omitted for system calls
+     */
+    static async verifyPayment(reference, user = null) {
+        const order = await Order.findOne({ 'payment.reference': reference });
+        if (!order) {
+            throw new NotFoundError('Payment not found');
+        }
+        PaymentService.assertCanAccess(order, user);
+
+        const adapter = this.getAdapter(order.payment.provider);
+        let transaction;
+        try {
+            transaction = await adapter.verify(reference);
+        } catch (error) {
+            throw PaymentService.providerError(error, `Failed to verify ${adapter.label} payment`);
+        }
+
+        return PaymentService.reconcile(order, transaction);
+    }
+
+    // Reject deliveries the provider did not sign; checked against the body exactly as received
+    static verifyWebhook(name, rawBody, headers) {
+        if (!this.getAdapter(name).verifyWebhook(rawBody, headers)) {
+            throw new AppError('Invalid webhook signature', 401);
+        }
+    }
+
+    /**
+     * Apply a verified provider notification. The payload only identifies the payment; its
+     * status is always re-read from the provider. Disabled providers still settle payments
+     * already in flight.
+     * @param {string} name - Provider
+     * @param {Object} payload - Parsed webhook body
+     */
+    static async processWebhookEvent(name, payload) {
+        const adapter = this.getAdapter(name);
+
+        const reference = adapter.webhookReference(payload);
+        if (!reference) {
+            return { status: 'ignored', message: `No action for event ${payload.event}` };
+        }
+
+        const order = await Order.findOne({ 'payment.reference': reference, 'payment.provider': name });
+        if (!order) {
+            console.warn(`${adapter.label} webhook for unknown payment reference ${reference}`);
+            return { status: 'ignored', message: 'Unknown payment reference' };
+        }
+
+        return this.verifyPayment(reference);
+    }
+}
+
+export default PaymentGateway;
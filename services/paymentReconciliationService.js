@@ -0,0 +1,275 @@
+import Order from '../models/Order.js';
+import PaymentReconciliation from '../models/PaymentReconciliation.js';
+import PaymentGateway from './paymentGateway.js';
+import PaymentService from './paymentService.js';
+import StockReservationService from './stockReservationService.js';
+import WalletTopupService from './walletTopupService.js';
+import { roundMoney } from './pricingService.js';
+import config from '../config/environment.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Orders verified per run; the rest are picked up by the next run
+const BATCH_SIZE = 100;
+
+// Amounts within a kobo count as equal
+const AMOUNT_TOLERANCE = 0.01;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class PaymentReconciliationService {
+    // Wema bank transfers are verified by PaymentService, card providers by the gateway
+    static verify(order) {
+        return order.payment.provider === 'wema'
+            ? PaymentService.verifyPayment(order.payment.reference)
+            : PaymentGateway.verifyPayment(order.payment.reference);
+    }
+
+    /**
+     * Ask providers about online payments still pending PAYMENT_RECONCILE_AFTER_MINUTES after
+     * they started, for buyers who closed the payment page and webhooks that never arrived.
+     * @param {Object} [options]
+     * @param {Date} [options.now]
+     * @returns {Promise<{checked: number, succeeded: number, mismatched: number, failed: number, abandoned: number, pending: number, errors: number}>}
+     */
+    static async reconcilePending({ now = new Date() } = {}) {
+        const result = { checked: 0, succeeded: 0, mismatched: 0, failed: 0, abandoned: 0, pending: 0, errors: 0 };
+
+        const orders = await Order.find({
+            'payment.status': 'pending',
+            'payment.reference': { $exists: true },
+            'payment.provider': { $in: [...PaymentGateway.providerNames(), 'wema'] },
+            'payment.initiatedAt': { $lte: new Date(now.getTime() - config.PAYMENT_RECONCILE_AFTER_MINUTES * MINUTE) }
+        })
+            .sort({ 'payment.initiatedAt': 1 })
+            .limit(BATCH_SIZE);
+
+        for (const order of orders) {
+            result.checked++;
+            try {
+                result[await this.reconcileOrder(order, now)]++;
+            } catch (error) {
+                result.errors++;
+                console.error(`Error reconciling payment ${order.payment.reference}:`, error.message);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Settle one pending payment from the provider's answer. Failed payments give their stock
+     * back at once; payments the provider still has no result for are abandoned once they are
+     * PAYMENT_PENDING_TIMEOUT_MINUTES old.
+     * @returns {Promise<'succeeded'|'mismatched'|'failed'|'abandoned'|'pending'>}
+     */
+    static async reconcileOrder(order, now = new Date()) {
+        const provider = order.payment.provider;
+
+        let verified;
+        try {
+            verified = await this.verify(order);
+        } catch (error) {
+            // Providers answer 400/404 when no charge was ever made against the reference
+            if (![400, 404].includes(error.statusCode)) throw error;
+            verified = { status: 'pending' };
+        }
+
+        if (verified.status === 'success') return 'succeeded';
+        // Held for admin review with its stock
+        if (verified.status === 'mismatch') return 'mismatched';
+
+        let outcome;
+        if (verified.status === 'failed') {
+            outcome = await StockReservationService.abandonUnpaid(order._id, {
+                reason: 'payment_failed',
+                note: `Payment failed at ${provider}`,
+                paymentStatus: 'failed'
+            });
+        } else if (order.payment.initiatedAt <= new Date(now.getTime() - config.PAYMENT_PENDING_TIMEOUT_MINUTES * MINUTE)) {
+            outcome = await StockReservationService.abandonUnpaid(order._id, {
+                reason: 'payment_abandoned',
+                note: `Payment not completed with ${provider} within ${config.PAYMENT_PENDING_TIMEOUT_MINUTES} minutes`
+            });
+        } else {
+            return 'pending';
+        }
+
+        if (!outcome) {
+            throw new AppError(`Could not release stock for order ${order.orderNumber}`, 500);
+        }
+        if (outcome === 'committed') return 'succeeded';
+        // Part-paid transfers go to admin review instead of being abandoned
+        if (outcome === 'review') return 'mismatched';
+        return verified.status === 'failed' ? 'failed' : 'abandoned';
+    }
+
+    static dayBounds(date) {
+        if (!DATE_PATTERN.test(date || '') || isNaN(new Date(`${date}T00:00:00Z`))) {
+            throw new AppError('date must be YYYY-MM-DD', 400);
+        }
+        const start = new Date(`${date}T00:00:00Z`);
+        return { start, end: new Date(start.getTime() + DAY) };
+    }
+
+    // Yesterday in UTC, the last complete day
+    static previousDay(now = new Date()) {
+        return new Date(now.getTime() - DAY).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Compare a provider's successful charges for a day with our orders.
+     * @param {string} provider
+     * @param {{start: Date, end: Date}} window
+     * @returns {Promise<Object>} Report fields: providerTotals, orderTotals, matched, discrepancies
+     */
+    static async compareDay(provider, { start, end }) {
+        const charges = await PaymentGateway.getAdapter(provider).listSuccessful({ start, end });
+        const chargesByReference = new Map(charges.map(charge => [charge.reference, charge]));
+
+        const orders = await Order.find({
+            $or: [
+                { 'payment.provider': provider, 'payment.status': 'success', paidAt: { $gte: start, $lt: end } },
+                { 'payment.reference': { $in: [...chargesByReference.keys()] } }
+            ]
+        }).select('orderNumber payment paidAt');
+
+        const discrepancies = [];
+        const seen = new Set();
+        let matched = 0;
+
+        for (const order of orders) {
+            const charge = chargesByReference.get(order.payment.reference);
+            const paid = order.payment.status === 'success';
+            const entry = {
+                reference: order.payment.reference,
+                order: order._id,
+                orderNumber: order.orderNumber,
+                providerAmount: charge?.amount,
+                orderAmount: order.payment.amount,
+                currency: charge?.currency || order.payment.currency
+            };
+
+            if (!charge) {
+                discrepancies.push({ type: 'missing_at_provider', ...entry });
+                continue;
+            }
+
+            seen.add(charge.reference);
+            if (order.payment.status === 'mismatch') {
+                discrepancies.push({ type: order.payment.mismatch?.reason === 'currency' ? 'currency_mismatch' : 'amount_mismatch', ...entry });
+            } else if (!paid) {
+                discrepancies.push({ type: 'unrecorded_payment', ...entry });
+            } else if (charge.currency !== order.payment.currency) {
+                discrepancies.push({ type: 'currency_mismatch', ...entry });
+            } else if (Math.abs(charge.amount - order.payment.amount) > AMOUNT_TOLERANCE) {
+                discrepancies.push({ type: 'amount_mismatch', ...entry });
+            } else {
+                matched++;
+            }
+        }
+
+        // Wallet top-ups have no order; they match when the wallet was credited
+        const credited = new Set(await WalletTopupService.creditedReferences(
+            charges.map(charge => charge.reference).filter(reference => WalletTopupService.isTopupReference(reference))
+        ));
+
+        // Charges whose reference no order carries, e.g. an attempt replaced by a later one
+        for (const charge of charges) {
+            if (seen.has(charge.reference)) continue;
+            if (credited.has(charge.reference)) {
+                matched++;
+                continue;
+            }
+            discrepancies.push({
+                type: 'unrecorded_payment',
+                reference: charge.reference,
+                providerAmount: charge.amount,
+                currency: charge.currency
+            });
+        }
+
+        const paidOrders = orders.filter(order =>
+            order.payment.status === 'success' && order.paidAt >= start && order.paidAt < end
+        );
+
+        return {
+            providerTotals: {
+                count: charges.length,
+                amount: roundMoney(charges.reduce((sum, charge) => sum + charge.amount, 0)),
+                fees: roundMoney(charges.reduce((sum, charge) => sum + charge.fee, 0))
+            },
+            orderTotals: {
+                count: paidOrders.length,
+                amount: roundMoney(paidOrders.reduce((sum, order) => sum + (order.payment.amountPaid ?? order.payment.amount), 0))
+            },
+            matched,
+            discrepancies
+        };
+    }
+
+    /**
+     * Build and store the reconciliation report for a day, one entry per configured provider.
+     * Regenerating a day replaces its stored reports.
+     * @param {string} [date] - YYYY-MM-DD (UTC); defaults to yesterday
+     * @returns {Promise<Array>} Stored reports
+     */
+    static async buildDailyReport(date = this.previousDay()) {
+        const window = this.dayBounds(date);
+        if (window.end > new Date()) {
+            throw new AppError('Reports can only be built for days that have ended', 400);
+        }
+
+        const reports = [];
+        for (const provider of PaymentGateway.providerNames()) {
+            if (!PaymentGateway.getAdapter(provider).isConfigured()) continue;
+
+            let fields;
+            try {
+                const comparison = await this.compareDay(provider, window);
+                fields = {
+                    ...comparison,
+                    status: comparison.discrepancies.length ? 'discrepancies' : 'balanced',
+                    error: undefined
+                };
+                if (comparison.discrepancies.length) {
+                    console.warn(`Payment reconciliation for ${provider} on ${date} found ${comparison.discrepancies.length} discrepancies`);
+                }
+            } catch (error) {
+                console.error(`Error building ${provider} reconciliation report for ${date}:`, error.message);
+                fields = { status: 'error', error: error.message, matched: 0, discrepancies: [] };
+            }
+
+            reports.push(await PaymentReconciliation.findOneAndUpdate(
+                { date, provider },
+                { ...fields, generatedAt: new Date() },
+                { upsert: true, new: true, setDefaultsOnInsert: true }
+            ));
+        }
+
+        return reports;
+    }
+
+    /**
+     * Stored reports, newest day first.
+     * @param {Object} params - { startDate, endDate, provider, status }
+     */
+    static async listReports({ startDate, endDate, provider, status } = {}) {
+        const filter = {};
+        // Dates are stored as YYYY-MM-DD, so they compare correctly as strings
+        [startDate, endDate].filter(Boolean).forEach(date => this.dayBounds(date));
+        if (startDate || endDate) {
+            filter.date = {};
+            if (startDate) filter.date.$gte = startDate;
+            if (endDate) filter.date.$lte = endDate;
+        }
+        if (provider) filter.provider = provider;
+        if (status) filter.status = status;
+
+        return PaymentReconciliation.find(filter).sort({ date: -1, provider: 1 }).limit(100);
+    }
+}
+
+export default PaymentReconciliationService;
@@ -0,0 +1,455 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import config from '../config/environment.js';
+import Order from '../models/Order.js';
+import StockReservationService from './stockReservationService.js';
+import OrderLifecycle, { SYSTEM } from './orderLifecycle.js';
+import { roundMoney } from './pricingService.js';
+import { AppError, AuthorizationError, ConflictError, NotFoundError } from '../middleware/errorHandler.js';
+
+// Amounts within a kobo of the order total count as paid in full
+const AMOUNT_TOLERANCE = 0.01;
+
+// Orders that can still be paid; abandoned orders are revived by a late payment
+const PAYABLE_STATUSES = ['pending', 'abandoned'];
+
+const PROVIDER_STATUSES = {
+    successful: 'success',
+    success: 'success',
+    completed: 'success',
+    failed: 'failed',
+    cancelled: 'failed',
+    reversed: 'failed',
+    expired: 'abandoned',
+    abandoned: 'abandoned'
+};
+
+// Providers whose transfers add up towards the total; elsewhere a short charge is a mismatch
+const ACCUMULATING_PROVIDERS = ['wema'];
+
+const PROVIDER_LABELS = {
+    wema: 'Wema bank transfer',
+    flutterwave: 'Flutterwave',
+    paystack: 'Paystack'
+};
+
+/**
+ * Bank transfer payments through Wema Bank. Each payment gets a virtual account the buyer
+ * transfers to; Wema notifies /api/payments/webhook/wema when money lands, and
+ * verifyPayment asks Wema directly for buyers returning before the webhook arrives.
+ * The order checks and reconcile are shared with the card providers in paymentGateway.js.
+ */
+class PaymentService {
+    // Requests made at call time so WEMA_BASE_URL can point at scripts/wema-stub.js
+    static client() {
+        if (!config.WEMA_BASE_URL) {
+            throw new AppError('Bank transfer payments are not configured', 503);
+        }
+
+        return axios.create({
+            baseURL: config.WEMA_BASE_URL,
+            timeout: 15000,
+            headers: {
+                'Content-Type': 'application/json',
+                'x-api-key': config.WEMA_API_KEY || ''
+            }
+        });
+    }
+
+    static providerError(error, fallback) {
+        if (error instanceof AppError) return error;
+        console.error(`${fallback}:`, error.response?.data || error.message);
+        return new AppError(error.response?.data?.message || fallback, error.response?.status >= 500 || !error.response ? 502 : 400);
+    }
+
+    // Buyers may only pay for their own orders; admins may act on any
+    static assertCanAccess(order, user) {
+        if (!user || user.role === 'admin') return;
+        const owner = (order.buyer || order.userId)?.toString();
+        if (owner !== user._id.toString()) {
+            throw new AuthorizationError('Not authorized to pay for this order');
+        }
+    }
+
+    /**
+     * Check an order can be paid online now and return the amount due.
+     * @param {Object} order - Order document
+     * @param {number} [amount] - Client's expected amount; rejected with 409 if it differs from the order total
+     * @returns {number} The order total
+     */
+    static assertPayable(order, amount) {
+        if (order.payment?.status === 'success' || order.isPaid) {
+            throw new ConflictError('Order has already been paid');
+        }
+        if (['cash_on_delivery', 'wallet'].includes(order.paymentMethod)) {
+            throw new AppError(`Orders paid by ${order.paymentMethod} cannot be paid online`, 400);
+        }
+        if (!PAYABLE_STATUSES.includes(order.status)) {
+            throw new ConflictError(`Orders that are ${order.status} cannot be paid`);
+        }
+
+        const total = roundMoney(order.totalAmount);
+        if (amount !== undefined && Math.abs(Number(amount) - total) > AMOUNT_TOLERANCE) {
+            throw new ConflictError('Payment amount does not match the order total', { submitted: Number(amount), expected: total });
+        }
+        return total;
+    }
+
+    /**
+     * Open a virtual account for the order's total.
+     * @param {string} orderId
+     * @param {Object} user - Authenticated buyer
+     * @param {Object} params
+     * @param {number} [params.amount] - Client's expected amount, checked by assertPayable
+     * @param {string} [params.email] - Receipt email, defaults to the order's contact email
+     * @param {string} [params.callbackUrl] - Where the frontend sends the buyer after paying
+     * @returns {Promise<Object>} Transfer instructions and the payment reference
+     */
+    static async initializePayment(orderId, user, { amount, email, callbackUrl } = {}) {
+        const order = await Order.findById(orderId);
+        if (!order) {
+            throw new NotFoundError('Order not found');
+        }
+        this.assertCanAccess(order, user);
+        const total = this.assertPayable(order, amount);
+
+        const reference = `WEMA-${order.orderNumber}-${Date.now()}`;
+        const expiresAt = new Date(Date.now() + config.STOCK_RESERVATION_TTL_MINUTES * 60 * 1000);
+
+        let account;
+        try {
+            const response = await this.client().post('/virtual-accounts', {
+                reference,
+                amount: total,
+                currency: 'NGN',
+                accountName: order.customerInfo?.name || 'Epilux Customer',
+                email: email || order.customerInfo?.email,
+                expiresAt: expiresAt.toISOString(),
+                narration: `Order ${order.orderNumber}`
+            });
+            account = response.data.data;
+        } catch (error) {
+            throw this.providerError(error, 'Failed to create bank transfer account');
+        }
+
+        order.payment = {
+            reference,
+            status: 'pending',
+            method: 'bank_transfer',
+            amount: total,
+            currency: 'NGN',
+            initiatedAt: new Date(),
+            provider: 'wema',
+            providerData: {
+                accountNumber: account.accountNumber,
+                accountName: account.accountName,
+                bankName: account.bankName || 'Wema Bank',
+                expiresAt: account.expiresAt || expiresAt,
+                callbackUrl
+            }
+        };
+        await order.save();
+
+        return {
+            paymentReference: reference,
+            amount: total,
+            currency: 'NGN',
+            bankTransfer: {
+                accountNumber: account.accountNumber,
+                accountName: account.accountName,
+                bankName: account.bankName || 'Wema Bank',
+                expiresAt: account.expiresAt || expiresAt
+            },
+            callbackUrl
+        };
+    }
+
+    /**
+     * Ask Wema for the transfer's status and apply it to the order.
+     * @param {string} reference - Payment reference from initializePayment
+     * @param {Object} [user] - Buyer checking their own payment; omitted for system calls
+     */
+    static async verifyPayment(reference, user = null) {
+        const order = await Order.findOne({ 'payment.reference': reference });
+        if (!order) {
+            throw new NotFoundError('Payment not found');
+        }
+        this.assertCanAccess(order, user);
+
+        let transaction;
+        try {
+            const response = await this.client().get(`/transactions/${encodeURIComponent(reference)}`);
+            transaction = response.data.data;
+        } catch (error) {
+            throw this.providerError(error, 'Failed to verify bank transfer');
+        }
+
+        return this.reconcile(order, transaction);
+    }
+
+    // Stored payment state, without asking Wema
+    static async getPaymentStatus(reference, user) {
+        const order = await Order.findOne({ 'payment.reference': reference });
+        if (!order) {
+            throw new NotFoundError('Payment not found');
+        }
+        this.assertCanAccess(order, user);
+
+        return {
+            orderId: order._id,
+            status: order.payment.status,
+            reference: order.payment.reference,
+            amount: order.payment.amount,
+            amountPaid: order.payment.amountPaid || 0,
+            provider: order.payment.provider
+        };
+    }
+
+    // Wema signs the raw request body with HMAC-SHA512 using the shared webhook secret
+    static verifySignature(rawBody, signature) {
+        if (!config.WEMA_WEBHOOK_SECRET) {
+            throw new AppError('Wema webhook secret is not configured', 503);
+        }
+        if (!rawBody || !signature) return false;
+
+        const expected = crypto.createHmac('sha512', config.WEMA_WEBHOOK_SECRET).update(rawBody).digest('hex');
+        const given = String(signature).trim().toLowerCase();
+        return given.length === expected.length &&
+            crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+    }
+
+    /**
+     * Apply a verified Wema notification. Unknown references and events are acknowledged
+     * without changes so Wema stops redelivering them.
+     * @param {Object} payload - Parsed webhook body
+     */
+    static async processWebhookEvent(payload) {
+        const { event, data } = payload;
+        if (!['transfer.received', 'transfer.failed', 'account.expired'].includes(event) || !data?.reference) {
+            return { status: 'ignored', message: `No action for event ${event}` };
+        }
+
+        const order = await Order.findOne({ 'payment.reference': data.reference });
+        if (!order) {
+            console.warn(`Wema webhook for unknown payment reference ${data.reference}`);
+            return { status: 'ignored', message: 'Unknown payment reference' };
+        }
+
+        const status = { 'transfer.failed': 'failed', 'account.expired': 'expired' }[event] || data.status || 'successful';
+        return this.reconcile(order, { ...data, status });
+    }
+
+    /**
+     * Check what the provider received against the order's own total and currency.
+     * @returns {{status: string, mismatch: (Object|undefined)}} Status to store and mismatch details
+     */
+    static assessPayment(order, status, amountPaid, currency) {
+        const expectedAmount = roundMoney(order.totalAmount);
+        const expectedCurrency = order.payment.currency || 'NGN';
+        if (status !== 'success') return { status };
+
+        let reason;
+        if (currency !== expectedCurrency) {
+            reason = 'currency';
+        } else if (amountPaid > expectedAmount + AMOUNT_TOLERANCE) {
+            reason = 'overpaid';
+        } else if (amountPaid + AMOUNT_TOLERANCE < expectedAmount) {
+            // Bank transfers may arrive in parts; wait for the balance
+            if (ACCUMULATING_PROVIDERS.includes(order.payment.provider)) return { status: 'pending' };
+            reason = 'underpaid';
+        }
+        if (!reason) return { status };
+
+        return {
+            status: 'mismatch',
+            mismatch: {
+                reason,
+                expectedAmount,
+                expectedCurrency,
+                receivedAmount: amountPaid,
+                receivedCurrency: currency,
+                detectedAt: new Date()
+            }
+        };
+    }
+
+    /**
+     * Record a provider result on the order. Only a payment of exactly the order total, in the
+     * order's currency, marks the order paid, keeps its stock and moves it to processing. Any
+     * other successful charge is flagged `mismatch` for admin review; money short of the total
+     * is kept in payment.partialPayments. Safe to call repeatedly with the same result.
+     * @param {Object} order - Order document
+     * @param {Object} transaction - { status, amountPaid (total received so far, falling back to amount), currency, transactionId, paidAt, sessionId }
+     */
+    static async reconcile(order, transaction) {
+        const result = (extra = {}) => ({
+            orderId: order._id,
+            reference: order.payment.reference,
+            amount: order.payment.amount,
+            amountPaid: order.payment.amountPaid || 0,
+            ...extra
+        });
+
+        if (['success', 'mismatch'].includes(order.payment.status)) {
+            return result({ status: order.payment.status, alreadyProcessed: true });
+        }
+
+        const providerStatus = String(transaction?.status || 'pending').toLowerCase();
+        const amountPaid = roundMoney(transaction.amountPaid ?? transaction.amount ?? 0);
+        const currency = transaction.currency || 'NGN';
+        const { status, mismatch } = this.assessPayment(order, PROVIDER_STATUSES[providerStatus] || 'pending', amountPaid, currency);
+
+        const set = {
+            'payment.status': status,
+            'payment.amountPaid': amountPaid,
+            'payment.verifiedAt': new Date(),
+            'payment.providerData.providerStatus': providerStatus,
+            'payment.providerData.sessionId': transaction.sessionId,
+            'payment.providerData.paidAt': transaction.paidAt
+        };
+        if (transaction.transactionId) set['payment.transactionId'] = String(transaction.transactionId);
+        if (mismatch) set['payment.mismatch'] = mismatch;
+        Object.keys(set).forEach(key => set[key] === undefined && delete set[key]);
+        if (status === 'success') {
+            set.isPaid = true;
+            set.paidAt = transaction.paidAt ? new Date(transaction.paidAt) : new Date();
+        }
+
+        const update = { $set: set };
+        const received = roundMoney(amountPaid - (order.payment.amountPaid || 0));
+        // Card providers report the charge amount before it is taken, so only transfers and
+        // flagged charges count as money received. Once a payment arrives in parts, every part
+        // is listed, including the last
+        const moneyReceived = status === 'mismatch' || ACCUMULATING_PROVIDERS.includes(order.payment.provider);
+        if (received > 0 && moneyReceived && (status !== 'success' || order.payment.partialPayments?.length)) {
+            update.$push = {
+                'payment.partialPayments': {
+                    amount: received,
+                    currency,
+                    transactionId: transaction.transactionId && String(transaction.transactionId),
+                    receivedAt: transaction.paidAt ? new Date(transaction.paidAt) : new Date()
+                }
+            };
+        }
+
+        // Only the first delivery of a final result gets past this filter
+        const updated = await Order.findOneAndUpdate(
+            {
+                _id: order._id,
+                'payment.reference': order.payment.reference,
+                'payment.status': { $nin: ['success', 'mismatch'] },
+                'payment.amountPaid': order.payment.amountPaid ?? null
+            },
+            update,
+            { new: true }
+        );
+        if (!updated) {
+            const current = await Order.findById(order._id).select('payment');
+            return result({ status: current?.payment?.status, alreadyProcessed: true });
+        }
+        order = updated;
+
+        if (status === 'success') {
+            // Paid orders keep their stock for good
+            await StockReservationService.commitForOrder(order._id);
+
+            if (OrderLifecycle.canTransition(order.status, 'processing', SYSTEM)) {
+                await OrderLifecycle.transition(order, 'processing', {
+                    actor: SYSTEM,
+                    note: `Payment received via ${PROVIDER_LABELS[order.payment.provider] || order.payment.provider}`
+                });
+            }
+        } else if (status === 'mismatch') {
+            console.warn(`Order ${order.orderNumber} payment ${mismatch.reason}: received ${currency} ${amountPaid}, expected ${mismatch.expectedCurrency} ${mismatch.expectedAmount}; held for review`);
+        } else if (received > 0) {
+            console.warn(`Order ${order.orderNumber} received ${amountPaid} of ${order.payment.amount}; awaiting the balance`);
+        }
+
+        return result({ status, providerStatus, currency, ...(mismatch && { mismatch }) });
+    }
+
+    /**
+     * Orders whose payment is waiting for an admin decision, oldest first.
+     * @param {Object} params - { page, limit }
+     */
+    static async listMismatches({ page = 1, limit = 20 } = {}) {
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+        const filter = { 'payment.status': 'mismatch' };
+
+        const [orders, total] = await Promise.all([
+            Order.find(filter)
+                .select('orderNumber status totalAmount customerInfo payment createdAt')
+                .sort({ 'payment.mismatch.detectedAt': 1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize),
+            Order.countDocuments(filter)
+        ]);
+
+        return {
+            orders,
+            pagination: { page: pageNumber, limit: pageSize, total, pages: Math.ceil(total / pageSize) }
+        };
+    }
+
+    /**
+     * Settle a mismatched payment. Accepting treats the order as paid; rejecting fails the
+     * payment and gives its stock back. Money owed back (`refundDue`) is returned through
+     * RefundService, which caps refunds of settled mismatches at the amount received.
+     * @param {string} orderId
+     * @param {Object} admin - Reviewing admin
+     * @param {Object} params
+     * @param {string} params.action - 'accept' or 'reject'
+     * @param {string} [params.note]
+     * @returns {Promise<Object>} { order, refundDue }
+     */
+    static async resolveMismatch(orderId, admin, { action, note } = {}) {
+        if (!['accept', 'reject'].includes(action)) {
+            throw new AppError('action must be accept or reject', 400);
+        }
+
+        const resolution = {
+            'payment.mismatch.resolution': action === 'accept' ? 'accepted' : 'rejected',
+            'payment.mismatch.resolvedBy': admin._id,
+            'payment.mismatch.resolvedAt': new Date(),
+            'payment.mismatch.note': note,
+            'payment.status': action === 'accept' ? 'success' : 'failed'
+        };
+        if (action === 'accept') {
+            resolution.isPaid = true;
+            resolution.paidAt = new Date();
+        }
+
+        const order = await Order.findOneAndUpdate(
+            { _id: orderId, 'payment.status': 'mismatch' },
+            { $set: resolution },
+            { new: true }
+        );
+        if (!order) {
+            const exists = await Order.exists({ _id: orderId });
+            if (!exists) throw new NotFoundError('Order not found');
+            throw new ConflictError('Order has no payment awaiting review');
+        }
+
+        const reviewNote = `Payment ${action === 'accept' ? 'accepted' : 'rejected'} after review${note ? `: ${note}` : ''}`;
+        if (action === 'accept') {
+            await StockReservationService.commitForOrder(order._id);
+            if (OrderLifecycle.canTransition(order.status, 'processing', admin)) {
+                await OrderLifecycle.transition(order, 'processing', { actor: admin, note: reviewNote });
+            }
+            // Anything paid over the total, in the order's currency, goes back to the buyer
+            const { reason, receivedAmount, expectedAmount } = order.payment.mismatch;
+            const refundDue = reason === 'overpaid' ? roundMoney(receivedAmount - expectedAmount) : 0;
+            return { order: await Order.findById(order._id), refundDue };
+        }
+
+        await StockReservationService.abandonUnpaid(order._id, {
+            reason: 'payment_failed',
+            note: reviewNote,
+            paymentStatus: 'failed'
+        });
+        return { order: await Order.findById(order._id), refundDue: order.payment.amountPaid || 0 };
+    }
+}
+
+export default PaymentService;
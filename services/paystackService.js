@@ -0,0 +1,128 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import config from '../config/environment.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+// Paystack amounts are in kobo
+const toKobo = (amount) => Math.round(Number(amount) * 100);
+const fromKobo = (amount) => Number(amount || 0) / 100;
+
+class PaystackService {
+    // Requests made at call time so PAYSTACK_BASE_URL can point at scripts/paystack-stub.js
+    static client() {
+        return axios.create({
+            baseURL: config.PAYSTACK_BASE_URL,
+            timeout: 15000,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${config.PAYSTACK_SECRET_KEY}`
+            }
+        });
+    }
+
+    static providerError(error, fallback) {
+        console.error(`${fallback}:`, error.response?.data || error.message);
+        return new AppError(error.response?.data?.message || fallback, error.response?.status || 500);
+    }
+
+    /**
+     * Start a hosted checkout.
+     * @returns {Promise<Object>} { authorization_url, access_code, reference }
+     */
+    static async initializeTransaction({ reference, amount, currency = 'NGN', email, callbackUrl, metadata }) {
+        try {
+            const response = await this.client().post('/transaction/initialize', {
+                reference,
+                amount: toKobo(amount),
+                currency,
+                email,
+                callback_url: callbackUrl,
+                metadata
+            });
+            return response.data.data;
+        } catch (error) {
+            throw this.providerError(error, 'Failed to initialize Paystack payment');
+        }
+    }
+
+    /**
+     * Look up a transaction by our reference, with the amount converted back to naira.
+     * @returns {Promise<Object>} { id, status, amount, currency, reference, paid_at, ... }
+     */
+    static async verifyTransaction(reference) {
+        try {
+            const response = await this.client().get(`/transaction/verify/${encodeURIComponent(reference)}`);
+            const transaction = response.data.data;
+            return { ...transaction, amount: fromKobo(transaction.amount) };
+        } catch (error) {
+            throw this.providerError(error, 'Failed to verify Paystack payment');
+        }
+    }
+
+    /**
+     * Successful transactions between two instants, across all result pages, with amounts and
+     * fees converted to naira.
+     * @returns {Promise<Array>} Paystack transactions ({ id, reference, amount, fees, currency, paid_at, ... })
+     */
+    static async listTransactions({ from, to }) {
+        const transactions = [];
+        try {
+            for (let page = 1; ; page++) {
+                const response = await this.client().get('/transaction', {
+                    params: { from, to, status: 'success', perPage: 100, page }
+                });
+                transactions.push(...(response.data.data || []).map(transaction => ({
+                    ...transaction,
+                    amount: fromKobo(transaction.amount),
+                    fees: fromKobo(transaction.fees)
+                })));
+
+                if (page >= (response.data.meta?.pageCount || 1)) break;
+            }
+            return transactions;
+        } catch (error) {
+            throw this.providerError(error, 'Failed to list Paystack transactions');
+        }
+    }
+
+    /**
+     * Refund a charge in full (amount omitted) or in part.
+     * @param {string} transaction - Paystack transaction id or reference
+     * @returns {Promise<Object>} Paystack refund object ({ id, status, amount, ... })
+     */
+    static async refundTransaction(transaction, amount) {
+        try {
+            const response = await this.client().post('/refund', {
+                transaction,
+                ...(amount ? { amount: toKobo(amount) } : {})
+            });
+            return response.data.data;
+        } catch (error) {
+            throw this.providerError(error, 'Failed to refund Paystack payment');
+        }
+    }
+
+    static async getRefund(refundId) {
+        try {
+            const response = await this.client().get(`/refund/${refundId}`);
+            return response.data.data;
+        } catch (error) {
+            throw this.providerError(error, 'Failed to fetch Paystack refund');
+        }
+    }
+
+    // Paystack signs the raw request body with HMAC-SHA512 using the secret key
+    static verifySignature(rawBody, signature) {
+        if (!config.PAYSTACK_SECRET_KEY) {
+            throw new AppError('Paystack is not configured', 503);
+        }
+        if (!rawBody || !signature) return false;
+
+        const expected = crypto.createHmac('sha512', config.PAYSTACK_SECRET_KEY).update(rawBody).digest('hex');
+        const given = String(signature).trim().toLowerCase();
+        return given.length === expected.length &&
+            crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+    }
+}
+
+export default PaystackService;
@@ -0,0 +1,169 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import SeasonalPromoService from './seasonalPromoService.js';
+import ShippingService from './shippingService.js';
+import TaxService from './taxService.js';
+import CouponService from './couponService.js';
+import { AppError, ConflictError } from '../middleware/errorHandler.js';
+
+// Amounts are compared with a small tolerance to absorb floating point noise from the client
+const PRICE_TOLERANCE = 0.01;
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+class PricingService {
+    /**
+     * Build the server-side price breakdown for a set of items.
+     * This is the single source of truth for what checkout will charge.
+     * @param {Object} params
+     * @param {Array<{product: string, quantity: number}>} params.items - Requested items
+     * @param {Object} [params.shippingAddress] - Destination used for shipping and tax
+     * @param {string} [params.couponCode] - Discount code to apply
+     * @param {Object} [params.user] - Buyer, for per-user coupon limits
+     * @param {Object} [params.session] - Optional mongoose session
+     * @returns {Promise<Object>} Quote with priced lines, subtotal, discount, shipping, tax and total
+     */
+    static async buildQuote({ items, shippingAddress = null, couponCode = null, user = null, session = null }) {
+        const lines = await this.priceItems(items, session);
+        const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+
+        const { discount: promoDiscount, promotions } = this.applyPromotions(subtotal);
+        let discount = promoDiscount;
+
+        let coupon = null;
+        if (couponCode) {
+            coupon = await CouponService.resolve({
+                code: couponCode,
+                user,
+                lines,
+                merchandiseTotal: subtotal - promoDiscount,
+                session
+            });
+            discount = roundMoney(discount + coupon.discount);
+        }
+
+        const shipping = await ShippingService.quote({
+            lines,
+            merchandiseTotal: subtotal - discount,
+            shippingAddress,
+            session
+        });
+        let shippingFee = shipping.fee;
+
+        // A free-shipping coupon's discount is the fee it waives
+        if (coupon?.freeShipping) {
+            coupon.discount = shippingFee;
+            shippingFee = 0;
+        }
+        const taxes = TaxService.calculate(lines, discount);
+        const tax = taxes.tax;
+
+        return {
+            currency: 'NGN',
+            items: taxes.lines,
+            subtotal,
+            discount,
+            promotions,
+            coupon,
+            shippingFee,
+            shipping,
+            tax,
+            taxRate: taxes.rate,
+            taxInclusive: taxes.inclusive,
+            // Inclusive prices already contain the VAT, so it is not added again
+            total: roundMoney(subtotal - discount + shippingFee + (taxes.inclusive ? 0 : tax)),
+            calculatedAt: new Date()
+        };
+    }
+
+    // Rebuild every line from the Product collection
+    static async priceItems(items, session = null) {
+        if (!Array.isArray(items) || items.length === 0) {
+            throw new AppError('Items array is required and cannot be empty', 400);
+        }
+
+        const lines = [];
+        for (const item of items) {
+            const productId = item.product || item.productId;
+            const quantity = Number(item.quantity);
+
+            if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
+                throw new AppError(`Invalid product: ${productId}`, 400);
+            }
+            if (!Number.isInteger(quantity) || quantity < 1) {
+                throw new AppError(`Invalid quantity for product: ${productId}`, 400);
+            }
+
+            const product = await Product.findById(productId).session(session);
+            if (!product || !product.isActive) {
+                throw new AppError(`Product not found: ${productId}`, 400);
+            }
+
+            lines.push({
+                product: product._id,
+                name: product.name,
+                sku: product.sku,
+                category: product.category,
+                quantity,
+                weight: product.weight || 0,
+                unitPrice: roundMoney(product.price),
+                lineTotal: roundMoney(product.price * quantity)
+            });
+        }
+
+        return lines;
+    }
+
+    // Apply the active seasonal promotion discount, if it carries one
+    static applyPromotions(subtotal) {
+        const promo = SeasonalPromoService.getCurrentPromo();
+        if (!promo || !promo.discountRate) {
+            return { discount: 0, promotions: [] };
+        }
+
+        const discount = roundMoney((subtotal * promo.discountRate) / 100);
+        return {
+            discount,
+            promotions: [{
+                name: promo.name,
+                discountRate: promo.discountRate,
+                amount: discount
+            }]
+        };
+    }
+
+    /**
+     * Ensure the amounts a client submitted match the server quote
+     * @throws {ConflictError} When any line price or the total differs from the quote
+     */
+    static assertMatchesQuote(quote, { items = [], totalAmount }) {
+        const mismatches = [];
+
+        items.forEach((item, index) => {
+            const line = quote.items[index];
+            if (item.price !== undefined && Math.abs(Number(item.price) - line.unitPrice) > PRICE_TOLERANCE) {
+                mismatches.push({
+                    field: `items[${index}].price`,
+                    product: line.product,
+                    submitted: Number(item.price),
+                    expected: line.unitPrice
+                });
+            }
+        });
+
+        if (Math.abs(Number(totalAmount) - quote.total) > PRICE_TOLERANCE) {
+            mismatches.push({
+                field: 'totalAmount',
+                submitted: Number(totalAmount),
+                expected: quote.total
+            });
+        }
+
+        if (mismatches.length > 0) {
+            throw new ConflictError('Order amounts do not match the current quote', { mismatches, quote });
+        }
+    }
+}
+
+export { roundMoney };
+export default PricingService;
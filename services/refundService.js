@@ -0,0 +1,342 @@
+import Order from '../models/Order.js';
+import Refund from '../models/Refund.js';
+import ReturnRequest from '../models/ReturnRequest.js';
+import WalletTransaction from '../models/WalletTransaction.js';
+import PaymentGateway from './paymentGateway.js';
+import WalletService from './walletService.js';
+import { roundMoney } from './pricingService.js';
+import { AppError, ConflictError, NotFoundError } from '../middleware/errorHandler.js';
+
+// Flutterwave and Paystack refund statuses; anything else is still in flight
+const PROVIDER_STATUSES = {
+    completed: 'completed',
+    successful: 'completed',
+    processed: 'completed',
+    failed: 'failed',
+    declined: 'failed'
+};
+
+const OUTSTANDING_STATUSES = ['pending', 'processing'];
+
+// Amounts within a kobo count as equal
+const AMOUNT_TOLERANCE = 0.01;
+
+class RefundService {
+    // Cash-on-delivery money is collected on delivery; online payments once verified
+    static isPaid(order) {
+        return order.isPaid ||
+            order.payment?.status === 'success' ||
+            ['completed', 'partially_refunded'].includes(order.paymentStatus) ||
+            (order.paymentMethod === 'cash_on_delivery' && ['delivered', 'completed'].includes(order.status));
+    }
+
+    // A rejected mismatched payment was never accepted, but the money it brought in is owed back
+    static holdsRejectedPayment(order) {
+        return order.payment?.mismatch?.resolution === 'rejected' && order.payment.amountPaid > 0;
+    }
+
+    // Once a mismatch is settled, refunds are capped at what was actually received, in its currency
+    static refundableBase(order) {
+        if (order.payment?.mismatch?.resolution) {
+            return {
+                amount: order.payment.amountPaid || 0,
+                currency: order.payment.mismatch.receivedCurrency || order.payment.currency || 'NGN'
+            };
+        }
+        return { amount: order.totalAmount, currency: order.payment?.currency || 'NGN' };
+    }
+
+    static refundsToProvider(order) {
+        return Boolean(PaymentGateway.providerFor(order));
+    }
+
+    // What can still be refunded once completed and in-flight refunds are deducted
+    static getRefundableAmount(order) {
+        return roundMoney(this.refundableBase(order).amount - (order.refundedAmount || 0) - (order.refundPendingAmount || 0));
+    }
+
+    /**
+     * Set an amount aside for a new refund, checking and reserving in one update so two refunds
+     * created at once cannot both pass the check.
+     * @returns {Promise<boolean>} false when less than `amount` is left to refund
+     */
+    static async reserve(order, amount) {
+        const reserved = await Order.updateOne(
+            {
+                _id: order._id,
+                $expr: {
+                    $lte: [
+                        { $add: [{ $ifNull: ['$refundedAmount', 0] }, { $ifNull: ['$refundPendingAmount', 0] }, amount] },
+                        this.refundableBase(order).amount + AMOUNT_TOLERANCE
+                    ]
+                }
+            },
+            { $inc: { refundPendingAmount: amount } }
+        );
+        return reserved.modifiedCount === 1;
+    }
+
+    static release(refund) {
+        return Order.updateOne({ _id: refund.order }, { $inc: { refundPendingAmount: -refund.amount } });
+    }
+
+    // Refunds go to the buyer's account, so unclaimed guest orders have nowhere to send them
+    static assertRefundable(order) {
+        if (!order.buyer && !order.userId) {
+            throw new ConflictError('Guest orders must be claimed into an account before they can be refunded; claim the order first');
+        }
+        if (!this.isPaid(order) && !this.holdsRejectedPayment(order)) {
+            throw new ConflictError('Only paid orders can be refunded');
+        }
+    }
+
+    /**
+     * Refund a paid order, or the money taken by a rejected mismatched payment, in full or in part.
+     * @param {Object} params
+     * @param {string} params.orderId
+     * @param {number} [params.amount] - Defaults to everything still refundable
+     * @param {string} [params.method='wallet'] - 'wallet' or 'original_payment'
+     * @param {string} [params.reason]
+     * @param {string} [params.initiatedBy] - Admin user id
+     * @param {string} [params.returnRequestId] - Return this refund settles
+     * @returns {Promise<Object>} The refund document
+     */
+    static async createRefund({ orderId, amount, method = 'wallet', reason, initiatedBy, returnRequestId }) {
+        const order = await Order.findById(orderId);
+        if (!order) {
+            throw new NotFoundError('Order not found');
+        }
+
+        this.assertRefundable(order);
+
+        if (!['wallet', 'original_payment'].includes(method)) {
+            throw new AppError('Refund method must be wallet or original_payment', 400);
+        }
+        if (method === 'original_payment' && !this.refundsToProvider(order)) {
+            throw new AppError(`Orders paid by ${order.paymentMethod} can only be refunded to the wallet`, 400);
+        }
+
+        const base = this.refundableBase(order);
+        if (method === 'wallet' && base.currency !== 'NGN') {
+            throw new AppError(`Payments in ${base.currency} can only be refunded to the original payment`, 400);
+        }
+
+        const refundable = this.getRefundableAmount(order);
+        const refundAmount = amount === undefined || amount === null ? refundable : roundMoney(amount);
+        if (!(refundAmount > 0) || refundAmount > refundable) {
+            throw new AppError(`Refund amount must be between 0.01 and ${refundable}`, 400);
+        }
+        if (!await this.reserve(order, refundAmount)) {
+            throw new ConflictError('Another refund for this order was just created; check what is left to refund and retry');
+        }
+
+        let refund;
+        try {
+            refund = await Refund.create({
+                order: order._id,
+                returnRequest: returnRequestId,
+                user: order.buyer || order.userId,
+                amount: refundAmount,
+                currency: base.currency,
+                type: refundAmount >= roundMoney(base.amount - (order.refundedAmount || 0)) ? 'full' : 'partial',
+                method: method === 'wallet' ? 'wallet' : PaymentGateway.providerFor(order),
+                reason,
+                initiatedBy
+            });
+        } catch (error) {
+            await this.release({ order: order._id, amount: refundAmount });
+            throw error;
+        }
+
+        try {
+            if (refund.method === 'wallet') {
+                await this.creditWallet(refund, order);
+            } else {
+                await this.sendToProvider(refund, order);
+            }
+        } catch (error) {
+            // Money already credited to the wallet is never failed; reconcile finishes the bookkeeping
+            if (!await this.isWalletCredited(refund)) {
+                await this.fail(refund, error.message);
+            }
+            throw error;
+        }
+
+        return Refund.findById(refund._id);
+    }
+
+    /**
+     * The wallet transaction reference is stored on the refund before the wallet is credited, and
+     * the transaction's unique reference means the same refund can only ever be credited once.
+     */
+    static async creditWallet(refund, order) {
+        refund.reference = `RFD-${refund._id}`;
+        refund.status = 'processing';
+        await refund.save();
+
+        try {
+            await WalletService.addFunds(
+                refund.user,
+                refund.amount,
+                'refund',
+                `Refund for order ${order.orderNumber}`,
+                { orderId: order._id, refundId: refund._id },
+                { reference: refund.reference }
+            );
+        } catch (error) {
+            // Credited by an earlier attempt
+            if (error.code !== 11000) throw error;
+        }
+        await this.complete(refund);
+    }
+
+    static async isWalletCredited(refund) {
+        return refund.method === 'wallet' && Boolean(refund.reference) &&
+            Boolean(await WalletTransaction.exists({ reference: refund.reference }));
+    }
+
+    static async sendToProvider(refund, order) {
+        const providerRefund = await PaymentGateway.getAdapter(refund.method).refund({
+            transactionId: order.payment?.transactionId,
+            reference: order.payment?.reference,
+            amount: refund.amount
+        });
+
+        refund.reference = providerRefund.refundId;
+        refund.provider = {
+            transactionId: providerRefund.transactionId,
+            refundId: providerRefund.refundId,
+            status: providerRefund.status,
+            response: providerRefund.response
+        };
+        refund.status = 'processing';
+        refund.lastCheckedAt = new Date();
+        await refund.save();
+
+        await this.applyProviderStatus(refund, providerRefund.status);
+    }
+
+    static async applyProviderStatus(refund, providerStatus) {
+        const status = PROVIDER_STATUSES[String(providerStatus).toLowerCase()];
+        if (status === 'completed') {
+            await this.complete(refund);
+        } else if (status === 'failed') {
+            await this.fail(refund, `Provider reported ${providerStatus}`);
+        }
+    }
+
+    // Apply a finished refund to the order and its return request exactly once
+    static async complete(refund) {
+        const completed = await Refund.findOneAndUpdate(
+            { _id: refund._id, status: { $ne: 'completed' } },
+            { status: 'completed', completedAt: new Date() },
+            { new: true }
+        );
+        if (!completed) return;
+
+        const order = await Order.findByIdAndUpdate(
+            completed.order,
+            { $inc: { refundedAmount: completed.amount, refundPendingAmount: -completed.amount } },
+            { new: true }
+        );
+        await Order.updateOne(
+            { _id: order._id },
+            { paymentStatus: order.refundedAmount >= this.refundableBase(order).amount - 0.01 ? 'refunded' : 'partially_refunded' }
+        );
+
+        if (completed.returnRequest) {
+            await ReturnRequest.updateOne(
+                { _id: completed.returnRequest },
+                {
+                    status: 'refunded',
+                    refundStatus: 'completed',
+                    refundReference: completed.reference,
+                    refundedAt: completed.completedAt
+                }
+            );
+        }
+    }
+
+    static async fail(refund, reason) {
+        const failed = await Refund.findOneAndUpdate(
+            { _id: refund._id, status: { $in: OUTSTANDING_STATUSES } },
+            { status: 'failed', failureReason: reason }
+        );
+        // The reserved amount is released once, by whichever call failed the refund
+        if (failed) {
+            await this.release(failed);
+        }
+
+        if (refund.returnRequest) {
+            await ReturnRequest.updateOne({ _id: refund.returnRequest }, { refundStatus: 'failed', refundFailureReason: reason });
+        }
+    }
+
+    /**
+     * Pull the latest provider status for an in-flight refund, or complete a wallet refund whose
+     * credit went through before a later step failed.
+     * @returns {Promise<Object>} The refreshed refund
+     */
+    static async reconcile(refundId) {
+        const refund = await Refund.findById(refundId);
+        if (!refund) {
+            throw new NotFoundError('Refund not found');
+        }
+
+        if (!OUTSTANDING_STATUSES.includes(refund.status)) {
+            return refund;
+        }
+        if (refund.method === 'wallet') {
+            if (await this.isWalletCredited(refund)) {
+                await this.complete(refund);
+            }
+            return Refund.findById(refund._id);
+        }
+        if (!refund.provider?.refundId) {
+            return refund;
+        }
+
+        const providerRefund = await PaymentGateway.getAdapter(refund.method).getRefund(refund.provider.refundId);
+        refund.provider.status = providerRefund.status;
+        refund.provider.response = providerRefund.response;
+        refund.lastCheckedAt = new Date();
+        await refund.save();
+
+        await this.applyProviderStatus(refund, providerRefund.status);
+
+        return Refund.findById(refund._id);
+    }
+
+    // Run periodically from the scheduler
+    static async reconcilePending() {
+        const pending = await Refund.find({
+            status: { $in: OUTSTANDING_STATUSES },
+            $or: [
+                { method: { $ne: 'wallet' }, 'provider.refundId': { $exists: true } },
+                { method: 'wallet', reference: { $exists: true } }
+            ]
+        }).select('_id');
+
+        const result = { checked: 0, completed: 0, failed: 0 };
+        for (const { _id } of pending) {
+            try {
+                const refund = await this.reconcile(_id);
+                result.checked++;
+                if (refund.status === 'completed') result.completed++;
+                if (refund.status === 'failed') result.failed++;
+            } catch (error) {
+                console.error(`Error reconciling refund ${_id}:`, error.message);
+            }
+        }
+
+        return result;
+    }
+
+    static async getOrderRefunds(orderId) {
+        return Refund.find({ order: orderId })
+            .populate('initiatedBy', 'firstName lastName email')
+            .sort({ createdAt: -1 });
+    }
+}
+
+export default RefundService;
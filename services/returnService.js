@@ -0,0 +1,346 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import Refund from '../models/Refund.js';
+import ReturnRequest from '../models/ReturnRequest.js';
+import OrderNumberService from './orderNumberService.js';
+import RefundService from './refundService.js';
+import { roundMoney } from './pricingService.js';
+import { AppError, AuthorizationError, ConflictError, NotFoundError } from '../middleware/errorHandler.js';
+
+const RETURNABLE_ORDER_STATUSES = ['delivered', 'completed'];
+// Requests still holding quantity that cannot be returned again. Picked-up requests are already
+// counted in the order line's returnedQuantity, so they are left out
+const OPEN_RETURN_STATUSES = ['requested', 'approved'];
+
+class ReturnService {
+    /**
+     * Open a return request for items of a delivered order.
+     * @param {Object} user - Customer document
+     * @param {string} orderId
+     * @param {Object} params
+     * @param {Array} params.items - [{ orderItem | product, quantity, reason, comment? }]
+     * @param {Array} [params.photos] - Photo URLs
+     * @returns {Promise<Object>} The return request
+     */
+    static async requestReturn(user, orderId, { items, photos = [] }) {
+        if (!mongoose.Types.ObjectId.isValid(orderId)) {
+            throw new AppError('Invalid order ID', 400);
+        }
+
+        const order = await Order.findOne({
+            _id: orderId,
+            $or: [{ buyer: user._id }, { userId: user._id }]
+        });
+        if (!order) {
+            throw new NotFoundError('Order not found');
+        }
+
+        if (!RETURNABLE_ORDER_STATUSES.includes(order.status)) {
+            throw new ConflictError(`Orders that are ${order.status} cannot be returned`);
+        }
+
+        if (!Array.isArray(items) || items.length === 0) {
+            throw new AppError('Select at least one item to return', 400);
+        }
+
+        const session = await mongoose.startSession();
+        try {
+            session.startTransaction();
+
+            // Writing the order first makes concurrent requests for it conflict, so the order and
+            // the open requests read below cannot change before this one is stored
+            const current = await Order.findByIdAndUpdate(
+                order._id,
+                { $set: { updatedAt: new Date() } },
+                { new: true, session, timestamps: false }
+            );
+
+            const openRequests = await ReturnRequest.find({ order: order._id, status: { $in: OPEN_RETURN_STATUSES } })
+                .session(session);
+            const returnItems = items.map(item => {
+                const line = current.items.find(l =>
+                    (item.orderItem && l._id.toString() === String(item.orderItem)) ||
+                    (!item.orderItem && l.product.toString() === String(item.product))
+                );
+                if (!line) {
+                    throw new AppError(`Item ${item.orderItem || item.product} is not part of this order`, 400);
+                }
+
+                const quantity = Number(item.quantity);
+                const returnable = this.returnableQuantity(line, openRequests);
+                if (!Number.isInteger(quantity) || quantity < 1 || quantity > returnable) {
+                    throw new AppError(`Only ${returnable} of ${line.name || 'this item'} can be returned`, 400);
+                }
+
+                if (!item.reason) {
+                    throw new AppError('A reason is required for each returned item', 400);
+                }
+
+                return {
+                    orderItem: line._id,
+                    product: line.product,
+                    name: line.name,
+                    quantity,
+                    unitPrice: line.price,
+                    reason: item.reason,
+                    comment: item.comment
+                };
+            });
+
+            const { refundAmount, commissionAdjustment } = this.calculateRefund(current, returnItems);
+
+            const [returnRequest] = await ReturnRequest.create([{
+                rmaNumber: await this.nextRmaNumber(),
+                order: order._id,
+                customer: user._id,
+                items: returnItems,
+                photos,
+                refundAmount,
+                commissionAdjustment
+            }], { session });
+
+            await session.commitTransaction();
+            return returnRequest;
+        } catch (error) {
+            if (session.inTransaction()) {
+                await session.abortTransaction();
+            }
+            if (error.hasErrorLabel?.('TransientTransactionError')) {
+                throw new ConflictError('Another return for this order is being requested, please retry');
+            }
+            throw error;
+        } finally {
+            session.endSession();
+        }
+    }
+
+    // Monthly sequence like order numbers: RMA-2026-10-000123
+    static async nextRmaNumber(date = new Date()) {
+        const seq = await OrderNumberService.nextSequence(`rma:${OrderNumberService.period(date)}`);
+        return OrderNumberService.format(seq, { prefix: 'RMA', date });
+    }
+
+    /**
+     * Units of an order line that can still be returned: those not yet picked up and not held
+     * by another open request.
+     * @param {Object} line - Order item
+     * @param {Array} requests - The order's return requests; only open ones are counted
+     */
+    static returnableQuantity(line, requests) {
+        const held = requests
+            .filter(request => OPEN_RETURN_STATUSES.includes(request.status))
+            .flatMap(request => request.items)
+            .filter(item => item.orderItem.toString() === line._id.toString())
+            .reduce((sum, item) => sum + item.quantity, 0);
+        return line.quantity - (line.returnedQuantity || 0) - held;
+    }
+
+    /**
+     * Refund the returned lines' share of what was charged (discount and tax included,
+     * shipping excluded) and the commission earned on them.
+     */
+    static calculateRefund(order, items) {
+        const itemsTotal = items.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0);
+        const subtotal = order.subtotal || itemsTotal;
+
+        const chargedShare = (order.totalAmount - (order.shippingFee || 0)) / subtotal;
+        // Commission was earned on merchandise net of discount and of any VAT inside the prices
+        const includedTax = order.taxInclusive ? (order.taxAmount || 0) : 0;
+        const merchandiseShare = (subtotal - (order.discountAmount || 0) - includedTax) / subtotal;
+        const remaining = order.totalAmount - (order.refundedAmount || 0);
+
+        return {
+            refundAmount: roundMoney(Math.min(itemsTotal * chargedShare, remaining)),
+            commissionAdjustment: roundMoney((itemsTotal * merchandiseShare * (order.commissionRate || 0)) / 100)
+        };
+    }
+
+    /**
+     * Approve or reject a requested return (admin).
+     * @param {string} returnId
+     * @param {Object} admin - Reviewing admin
+     * @param {Object} params - { decision: 'approve'|'reject', refundMethod, note, reason }
+     */
+    static async reviewReturn(returnId, admin, { decision, refundMethod = 'wallet', note, reason }) {
+        const returnRequest = await ReturnRequest.findById(returnId).populate('order', 'paymentMethod');
+        if (!returnRequest) {
+            throw new NotFoundError('Return request not found');
+        }
+
+        if (returnRequest.status !== 'requested') {
+            throw new ConflictError(`Return request has already been ${returnRequest.status}`);
+        }
+
+        if (decision === 'approve') {
+            if (!['wallet', 'original_payment'].includes(refundMethod)) {
+                throw new AppError('Refund method must be wallet or original_payment', 400);
+            }
+            if (refundMethod === 'original_payment' && ['cash_on_delivery', 'wallet'].includes(returnRequest.order.paymentMethod)) {
+                throw new AppError(`Orders paid by ${returnRequest.order.paymentMethod} can only be refunded to the wallet`, 400);
+            }
+            returnRequest.status = 'approved';
+            returnRequest.refundMethod = refundMethod;
+        } else if (decision === 'reject') {
+            if (!reason?.trim()) {
+                throw new AppError('A reason is required to reject a return', 400);
+            }
+            returnRequest.status = 'rejected';
+            returnRequest.rejectionReason = reason;
+        } else {
+            throw new AppError('Decision must be approve or reject', 400);
+        }
+
+        returnRequest.reviewedBy = admin._id;
+        returnRequest.reviewedAt = new Date();
+        returnRequest.reviewNote = note;
+        await returnRequest.save();
+
+        return returnRequest;
+    }
+
+    /**
+     * Record that the marketer collected the items, then restock and refund.
+     * @param {string} returnId
+     * @param {Object} actor - Marketer assigned to the order, or an admin
+     * @param {Object} params - { note }
+     */
+    static async recordPickup(returnId, actor, { note } = {}) {
+        const returnRequest = await ReturnRequest.findById(returnId);
+        if (!returnRequest) {
+            throw new NotFoundError('Return request not found');
+        }
+
+        const order = await Order.findById(returnRequest.order);
+        if (actor.role !== 'admin' && order?.marketer?.toString() !== actor._id.toString()) {
+            throw new AuthorizationError('Only the marketer assigned to this order can record the pickup');
+        }
+
+        const session = await mongoose.startSession();
+        try {
+            session.startTransaction();
+
+            const pickedUp = await ReturnRequest.findOneAndUpdate(
+                { _id: returnId, status: 'approved' },
+                { status: 'picked_up', pickedUpBy: actor._id, pickedUpAt: new Date(), pickupNote: note },
+                { new: true, session }
+            );
+            if (!pickedUp) {
+                throw new ConflictError(`Return request is ${returnRequest.status}, only approved returns can be picked up`);
+            }
+
+            for (const item of pickedUp.items) {
+                await Product.updateOne({ _id: item.product }, { $inc: { stock: item.quantity } }, { session });
+                await Order.updateOne(
+                    { _id: order._id },
+                    { $inc: { 'items.$[line].returnedQuantity': item.quantity } },
+                    { arrayFilters: [{ 'line._id': item.orderItem }], session }
+                );
+            }
+
+            // Atomic $inc so the pre-save total recalculation does not run
+            await Order.updateOne(
+                { _id: order._id },
+                { $inc: { commissionAmount: -pickedUp.commissionAdjustment } },
+                { session }
+            );
+
+            await session.commitTransaction();
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
+        }
+
+        return this.issueRefund(returnId, actor);
+    }
+
+    /**
+     * Pay out a picked-up return through RefundService. Wallet refunds complete immediately;
+     * refunds to the original payment method stay pending until the provider confirms them.
+     * A failed payout is recorded on the return, with its reason, so an admin can retry it.
+     */
+    static async issueRefund(returnId, actor) {
+        const returnRequest = await ReturnRequest.findById(returnId);
+        returnRequest.refundStatus = 'pending';
+        returnRequest.refundFailureReason = undefined;
+        await returnRequest.save();
+
+        try {
+            await RefundService.createRefund({
+                orderId: returnRequest.order,
+                amount: returnRequest.refundAmount,
+                method: returnRequest.refundMethod,
+                reason: `Return ${returnRequest.rmaNumber}`,
+                initiatedBy: actor?._id,
+                returnRequestId: returnRequest._id
+            });
+        } catch (error) {
+            console.error(`Refund for return ${returnRequest.rmaNumber} failed:`, error.message);
+
+            // Rejected before a refund was created (or one already in flight keeps it pending)
+            const inFlight = await Refund.exists({ returnRequest: returnId, status: { $in: ['pending', 'processing'] } });
+            if (!inFlight) {
+                await ReturnRequest.updateOne(
+                    { _id: returnId, refundStatus: 'pending' },
+                    { refundStatus: 'failed', refundFailureReason: error.message }
+                );
+            }
+        }
+
+        return ReturnRequest.findById(returnId);
+    }
+
+    // Retry a payout that failed after pickup (admin)
+    static async retryRefund(returnId, admin) {
+        const returnRequest = await ReturnRequest.findById(returnId);
+        if (!returnRequest) {
+            throw new NotFoundError('Return request not found');
+        }
+        if (returnRequest.status !== 'picked_up' || returnRequest.refundStatus !== 'failed') {
+            throw new ConflictError('Only picked-up returns with a failed refund can be retried');
+        }
+
+        return this.issueRefund(returnId, admin);
+    }
+
+    // A return is visible to its customer, the order's marketer and admins
+    static async getReturn(returnId, user) {
+        const returnRequest = await ReturnRequest.findById(returnId)
+            .populate('order', 'orderNumber status marketer totalAmount paymentMethod')
+            .populate('customer', 'firstName lastName email phone');
+        if (!returnRequest) {
+            throw new NotFoundError('Return request not found');
+        }
+
+        const userId = user._id.toString();
+        const canView = user.role === 'admin' ||
+            returnRequest.customer?._id?.toString() === userId ||
+            returnRequest.order?.marketer?.toString() === userId;
+        if (!canView) {
+            throw new AuthorizationError('Not authorized to view this return request');
+        }
+
+        return returnRequest;
+    }
+
+    static async listReturns(filter, { page = 1, limit = 20 } = {}) {
+        const [returns, total] = await Promise.all([
+            ReturnRequest.find(filter)
+                .populate('order', 'orderNumber status totalAmount')
+                .populate('customer', 'firstName lastName email')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            ReturnRequest.countDocuments(filter)
+        ]);
+
+        return {
+            returns,
+            pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        };
+    }
+}
+
+export default ReturnService;
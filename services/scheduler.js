@@ -1,6 +1,11 @@
 // services/scheduler.js
 import cron from 'node-cron';
 import { checkAndReassignMarketers } from '../controllers/orderController.js';
+import StockReservationService from './stockReservationService.js';
+import RefundService from './refundService.js';
+import SubscriptionService from './subscriptionService.js';
+import CartRecoveryService from './cartRecoveryService.js';
+import PaymentReconciliationService from './paymentReconciliationService.js';
 
 // Run every day at midnight
 const setupScheduledTasks = () => {
@@ -15,6 +20,76 @@ const setupScheduledTasks = () => {
         }
     });
 
+    // Release stock held for unpaid orders once their reservation expires
+    cron.schedule('*/5 * * * *', async () => {
+        try {
+            const result = await StockReservationService.releaseExpired();
+            if (result.ordersAbandoned || result.ordersCommitted) {
+                console.log('Expired stock reservations processed:', result);
+            }
+        } catch (error) {
+            console.error('Error in stock reservation release task:', error);
+        }
+    });
+
+    // Pick up provider status changes for refunds still in flight
+    cron.schedule('15 * * * *', async () => {
+        try {
+            const result = await RefundService.reconcilePending();
+            if (result.checked) {
+                console.log('Refund reconciliation completed:', result);
+            }
+        } catch (error) {
+            console.error('Error in refund reconciliation task:', error);
+        }
+    });
+
+    // Place orders for subscriptions that are due
+    cron.schedule('0 * * * *', async () => {
+        try {
+            const result = await SubscriptionService.runDue();
+            if (result.processed) {
+                console.log('Subscription orders processed:', result);
+            }
+        } catch (error) {
+            console.error('Error in subscription order task:', error);
+        }
+    });
+
+    // Remind buyers about carts they left idle
+    cron.schedule('30 * * * *', async () => {
+        try {
+            const result = await CartRecoveryService.sendDueReminders();
+            if (result.sent) {
+                console.log('Abandoned cart reminders sent:', result);
+            }
+        } catch (error) {
+            console.error('Error in abandoned cart reminder task:', error);
+        }
+    });
+
+    // Resolve online payments left pending, e.g. when the buyer closed the payment page
+    cron.schedule('*/10 * * * *', async () => {
+        try {
+            const result = await PaymentReconciliationService.reconcilePending();
+            if (result.checked) {
+                console.log('Pending payment reconciliation completed:', result);
+            }
+        } catch (error) {
+            console.error('Error in pending payment reconciliation task:', error);
+        }
+    });
+
+    // Compare yesterday's provider charges with paid orders
+    cron.schedule('0 2 * * *', async () => {
+        try {
+            const reports = await PaymentReconciliationService.buildDailyReport();
+            console.log('Daily payment reconciliation report built:', reports.map(report => `${report.provider}: ${report.status}`));
+        } catch (error) {
+            console.error('Error in daily payment reconciliation task:', error);
+        }
+    });
+
     console.log('Scheduled tasks have been set up');
 };
 
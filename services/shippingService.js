@@ -0,0 +1,149 @@
+import ShippingZone from '../models/ShippingZone.js';
+import config from '../config/environment.js';
+import { roundMoney } from './pricingService.js';
+import { AppError, NotFoundError } from '../middleware/errorHandler.js';
+
+const ZONE_FIELDS = [
+    'name', 'states', 'cities', 'rateType', 'flatFee', 'baseFee', 'baseWeightKg',
+    'perKgFee', 'freeShippingThreshold', 'etaDays', 'isDefault', 'isActive'
+];
+
+// "Lagos State", " lagos " and "LAGOS" all match a zone listing "Lagos"
+const normalizePlace = (value) => String(value || '').trim().toLowerCase().replace(/\s+state$/, '');
+
+class ShippingService {
+    /**
+     * Find the zone serving an address: a city-level zone first, then a state-level zone,
+     * then the default zone.
+     * @param {Object} address - { state, city }
+     * @param {Object} [session] - Mongoose session
+     * @returns {Promise<Object|null>}
+     */
+    static async findZone(address, session = null) {
+        const state = normalizePlace(address?.state);
+        const city = normalizePlace(address?.city);
+        const zones = await ShippingZone.find({ isActive: true }).session(session);
+
+        const coversState = zone => zone.states.some(s => normalizePlace(s) === state);
+
+        return zones.find(zone => coversState(zone) && zone.cities.some(c => normalizePlace(c) === city)) ||
+            zones.find(zone => coversState(zone) && zone.cities.length === 0) ||
+            zones.find(zone => zone.isDefault) ||
+            null;
+    }
+
+    static calculateFee(zone, { weight, merchandiseTotal }) {
+        if (zone.freeShippingThreshold > 0 && merchandiseTotal >= zone.freeShippingThreshold) {
+            return 0;
+        }
+
+        if (zone.rateType === 'weight') {
+            const extraKg = Math.max(0, Math.ceil(weight - zone.baseWeightKg));
+            return roundMoney(zone.baseFee + extraKg * zone.perKgFee);
+        }
+
+        return roundMoney(zone.flatFee);
+    }
+
+    /**
+     * Price shipping for priced quote lines.
+     * @param {Object} params
+     * @param {Array} params.lines - Quote lines with quantity and weight
+     * @param {number} params.merchandiseTotal - Subtotal after discounts
+     * @param {Object} [params.shippingAddress]
+     * @param {Object} [params.session]
+     * @returns {Promise<Object>} { fee, zone, etaDays, freeShipping, weight }
+     */
+    static async quote({ lines, merchandiseTotal, shippingAddress, session = null }) {
+        const weight = lines.reduce((sum, line) => sum + (line.weight || 0) * line.quantity, 0);
+
+        if (!shippingAddress?.state) {
+            return { fee: 0, zone: null, etaDays: null, freeShipping: false, weight };
+        }
+
+        const zone = await this.findZone(shippingAddress, session);
+        if (!zone) {
+            // No zones configured for this address yet
+            return { fee: roundMoney(config.SHIPPING_FLAT_FEE), zone: null, etaDays: null, freeShipping: false, weight };
+        }
+
+        const fee = this.calculateFee(zone, { weight, merchandiseTotal });
+        return {
+            fee,
+            zone: { id: zone._id, name: zone.name },
+            etaDays: { min: zone.etaDays.min, max: zone.etaDays.max },
+            freeShipping: fee === 0 && zone.freeShippingThreshold > 0 && merchandiseTotal >= zone.freeShippingThreshold,
+            freeShippingThreshold: zone.freeShippingThreshold || null,
+            weight
+        };
+    }
+
+    static validateZone(data) {
+        if (data.rateType && !['flat', 'weight'].includes(data.rateType)) {
+            throw new AppError('rateType must be flat or weight', 400);
+        }
+        if (data.states !== undefined && !Array.isArray(data.states)) {
+            throw new AppError('states must be an array', 400);
+        }
+        if (data.cities !== undefined && !Array.isArray(data.cities)) {
+            throw new AppError('cities must be an array', 400);
+        }
+        if (data.etaDays && Number(data.etaDays.min) > Number(data.etaDays.max)) {
+            throw new AppError('etaDays.min cannot be greater than etaDays.max', 400);
+        }
+    }
+
+    static pickZoneFields(data) {
+        return Object.fromEntries(ZONE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]]));
+    }
+
+    static async assertCoverage(zone) {
+        if (!zone.isDefault && zone.states.length === 0) {
+            throw new AppError('A zone must list at least one state unless it is the default zone', 400);
+        }
+
+        // Only one default zone
+        if (zone.isDefault) {
+            await ShippingZone.updateMany({ _id: { $ne: zone._id }, isDefault: true }, { isDefault: false });
+        }
+    }
+
+    static async listZones({ active } = {}) {
+        const filter = active === undefined ? {} : { isActive: active };
+        return ShippingZone.find(filter).sort({ isDefault: 1, name: 1 });
+    }
+
+    static async getZone(zoneId) {
+        const zone = await ShippingZone.findById(zoneId);
+        if (!zone) {
+            throw new NotFoundError('Shipping zone not found');
+        }
+        return zone;
+    }
+
+    static async createZone(data) {
+        this.validateZone(data);
+        const zone = new ShippingZone(this.pickZoneFields(data));
+        await this.assertCoverage(zone);
+        return zone.save();
+    }
+
+    static async updateZone(zoneId, data) {
+        this.validateZone(data);
+        const zone = await this.getZone(zoneId);
+        zone.set(this.pickZoneFields(data));
+        if (zone.etaDays.min > zone.etaDays.max) {
+            throw new AppError('etaDays.min cannot be greater than etaDays.max', 400);
+        }
+        await this.assertCoverage(zone);
+        return zone.save();
+    }
+
+    static async deleteZone(zoneId) {
+        const zone = await this.getZone(zoneId);
+        await zone.deleteOne();
+        return zone;
+    }
+}
+
+export default ShippingService;
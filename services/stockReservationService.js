@@ -0,0 +1,226 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import StockReservation from '../models/StockReservation.js';
+import OrderLifecycle, { SYSTEM } from './orderLifecycle.js';
+import config from '../config/environment.js';
+
+// Payment methods settled after checkout; their stock is only held until the payment window closes
+const RESERVED_PAYMENT_METHODS = ['flutterwave', 'paystack', 'card', 'bank_transfer'];
+
+// Holds released because payment never arrived; a late payment takes this stock again
+const UNPAID_RELEASE_REASONS = ['expired', 'payment_failed', 'payment_abandoned'];
+
+class StockReservationService {
+    static requiresReservation(paymentMethod) {
+        return RESERVED_PAYMENT_METHODS.includes(paymentMethod);
+    }
+
+    /**
+     * Record holds for stock already decremented for an unpaid order.
+     * @param {Object} order - Saved order document
+     * @param {Array} lines - [{ product, quantity }]
+     * @param {Object} options
+     * @param {Object} [options.session] - Mongoose session
+     * @returns {Promise<Array>} Created reservations
+     */
+    static async reserve(order, lines, { session = null } = {}) {
+        const expiresAt = new Date(Date.now() + config.STOCK_RESERVATION_TTL_MINUTES * 60 * 1000);
+
+        return StockReservation.create(lines.map(line => ({
+            order: order._id,
+            product: line.product,
+            quantity: line.quantity,
+            expiresAt
+        })), { session, ordered: true });
+    }
+
+    /**
+     * Make an order's holds permanent once it has been paid.
+     * Holds that already expired are taken again from current stock where possible.
+     * @param {string} orderId
+     * @returns {Promise<{committed: number, shortfalls: Array}>}
+     */
+    static async commitForOrder(orderId) {
+        const now = new Date();
+        const held = await StockReservation.updateMany(
+            { order: orderId, status: 'held' },
+            { status: 'committed', committedAt: now }
+        );
+
+        const shortfalls = [];
+        const expired = await StockReservation.find({ order: orderId, status: 'released', releaseReason: { $in: UNPAID_RELEASE_REASONS } });
+
+        for (const reservation of expired) {
+            const taken = await Product.updateOne(
+                { _id: reservation.product, stock: { $gte: reservation.quantity } },
+                { $inc: { stock: -reservation.quantity } }
+            );
+
+            if (taken.modifiedCount === 0) {
+                shortfalls.push({ product: reservation.product, quantity: reservation.quantity });
+                continue;
+            }
+
+            reservation.status = 'committed';
+            reservation.committedAt = now;
+            await reservation.save();
+        }
+
+        if (shortfalls.length > 0) {
+            console.warn(`Order ${orderId} was paid after its stock hold expired; insufficient stock for:`, shortfalls);
+        }
+
+        return { committed: held.modifiedCount + expired.length - shortfalls.length, shortfalls };
+    }
+
+    /**
+     * Return an order's held quantities to stock.
+     * @param {string} orderId
+     * @param {string} reason - e.g. 'expired', 'cancelled'
+     * @param {Object} options
+     * @param {Object} [options.session] - Mongoose session
+     * @returns {Promise<number>} Number of holds released
+     */
+    static async releaseForOrder(orderId, reason, { session = null } = {}) {
+        const reservations = await StockReservation.find({ order: orderId, status: 'held' }).session(session);
+        let released = 0;
+
+        for (const reservation of reservations) {
+            // Claim each hold individually so a concurrent commit cannot also restock it
+            const claimed = await StockReservation.findOneAndUpdate(
+                { _id: reservation._id, status: 'held' },
+                { status: 'released', releasedAt: new Date(), releaseReason: reason },
+                { session, new: true }
+            );
+            if (!claimed) continue;
+
+            await Product.updateOne(
+                { _id: reservation.product },
+                { $inc: { stock: reservation.quantity } },
+                { session }
+            );
+            released++;
+        }
+
+        return released;
+    }
+
+    /**
+     * Give back an unpaid order's stock and mark it abandoned, unless it turns out to be paid,
+     * in which case its stock is committed instead. Orders that can no longer be abandoned keep
+     * their status but still get the payment status. Orders holding money that does not cover
+     * them, a mismatch or a transfer paid in part, keep their stock for admin review.
+     * @param {string} orderId
+     * @param {Object} options
+     * @param {string} options.reason - Release reason, one of UNPAID_RELEASE_REASONS
+     * @param {string} options.note - Status history note
+     * @param {string} [options.paymentStatus='abandoned'] - Stored payment status
+     * @returns {Promise<'abandoned'|'committed'|'review'|null>} null when the order could not be updated
+     */
+    static async abandonUnpaid(orderId, { reason, note, paymentStatus = 'abandoned' }) {
+        const session = await mongoose.startSession();
+        try {
+            session.startTransaction();
+
+            const order = await Order.findById(orderId).session(session);
+
+            // Payment landed between the hold expiring and this run
+            if (order?.payment?.status === 'success' || order?.isPaid) {
+                await session.abortTransaction();
+                await this.commitForOrder(orderId);
+                return 'committed';
+            }
+
+            // Money arrived but did not match the order; the stock waits for the admin's decision
+            if (order?.payment?.status === 'mismatch') {
+                await session.abortTransaction();
+                return 'review';
+            }
+
+            // A transfer paid in part is not abandoned with the buyer's money; it goes to review as underpaid
+            if (order?.payment?.status === 'pending' && order.payment.partialPayments?.length) {
+                await Order.updateOne(
+                    { _id: order._id, 'payment.status': 'pending' },
+                    {
+                        $set: {
+                            'payment.status': 'mismatch',
+                            'payment.mismatch': {
+                                reason: 'underpaid',
+                                expectedAmount: order.payment.amount ?? order.totalAmount,
+                                expectedCurrency: order.payment.currency || 'NGN',
+                                receivedAmount: order.payment.amountPaid || 0,
+                                receivedCurrency: order.payment.partialPayments[0].currency || order.payment.currency || 'NGN',
+                                detectedAt: new Date()
+                            }
+                        }
+                    },
+                    { session }
+                );
+                await session.commitTransaction();
+                console.warn(`Order ${order.orderNumber} timed out with ${order.payment.amountPaid} of ${order.payment.amount} paid; held for review`);
+                return 'review';
+            }
+
+            await this.releaseForOrder(orderId, reason, { session });
+
+            if (order && OrderLifecycle.canTransition(order.status, 'abandoned', SYSTEM)) {
+                await OrderLifecycle.transition(order, 'abandoned', {
+                    actor: SYSTEM,
+                    note,
+                    fields: { 'payment.status': paymentStatus },
+                    session
+                });
+            } else if (order?.payment?.status === 'pending') {
+                // Cancelled, rejected or already moved on by an admin: the order keeps its status,
+                // but the unpaid attempt is settled so the payment reconciler stops picking it up
+                await Order.updateOne(
+                    { _id: order._id, 'payment.status': 'pending' },
+                    { $set: { 'payment.status': paymentStatus } },
+                    { session }
+                );
+            }
+
+            await session.commitTransaction();
+            return 'abandoned';
+        } catch (error) {
+            if (session.inTransaction()) {
+                await session.abortTransaction();
+            }
+            console.error(`Error releasing stock reservations for order ${orderId}:`, error);
+            return null;
+        } finally {
+            session.endSession();
+        }
+    }
+
+    /**
+     * Release holds whose TTL has passed and mark their unpaid orders abandoned.
+     * Run periodically from the scheduler.
+     * @returns {Promise<{ordersAbandoned: number, ordersCommitted: number, ordersInReview: number}>}
+     */
+    static async releaseExpired() {
+        const orderIds = await StockReservation.distinct('order', {
+            status: 'held',
+            expiresAt: { $lte: new Date() }
+        });
+
+        let ordersAbandoned = 0;
+        let ordersCommitted = 0;
+        let ordersInReview = 0;
+
+        for (const orderId of orderIds) {
+            const outcome = await this.abandonUnpaid(orderId, {
+                reason: 'expired',
+                note: 'Payment not completed before the stock reservation expired'
+            });
+            if (outcome === 'abandoned') ordersAbandoned++;
+            if (outcome === 'committed') ordersCommitted++;
+            if (outcome === 'review') ordersInReview++;
+        }
+
+        return { ordersAbandoned, ordersCommitted, ordersInReview };
+    }
+}
+
+export default StockReservationService;
@@ -0,0 +1,261 @@
+import mongoose from 'mongoose';
+import Subscription from '../models/Subscription.js';
+import User from '../models/User.js';
+import OrderService from './orderService.js';
+import PricingService from './pricingService.js';
+import { sendNotificationEmail } from './emailService.js';
+import config from '../config/environment.js';
+import { AppError, ConflictError, NotFoundError } from '../middleware/errorHandler.js';
+
+const INTERVALS = {
+    weekly: { days: 7 },
+    biweekly: { days: 14 },
+    monthly: { months: 1 },
+    quarterly: { months: 3 }
+};
+
+class SubscriptionService {
+    static advance(date, interval) {
+        const step = INTERVALS[interval];
+        const next = new Date(date);
+        if (step.days) next.setUTCDate(next.getUTCDate() + step.days);
+        if (step.months) next.setUTCMonth(next.getUTCMonth() + step.months);
+        return next;
+    }
+
+    // First run date strictly after `now`, keeping the subscription's day of cycle
+    static nextFutureRun(date, interval, now = new Date()) {
+        let next = this.advance(date, interval);
+        while (next <= now) {
+            next = this.advance(next, interval);
+        }
+        return next;
+    }
+
+    static validateShippingAddress(shippingAddress) {
+        if (!shippingAddress?.address || !shippingAddress?.city || !shippingAddress?.state) {
+            throw new AppError('shippingAddress needs address, city and state', 400);
+        }
+    }
+
+    /**
+     * Start a subscription.
+     * @param {Object} user - Authenticated customer
+     * @param {Object} params - { items, interval, shippingAddress, paymentMethod, startDate? }
+     *   startDate defaults to one interval from now.
+     */
+    static async createSubscription(user, { items, interval, shippingAddress, paymentMethod, startDate }) {
+        if (!INTERVALS[interval]) {
+            throw new AppError(`interval must be one of: ${Object.keys(INTERVALS).join(', ')}`, 400);
+        }
+        if (!['wallet', 'cash_on_delivery'].includes(paymentMethod)) {
+            throw new AppError('Subscriptions can be paid by wallet or cash on delivery', 400);
+        }
+        this.validateShippingAddress(shippingAddress);
+
+        // Reject unknown or inactive products now rather than on the first run
+        const lines = await PricingService.priceItems(items);
+
+        const nextRunAt = startDate ? new Date(startDate) : this.advance(new Date(), interval);
+        if (isNaN(nextRunAt) || nextRunAt < new Date(Date.now() - 60 * 1000)) {
+            throw new AppError('startDate must be a valid date that is not in the past', 400);
+        }
+
+        return Subscription.create({
+            user: user._id,
+            items: lines.map(line => ({ product: line.product, name: line.name, quantity: line.quantity })),
+            interval,
+            nextRunAt,
+            shippingAddress,
+            paymentMethod
+        });
+    }
+
+    static async getSubscription(subscriptionId, user) {
+        if (!mongoose.Types.ObjectId.isValid(subscriptionId)) {
+            throw new AppError('Invalid subscription ID', 400);
+        }
+
+        const filter = { _id: subscriptionId };
+        if (user.role !== 'admin') filter.user = user._id;
+
+        const subscription = await Subscription.findOne(filter);
+        if (!subscription) {
+            throw new NotFoundError('Subscription not found');
+        }
+        return subscription;
+    }
+
+    static async listSubscriptions(user) {
+        return Subscription.find({ user: user._id })
+            .populate('items.product', 'name price images')
+            .sort({ createdAt: -1 });
+    }
+
+    static async pause(subscriptionId, user) {
+        const subscription = await this.getSubscription(subscriptionId, user);
+        if (subscription.status !== 'active') {
+            throw new ConflictError(`Subscription is ${subscription.status}`);
+        }
+
+        subscription.status = 'paused';
+        subscription.pausedAt = new Date();
+        return subscription.save();
+    }
+
+    static async resume(subscriptionId, user) {
+        const subscription = await this.getSubscription(subscriptionId, user);
+        if (subscription.status !== 'paused') {
+            throw new ConflictError(`Subscription is ${subscription.status}`);
+        }
+
+        subscription.status = 'active';
+        subscription.pausedAt = undefined;
+        subscription.failureCount = 0;
+        if (subscription.nextRunAt <= new Date()) {
+            subscription.nextRunAt = this.nextFutureRun(subscription.nextRunAt, subscription.interval);
+        }
+        return subscription.save();
+    }
+
+    // Skip the upcoming delivery only
+    static async skip(subscriptionId, user) {
+        const subscription = await this.getSubscription(subscriptionId, user);
+        if (subscription.status !== 'active') {
+            throw new ConflictError(`Only active subscriptions can skip a delivery; this one is ${subscription.status}`);
+        }
+
+        subscription.nextRunAt = this.nextFutureRun(subscription.nextRunAt, subscription.interval);
+        return subscription.save();
+    }
+
+    static async cancel(subscriptionId, user, reason) {
+        const subscription = await this.getSubscription(subscriptionId, user);
+        if (subscription.status === 'cancelled') {
+            throw new ConflictError('Subscription is already cancelled');
+        }
+
+        subscription.status = 'cancelled';
+        subscription.cancelledAt = new Date();
+        subscription.cancellationReason = reason;
+        return subscription.save();
+    }
+
+    /**
+     * Place orders for every active subscription that is due. Run from the scheduler.
+     * @returns {Promise<{processed: number, succeeded: number, failed: number}>}
+     */
+    static async runDue(now = new Date()) {
+        const due = await Subscription.find({ status: 'active', nextRunAt: { $lte: now } })
+            .sort({ nextRunAt: 1 })
+            .limit(100)
+            .select('_id nextRunAt interval');
+
+        const result = { processed: 0, succeeded: 0, failed: 0 };
+        for (const subscription of due) {
+            const outcome = await this.runSubscription(subscription, now);
+            if (!outcome) continue;
+            result.processed++;
+            result[outcome === 'success' ? 'succeeded' : 'failed']++;
+        }
+
+        return result;
+    }
+
+    static async runSubscription({ _id, nextRunAt, interval }, now = new Date()) {
+        // Claim this run by moving nextRunAt on; a concurrent runner finds nothing to claim
+        const subscription = await Subscription.findOneAndUpdate(
+            { _id, status: 'active', nextRunAt },
+            { nextRunAt: this.nextFutureRun(nextRunAt, interval, now) },
+            { new: true }
+        );
+        if (!subscription) return null;
+
+        const user = await User.findById(subscription.user);
+
+        try {
+            if (!user) {
+                throw new AppError('Customer account no longer exists', 400);
+            }
+
+            const order = await this.placeOrder(subscription, user);
+
+            await Subscription.updateOne({ _id }, {
+                lastRun: { at: now, status: 'success', order: order._id },
+                failureCount: 0,
+                $push: { orders: order._id }
+            });
+            return 'success';
+        } catch (error) {
+            await this.recordFailure(subscription, user, error, now);
+            return 'failed';
+        }
+    }
+
+    // Same path as checkout: price, lock wallet funds and decrement stock in one transaction
+    static async placeOrder(subscription, user) {
+        const session = await mongoose.startSession();
+        session.startTransaction();
+
+        let order;
+        try {
+            ({ order } = await OrderService.createOrder({
+                user,
+                items: subscription.items.map(item => ({ product: item.product, quantity: item.quantity })),
+                shippingAddress: subscription.shippingAddress.toObject(),
+                paymentMethod: subscription.paymentMethod
+            }, { session }));
+
+            await session.commitTransaction();
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
+        }
+
+        await OrderService.afterOrderCreated(order, user);
+        return order;
+    }
+
+    static async recordFailure(subscription, user, error, now) {
+        const failureCount = subscription.failureCount + 1;
+        const update = {
+            lastRun: { at: now, status: 'failed', error: error.message },
+            failureCount
+        };
+
+        if (failureCount >= config.SUBSCRIPTION_MAX_FAILURES) {
+            update.status = 'paused';
+            update.pausedAt = now;
+        } else {
+            // Try again sooner than the next cycle
+            const retryAt = new Date(now.getTime() + config.SUBSCRIPTION_RETRY_HOURS * 60 * 60 * 1000);
+            if (retryAt < subscription.nextRunAt) update.nextRunAt = retryAt;
+        }
+
+        await Subscription.updateOne({ _id: subscription._id }, update);
+        console.error(`Subscription ${subscription._id} run failed:`, error.message);
+
+        if (!user?.email) return;
+        try {
+            await sendNotificationEmail({
+                to: user.email,
+                subject: 'We could not place your subscription order',
+                template: 'subscription-failed',
+                context: {
+                    message: `<p>Your ${subscription.interval} order could not be placed: ${error.message}.</p>` +
+                        (update.status === 'paused'
+                            ? '<p>Your subscription has been paused. Resume it once the issue is resolved.</p>'
+                            : `<p>We will try again in ${config.SUBSCRIPTION_RETRY_HOURS} hours.</p>`),
+                    actionUrl: `${config.FRONTEND_URL}/account/subscriptions/${subscription._id}`,
+                    actionText: 'Manage subscription'
+                }
+            });
+        } catch (emailError) {
+            console.error('Error sending subscription failure email:', emailError.message);
+        }
+    }
+}
+
+export default SubscriptionService;
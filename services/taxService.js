@@ -0,0 +1,121 @@
+import Order from '../models/Order.js';
+import config from '../config/environment.js';
+import { roundMoney } from './pricingService.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+// Orders that never became sales carry no tax liability
+const NON_TAXABLE_STATUSES = ['cancelled', 'rejected', 'abandoned'];
+
+class TaxService {
+    static settings() {
+        return {
+            rate: config.VAT_RATE,
+            inclusive: config.PRICES_INCLUDE_TAX,
+            exemptCategories: config.TAX_EXEMPT_CATEGORIES.map(category => category.toLowerCase())
+        };
+    }
+
+    static isExempt(category, settings = this.settings()) {
+        return settings.exemptCategories.includes(String(category || '').trim().toLowerCase());
+    }
+
+    // Tax contained in (inclusive) or owed on top of (exclusive) a net amount
+    static taxFor(amount, rate, inclusive) {
+        if (!rate) return 0;
+        return roundMoney(inclusive ? (amount * rate) / (100 + rate) : (amount * rate) / 100);
+    }
+
+    /**
+     * Compute VAT for priced quote lines. The order discount is spread over lines in proportion
+     * to their value, so each line is taxed on what is actually charged for it.
+     * @param {Array} lines - Quote lines with lineTotal and category
+     * @param {number} [discount=0] - Order-level discount
+     * @returns {{ lines: Array, tax: number, rate: number, inclusive: boolean, taxableAmount: number, exemptAmount: number }}
+     */
+    static calculate(lines, discount = 0) {
+        const settings = this.settings();
+        const subtotal = lines.reduce((sum, line) => sum + line.lineTotal, 0);
+
+        let taxableAmount = 0;
+        let exemptAmount = 0;
+        const taxedLines = lines.map(line => {
+            const netAmount = subtotal > 0 ? line.lineTotal - (discount * line.lineTotal) / subtotal : 0;
+            const exempt = this.isExempt(line.category, settings);
+            const taxRate = exempt ? 0 : settings.rate;
+
+            if (exempt) exemptAmount += netAmount;
+            else taxableAmount += netAmount;
+
+            return {
+                ...line,
+                taxRate,
+                taxAmount: this.taxFor(netAmount, taxRate, settings.inclusive)
+            };
+        });
+
+        return {
+            lines: taxedLines,
+            tax: roundMoney(taxedLines.reduce((sum, line) => sum + line.taxAmount, 0)),
+            rate: settings.rate,
+            inclusive: settings.inclusive,
+            taxableAmount: roundMoney(taxableAmount),
+            exemptAmount: roundMoney(exemptAmount)
+        };
+    }
+
+    /**
+     * VAT collected per month, for filing returns.
+     * @param {Object} params
+     * @param {number} [params.year] - Defaults to the current year
+     * @returns {Promise<Object>} { year, months: [...], totals }
+     */
+    static async getMonthlySummary({ year = new Date().getUTCFullYear() } = {}) {
+        year = Number(year);
+        if (!Number.isInteger(year) || year < 2000 || year > 2100) {
+            throw new AppError('year must be a valid four-digit year', 400);
+        }
+
+        const months = await Order.aggregate([
+            {
+                $match: {
+                    createdAt: { $gte: new Date(Date.UTC(year, 0, 1)), $lt: new Date(Date.UTC(year + 1, 0, 1)) },
+                    status: { $nin: NON_TAXABLE_STATUSES }
+                }
+            },
+            {
+                $group: {
+                    _id: { $dateToString: { format: '%Y-%m', date: '$createdAt' } },
+                    orders: { $sum: 1 },
+                    grossSales: { $sum: '$totalAmount' },
+                    shipping: { $sum: '$shippingFee' },
+                    taxCollected: { $sum: '$taxAmount' },
+                    refunded: { $sum: '$refundedAmount' }
+                }
+            },
+            { $sort: { _id: 1 } },
+            {
+                $project: {
+                    _id: 0,
+                    month: '$_id',
+                    orders: 1,
+                    grossSales: { $round: ['$grossSales', 2] },
+                    shipping: { $round: ['$shipping', 2] },
+                    taxCollected: { $round: ['$taxCollected', 2] },
+                    refunded: { $round: ['$refunded', 2] }
+                }
+            }
+        ]);
+
+        const totals = months.reduce((sum, month) => ({
+            orders: sum.orders + month.orders,
+            grossSales: roundMoney(sum.grossSales + month.grossSales),
+            shipping: roundMoney(sum.shipping + month.shipping),
+            taxCollected: roundMoney(sum.taxCollected + month.taxCollected),
+            refunded: roundMoney(sum.refunded + month.refunded)
+        }), { orders: 0, grossSales: 0, shipping: 0, taxCollected: 0, refunded: 0 });
+
+        return { year, rate: config.VAT_RATE, inclusive: config.PRICES_INCLUDE_TAX, months, totals };
+    }
+}
+
+export default TaxService;
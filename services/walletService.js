@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+import { v4 as uuidv4 } from 'uuid';
+import Wallet from '../models/Wallet.js';
+import WalletTransaction from '../models/WalletTransaction.js';
+
+class WalletService {
+    /**
+     * Credit a user's wallet, creating it if needed, and record the movement.
+     * @param {string} userId
+     * @param {number} amount
+     * @param {string} [type='credit'] - WalletTransaction type
+     * @param {string} [description]
+     * @param {Object} [metadata]
+     * @param {Object} [options]
+     * @param {string} [options.reference] - Transaction reference; reusing one fails with E11000 and credits nothing
+     * @returns {Promise<Object>} { success, wallet, transaction }
+     */
+    static async addFunds(userId, amount, type = 'credit', description = 'Funds added', metadata = {}, { reference } = {}) {
+        const session = await mongoose.startSession();
+        session.startTransaction();
+
+        try {
+            const wallet = await Wallet.findOneAndUpdate(
+                { userId },
+                {
+                    $inc: {
+                        availableBalance: amount,
+                        totalEarned: amount
+                    },
+                    lastUpdated: new Date()
+                },
+                { new: true, upsert: true, session }
+            );
+
+            const transaction = new WalletTransaction({
+                walletId: wallet._id,
+                userId,
+                amount,
+                type,
+                status: 'completed',
+                reference: reference || `CR-${uuidv4()}`,
+                description,
+                metadata,
+                availableBalance: wallet.availableBalance,
+                lockedAmount: wallet.lockedAmount
+            });
+
+            await transaction.save({ session });
+            await session.commitTransaction();
+
+            return {
+                success: true,
+                wallet,
+                transaction
+            };
+        } catch (error) {
+            await session.abortTransaction();
+            console.error('Error adding funds to wallet:', error);
+            throw error;
+        } finally {
+            session.endSession();
+        }
+    }
+}
+
+export default WalletService;
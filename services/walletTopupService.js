@@ -0,0 +1,390 @@
+import mongoose from 'mongoose';
+import config from '../config/environment.js';
+import Wallet from '../models/Wallet.js';
+import WalletTransaction from '../models/WalletTransaction.js';
+import FlutterwaveService from './flutterwaveService.js';
+import PaymentGateway from './paymentGateway.js';
+import PaymentService from './paymentService.js';
+import { roundMoney } from './pricingService.js';
+import { AppError, AuthorizationError, ConflictError, NotFoundError } from '../middleware/errorHandler.js';
+
+const PROVIDER = 'flutterwave';
+const CURRENCY = 'NGN';
+
+// Top-up payment references start with this, which keeps them apart from order payments
+const REFERENCE_PREFIX = 'TOPUP';
+
+const FAILED_STATUSES = ['failed', 'cancelled'];
+
+// Amounts within a kobo count as equal
+const AMOUNT_TOLERANCE = 0.01;
+
+// Flagged top-ups no admin has settled yet
+const REVIEW_FILTER = { 'metadata.reviewRequired': true, 'metadata.resolution': { $exists: false } };
+
+/**
+ * Wallet top-ups paid through Flutterwave. Each top-up is a `credit` WalletTransaction that
+ * waits as pending under the payment reference and completes, crediting the wallet, the first
+ * time the payment is verified, whether by the buyer's redirect or the webhook.
+ */
+class WalletTopupService {
+    static isTopupReference(reference) {
+        return typeof reference === 'string' && reference.startsWith(`${REFERENCE_PREFIX}-`);
+    }
+
+    // Whether a provider webhook concerns a top-up rather than an order
+    static handles(provider, payload) {
+        return provider === PROVIDER &&
+            this.isTopupReference(PaymentGateway.getAdapter(PROVIDER).webhookReference(payload));
+    }
+
+    static assertAmount(amount) {
+        const value = roundMoney(Number(amount));
+        if (!Number.isFinite(value) || value <= 0) {
+            throw new AppError('Top-up amount must be a positive number', 400);
+        }
+        if (value < config.WALLET_TOPUP_MIN_AMOUNT || value > config.WALLET_TOPUP_MAX_AMOUNT) {
+            throw new AppError(
+                `Top-up amount must be between ${CURRENCY} ${config.WALLET_TOPUP_MIN_AMOUNT} and ${CURRENCY} ${config.WALLET_TOPUP_MAX_AMOUNT}`,
+                400
+            );
+        }
+        return value;
+    }
+
+    /**
+     * Start a Flutterwave payment to add money to the user's wallet.
+     * @param {Object} user - Authenticated user
+     * @param {Object} params
+     * @param {number} params.amount - NGN, within WALLET_TOPUP_MIN_AMOUNT and WALLET_TOPUP_MAX_AMOUNT
+     * @param {string} [params.callbackUrl] - Where Flutterwave sends the user after paying
+     * @returns {Promise<Object>} { paymentUrl, reference, amount, currency, publicKey }
+     */
+    static async initializeTopup(user, { amount, callbackUrl } = {}) {
+        const total = this.assertAmount(amount);
+        if (!PaymentGateway.getAdapter(PROVIDER).isConfigured()) {
+            throw new AppError('Flutterwave is not configured', 503);
+        }
+
+        const wallet = await Wallet.findOneAndUpdate(
+            { userId: user._id },
+            { $setOnInsert: { currency: CURRENCY } },
+            { new: true, upsert: true, setDefaultsOnInsert: true }
+        );
+
+        const reference = `${REFERENCE_PREFIX}-${user._id.toString().slice(-6).toUpperCase()}-${Date.now()}`;
+
+        let link;
+        try {
+            link = await FlutterwaveService.createPaymentLink({
+                txRef: reference,
+                amount: total,
+                currency: CURRENCY,
+                customer: {
+                    email: user.email,
+                    phone: user.profile?.phone,
+                    name: [user.firstName, user.lastName].filter(Boolean).join(' ')
+                },
+                callbackUrl,
+                description: 'Wallet top-up',
+                meta: { user_id: user._id.toString(), purpose: 'wallet_topup' }
+            });
+        } catch (error) {
+            throw PaymentService.providerError(error, 'Failed to initialize Flutterwave payment');
+        }
+
+        await WalletTransaction.create({
+            walletId: wallet._id,
+            userId: user._id,
+            amount: total,
+            type: 'credit',
+            status: 'pending',
+            reference,
+            description: 'Wallet top-up via Flutterwave',
+            metadata: { purpose: 'topup', provider: PROVIDER, currency: CURRENCY, callbackUrl },
+            availableBalance: wallet.availableBalance,
+            lockedAmount: wallet.lockedAmount
+        });
+
+        return {
+            paymentUrl: link.link,
+            reference,
+            amount: total,
+            currency: CURRENCY,
+            publicKey: config.FLUTTERWAVE_PUBLIC_KEY
+        };
+    }
+
+    /**
+     * Ask Flutterwave for the top-up's payment and credit the wallet if it went through.
+     * @param {string} reference - Reference from initializeTopup
+     * @param {Object} [user] - User checking their own top-up; omitted for system calls
+     */
+    static async verifyTopup(reference, user = null) {
+        const topup = await WalletTransaction.findOne({ reference, 'metadata.purpose': 'topup' });
+        if (!topup) {
+            throw new NotFoundError('Top-up not found');
+        }
+        if (user && user.role !== 'admin' && topup.userId.toString() !== user._id.toString()) {
+            throw new AuthorizationError('Not authorized to view this top-up');
+        }
+        if (topup.status !== 'pending') {
+            return this.summary(topup, { alreadyProcessed: true });
+        }
+
+        const adapter = PaymentGateway.getAdapter(PROVIDER);
+        let transaction;
+        try {
+            transaction = await adapter.verify(reference);
+        } catch (error) {
+            throw PaymentService.providerError(error, `Failed to verify ${adapter.label} payment`);
+        }
+
+        return this.apply(topup, transaction);
+    }
+
+    /**
+     * Apply a verified Flutterwave notification about a top-up. As with orders, the payload
+     * only identifies the payment; its result is re-read from Flutterwave.
+     * @param {Object} payload - Parsed webhook body
+     */
+    static async processWebhookEvent(payload) {
+        const reference = PaymentGateway.getAdapter(PROVIDER).webhookReference(payload);
+        const exists = await WalletTransaction.exists({ reference, 'metadata.purpose': 'topup' });
+        if (!exists) {
+            console.warn(`Flutterwave webhook for unknown top-up reference ${reference}`);
+            return { status: 'ignored', message: 'Unknown top-up reference' };
+        }
+
+        return this.verifyTopup(reference);
+    }
+
+    /**
+     * Record Flutterwave's result on a pending top-up. As with order payments, only a charge of
+     * exactly the requested amount, in NGN, credits the wallet; anything else fails the top-up
+     * and flags it for review, so a tampered checkout cannot get round the top-up limits.
+     * @param {Object} topup - Pending WalletTransaction
+     * @param {Object} transaction - { status, amountPaid, currency, transactionId, paidAt }
+     */
+    static async apply(topup, transaction) {
+        const providerStatus = String(transaction?.status || 'pending').toLowerCase();
+
+        if (FAILED_STATUSES.includes(providerStatus)) {
+            return this.fail(topup, { providerStatus });
+        }
+        if (providerStatus !== 'successful') {
+            return this.summary(topup, { providerStatus });
+        }
+
+        const mismatch = this.chargeMismatch(topup, transaction);
+        if (mismatch) {
+            console.warn(`Top-up ${topup.reference} paid ${mismatch.receivedCurrency} ${mismatch.receivedAmount}, expected ${CURRENCY} ${topup.amount}; not credited, needs review`);
+            return this.fail(topup, {
+                providerStatus,
+                reviewRequired: true,
+                providerTransactionId: transaction.transactionId && String(transaction.transactionId),
+                ...mismatch
+            });
+        }
+
+        return this.credit(topup, { transactionId: transaction.transactionId, paidAt: transaction.paidAt });
+    }
+
+    // What was charged, when it is not exactly the requested amount in NGN
+    static chargeMismatch(topup, { amountPaid, currency }) {
+        const receivedAmount = roundMoney(amountPaid || 0);
+        if (currency === CURRENCY && Math.abs(receivedAmount - topup.amount) <= AMOUNT_TOLERANCE) {
+            return null;
+        }
+        return { receivedAmount, receivedCurrency: currency };
+    }
+
+    static credit(topup, { transactionId, paidAt }) {
+        return this.completeAndCredit(topup, { status: 'pending' }, {
+            'metadata.providerTransactionId': transactionId && String(transactionId),
+            'metadata.paidAt': paidAt
+        });
+    }
+
+    // Completing the entry and crediting the wallet happen together, once per reference
+    static async completeAndCredit(topup, filter, fields) {
+        const session = await mongoose.startSession();
+        try {
+            session.startTransaction();
+
+            const completed = await WalletTransaction.findOneAndUpdate(
+                { _id: topup._id, ...filter },
+                { $set: { status: 'completed', ...fields } },
+                { new: true, session }
+            );
+            if (!completed) {
+                await session.abortTransaction();
+                return this.summary(await WalletTransaction.findById(topup._id), { alreadyProcessed: true });
+            }
+
+            const wallet = await Wallet.findByIdAndUpdate(
+                topup.walletId,
+                { $inc: { availableBalance: completed.amount }, $set: { lastUpdated: new Date() } },
+                { new: true, session }
+            );
+            completed.availableBalance = wallet.availableBalance;
+            completed.lockedAmount = wallet.lockedAmount;
+            await completed.save({ session });
+
+            await session.commitTransaction();
+            return this.summary(completed);
+        } catch (error) {
+            if (session.inTransaction()) {
+                await session.abortTransaction();
+            }
+            console.error(`Error crediting wallet top-up ${topup.reference}:`, error);
+            throw error;
+        } finally {
+            session.endSession();
+        }
+    }
+
+    static async fail(topup, details) {
+        const metadata = Object.fromEntries(Object.entries(details).map(([key, value]) => [`metadata.${key}`, value]));
+        const failed = await WalletTransaction.findOneAndUpdate(
+            { _id: topup._id, status: 'pending' },
+            { $set: { status: 'failed', ...metadata } },
+            { new: true }
+        );
+        return this.summary(failed || await WalletTransaction.findById(topup._id), { alreadyProcessed: !failed });
+    }
+
+    static summary(topup, extra = {}) {
+        return {
+            reference: topup.reference,
+            status: topup.status,
+            amount: topup.amount,
+            currency: CURRENCY,
+            availableBalance: topup.status === 'completed' ? topup.availableBalance : undefined,
+            ...extra
+        };
+    }
+
+    /**
+     * Top-ups whose charge did not match what was requested and still await an admin's decision.
+     * @param {Object} params - { page, limit }
+     * @returns {Promise<Object>} { topups, pagination }
+     */
+    static async listReviews({ page = 1, limit = 20 } = {}) {
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+        const filter = { ...REVIEW_FILTER, 'metadata.purpose': 'topup' };
+
+        const [topups, total] = await Promise.all([
+            WalletTransaction.find(filter)
+                .populate('userId', 'firstName lastName email')
+                .sort({ createdAt: 1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize),
+            WalletTransaction.countDocuments(filter)
+        ]);
+
+        return {
+            topups,
+            pagination: { page: pageNumber, limit: pageSize, total, pages: Math.ceil(total / pageSize) }
+        };
+    }
+
+    // Checks an admin's decision on a flagged top-up before anything is credited or refunded
+    static assertResolvable(topup, action) {
+        if (!['accept', 'refund'].includes(action)) {
+            throw new AppError('action must be accept or refund', 400);
+        }
+        if (topup.status !== 'failed' || !topup.metadata?.reviewRequired || topup.metadata.resolution) {
+            throw new ConflictError('Top-up has no payment awaiting review');
+        }
+        // The wallet holds NGN only; money in another currency can only go back
+        if (action === 'accept' && topup.metadata.receivedCurrency !== CURRENCY) {
+            throw new ConflictError(`Top-up was paid in ${topup.metadata.receivedCurrency}; it can only be refunded`);
+        }
+        if (action === 'accept' && !(topup.metadata.receivedAmount > 0)) {
+            throw new ConflictError('Top-up received no money to credit');
+        }
+    }
+
+    /**
+     * Settle a flagged top-up. Accepting credits the wallet with the amount actually received;
+     * refunding returns the charge to the payer through Flutterwave.
+     * @param {string} reference - Top-up reference
+     * @param {Object} admin - Reviewing admin
+     * @param {Object} params
+     * @param {string} params.action - 'accept' or 'refund'
+     * @param {string} [params.note]
+     */
+    static async resolveReview(reference, admin, { action, note } = {}) {
+        const topup = await WalletTransaction.findOne({ reference, 'metadata.purpose': 'topup' });
+        if (!topup) {
+            throw new NotFoundError('Top-up not found');
+        }
+        this.assertResolvable(topup, action);
+
+        const resolution = {
+            'metadata.resolution': action === 'accept' ? 'accepted' : 'refunded',
+            'metadata.resolvedBy': admin._id,
+            'metadata.resolvedAt': new Date(),
+            'metadata.note': note
+        };
+
+        if (action === 'accept') {
+            const received = topup.metadata.receivedAmount;
+            const result = await this.completeAndCredit(topup, { status: 'failed', ...REVIEW_FILTER }, {
+                ...resolution,
+                amount: received,
+                'metadata.requestedAmount': topup.amount
+            });
+            if (result.alreadyProcessed) {
+                throw new ConflictError('Top-up has no payment awaiting review');
+            }
+            return result;
+        }
+
+        // Claimed before the provider call so two admins cannot refund the same charge
+        const claimed = await WalletTransaction.findOneAndUpdate(
+            { _id: topup._id, status: 'failed', ...REVIEW_FILTER },
+            { $set: resolution },
+            { new: true }
+        );
+        if (!claimed) {
+            throw new ConflictError('Top-up has no payment awaiting review');
+        }
+
+        const adapter = PaymentGateway.getAdapter(PROVIDER);
+        let providerRefund;
+        try {
+            providerRefund = await adapter.refund({
+                transactionId: topup.metadata.providerTransactionId,
+                reference,
+                amount: topup.metadata.receivedAmount
+            });
+        } catch (error) {
+            await WalletTransaction.updateOne(
+                { _id: topup._id },
+                { $unset: Object.fromEntries(Object.keys(resolution).map(key => [key, ''])) }
+            );
+            throw PaymentService.providerError(error, `Failed to refund ${adapter.label} payment`);
+        }
+
+        const refunded = await WalletTransaction.findByIdAndUpdate(
+            topup._id,
+            { $set: { 'metadata.refundId': providerRefund.refundId, 'metadata.refundStatus': providerRefund.status } },
+            { new: true }
+        );
+        return this.summary(refunded, { resolution: 'refunded', refundId: providerRefund.refundId });
+    }
+
+    // Top-up references among `references` whose wallet credit went through
+    static creditedReferences(references) {
+        return WalletTransaction.distinct('reference', {
+            reference: { $in: references },
+            'metadata.purpose': 'topup',
+            status: 'completed'
+        });
+    }
+}
+
+export default WalletTopupService;
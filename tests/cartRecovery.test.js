@@ -0,0 +1,12 @@
+import CartRecoveryService from '../services/cartRecoveryService.js';
+
+describe('CartRecoveryService', () => {
+  it('does not attribute guest orders', async () => {
+    await expect(CartRecoveryService.recordConversion({ _id: 'order' }, null)).resolves.toBeNull();
+  });
+
+  it('rejects a report period that ends before it starts', async () => {
+    await expect(CartRecoveryService.getReport({ startDate: '2026-10-10', endDate: '2026-10-01' }))
+      .rejects.toThrow('startDate and endDate must be valid dates, with startDate first');
+  });
+});
@@ -0,0 +1,35 @@
+import CouponService from '../services/couponService.js';
+
+describe('CouponService.evaluate', () => {
+  const lines = [
+    { product: '64b000000000000000000001', category: 'Water', lineTotal: 15000 },
+    { product: '64b000000000000000000002', category: 'Dispensers', lineTotal: 10000 }
+  ];
+  const base = { isActive: true, products: [], categories: [], minOrderAmount: 0 };
+
+  it('applies a capped percentage discount', () => {
+    const coupon = { ...base, type: 'percentage', value: 10, maxDiscount: 2000 };
+
+    expect(CouponService.evaluate(coupon, { lines, merchandiseTotal: 25000 }).discount).toBe(2000);
+  });
+
+  it('applies a fixed discount above the minimum spend', () => {
+    const coupon = { ...base, type: 'fixed', value: 2000, minOrderAmount: 20000 };
+
+    expect(CouponService.evaluate(coupon, { lines, merchandiseTotal: 25000 }).discount).toBe(2000);
+    expect(() => CouponService.evaluate(coupon, { lines: lines.slice(1), merchandiseTotal: 10000 }))
+      .toThrow('minimum spend');
+  });
+
+  it('only discounts lines in the restricted categories', () => {
+    const coupon = { ...base, type: 'percentage', value: 10, categories: ['water'] };
+
+    expect(CouponService.evaluate(coupon, { lines, merchandiseTotal: 25000 }).discount).toBe(1500);
+  });
+
+  it('rejects expired coupons', () => {
+    const coupon = { ...base, type: 'fixed', value: 500, expiresAt: new Date('2020-01-01') };
+
+    expect(() => CouponService.evaluate(coupon, { lines, merchandiseTotal: 25000 })).toThrow('expired');
+  });
+});
@@ -0,0 +1,52 @@
+import { classifyExisting, hashRequestBody, idempotency, releasesKey } from '../middleware/idempotency.js';
+
+describe('idempotency middleware', () => {
+  const body = { items: [{ product: 'p1', quantity: 2 }], couponCode: 'SAVE10' };
+  const requestHash = hashRequestBody(body);
+
+  it('replays the stored response for the same key and body', () => {
+    const existing = { requestHash, status: 'completed', responseStatus: 201, responseBody: { success: true } };
+
+    expect(classifyExisting(existing, hashRequestBody({ couponCode: 'SAVE10', items: [{ quantity: 2, product: 'p1' }] })))
+      .toBe('replay');
+  });
+
+  it('rejects a different body under the same key', () => {
+    const existing = { requestHash, status: 'completed' };
+
+    expect(classifyExisting(existing, hashRequestBody({ ...body, couponCode: 'SAVE20' }))).toBe('conflict');
+    expect(classifyExisting({ ...existing, status: 'processing' }, hashRequestBody({}))).toBe('conflict');
+  });
+
+  it('turns away a concurrent request while the first is still in flight', () => {
+    expect(classifyExisting({ requestHash, status: 'processing' }, requestHash)).toBe('in_flight');
+    expect(classifyExisting(null, requestHash)).toBe('released');
+  });
+
+  it('releases the key on server errors only', () => {
+    expect(releasesKey(500)).toBe(true);
+    expect(releasesKey(503)).toBe(true);
+    expect(releasesKey(201)).toBe(false);
+    expect(releasesKey(409)).toBe(false);
+  });
+
+  it('passes requests without a key or a user straight through', async () => {
+    const calls = [];
+    const next = (...args) => calls.push(args);
+    const req = { get: () => undefined, user: { _id: 'u1' }, body };
+
+    await idempotency()(req, {}, next);
+    await idempotency()({ ...req, get: () => 'key-1', user: undefined }, {}, next);
+
+    expect(calls).toEqual([[], []]);
+  });
+
+  it('rejects keys longer than 255 characters', async () => {
+    let error;
+    const req = { get: () => 'k'.repeat(256), user: { _id: 'u1' }, body };
+
+    await idempotency()(req, {}, (err) => { error = err; });
+
+    expect(error).toMatchObject({ statusCode: 400 });
+  });
+});
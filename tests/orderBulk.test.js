@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+import OrderBulkService from '../services/orderBulkService.js';
+import { NotFoundError } from '../middleware/errorHandler.js';
+import { toCsvRow, toCsvValue } from '../utils/dataExport.js';
+
+describe('OrderBulkService.run', () => {
+  it('reports each order separately', async () => {
+    const ok = new mongoose.Types.ObjectId().toString();
+    const missing = new mongoose.Types.ObjectId().toString();
+
+    const result = await OrderBulkService.run([ok, missing, 'not-an-id', ok], async (orderId) => {
+      if (orderId === missing) throw new NotFoundError('Order not found');
+      return { orderNumber: 'EPX-2026-10-000001', status: 'cancelled' };
+    });
+
+    expect(result).toMatchObject({ requested: 3, succeeded: 1, failed: 2 });
+    expect(result.results).toEqual([
+      expect.objectContaining({ orderId: ok, success: true, status: 'cancelled' }),
+      expect.objectContaining({ orderId: missing, success: false, statusCode: 404, error: 'Order not found' }),
+      expect.objectContaining({ orderId: 'not-an-id', success: false, statusCode: 400 })
+    ]);
+  });
+
+  it('rejects an empty list', async () => {
+    await expect(OrderBulkService.run([], async () => ({}))).rejects.toThrow('orderIds must be a non-empty array');
+  });
+});
+
+describe('CSV export helpers', () => {
+  it('quotes separators and neutralises formulas', () => {
+    expect(toCsvValue('Lekki, Lagos')).toBe('"Lekki, Lagos"');
+    expect(toCsvValue('say "hi"')).toBe('"say ""hi"""');
+    expect(toCsvValue('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+    expect(toCsvRow([1, null, 'a'])).toBe('1,,a\r\n');
+  });
+});
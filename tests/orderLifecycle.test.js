@@ -0,0 +1,51 @@
+import OrderLifecycle, { SYSTEM } from '../services/orderLifecycle.js';
+
+describe('OrderLifecycle', () => {
+  const buyer = { _id: 'buyer1', role: 'user' };
+  const marketer = { _id: 'marketer1', role: 'marketer' };
+  const admin = { _id: 'admin1', role: 'admin' };
+
+  const statusOf = (fn) => {
+    try {
+      fn();
+      return 'ok';
+    } catch (error) {
+      return error.statusCode;
+    }
+  };
+
+  it('lets the buyer cancel their own pending order', () => {
+    expect(statusOf(() => OrderLifecycle.assertTransition({ status: 'pending', buyer: 'buyer1' }, 'cancelled', buyer))).toBe('ok');
+  });
+
+  it('rejects illegal transitions with a 409 listing the allowed ones', () => {
+    try {
+      OrderLifecycle.assertTransition({ status: 'in_transit', buyer: 'buyer1' }, 'cancelled', buyer);
+      throw new Error('expected a conflict');
+    } catch (error) {
+      expect(error.statusCode).toBe(409);
+      expect(error.details).toMatchObject({ from: 'in_transit', to: 'cancelled', allowed: [] });
+    }
+  });
+
+  it('does not let buyers or marketers act on orders that are not theirs', () => {
+    expect(statusOf(() => OrderLifecycle.assertTransition({ status: 'pending', buyer: 'someone' }, 'cancelled', buyer))).toBe(403);
+    expect(statusOf(() => OrderLifecycle.assertTransition({ status: 'assigned', marketer: 'other' }, 'in_transit', marketer))).toBe(403);
+  });
+
+  it('requires a reason to reject an order', () => {
+    const order = { status: 'assigned', marketer: 'marketer1' };
+    expect(statusOf(() => OrderLifecycle.assertTransition(order, 'rejected', marketer))).toBe(400);
+    expect(statusOf(() => OrderLifecycle.assertTransition(order, 'rejected', marketer, { reason: 'Address not found' }))).toBe('ok');
+  });
+
+  it('reserves abandonment for the system', () => {
+    expect(statusOf(() => OrderLifecycle.assertTransition({ status: 'pending' }, 'abandoned', admin))).toBe(409);
+    expect(statusOf(() => OrderLifecycle.assertTransition({ status: 'pending' }, 'abandoned', SYSTEM))).toBe('ok');
+  });
+
+  it('treats terminal statuses as final', () => {
+    expect(OrderLifecycle.allowedTransitions('completed', admin)).toEqual([]);
+    expect(OrderLifecycle.allowedTransitions('cancelled', admin)).toEqual([]);
+  });
+});
@@ -0,0 +1,13 @@
+import OrderNumberService from '../services/orderNumberService.js';
+
+describe('OrderNumberService.format', () => {
+  it('builds prefix, period and a zero-padded sequence', () => {
+    const date = new Date(Date.UTC(2026, 9, 18));
+
+    expect(OrderNumberService.format(123, { prefix: 'EPX', date })).toBe('EPX-2026-10-000123');
+  });
+
+  it('keys sequences by UTC month', () => {
+    expect(OrderNumberService.period(new Date(Date.UTC(2027, 0, 1)))).toBe('2027-01');
+  });
+});
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+import OrderTimelineService from '../services/orderTimelineService.js';
+
+const buyer = new mongoose.Types.ObjectId();
+const marketer = new mongoose.Types.ObjectId();
+
+const order = {
+  buyer,
+  marketer,
+  status: 'cancelled',
+  cancellationReason: 'Out of delivery area',
+  statusHistory: [
+    { status: 'pending', changedAt: new Date('2026-10-01T09:00:00Z'), changedBy: buyer, note: 'Order created' },
+    { status: 'assigned', changedAt: new Date('2026-10-01T10:00:00Z'), note: 'Assigned to marketer' },
+    { status: 'cancelled', changedAt: new Date('2026-10-02T10:00:00Z'), note: 'Customer asked on the phone' }
+  ],
+  previousMarketers: [{ marketerId: marketer, assignedAt: new Date('2026-10-01T10:00:00Z'), reason: 'Initial assignment' }]
+};
+
+describe('OrderTimelineService', () => {
+  it('hides internal notes and assignment history from buyers', () => {
+    const view = OrderTimelineService.viewOf(order, { _id: buyer, role: 'user' });
+
+    const statuses = OrderTimelineService.statusEvents(order, view);
+    expect(statuses.map(event => event.details.note)).toEqual([undefined, undefined, undefined]);
+    expect(statuses[2].details.reason).toBe('Out of delivery area');
+    expect(OrderTimelineService.assignmentEvents(order, view)).toEqual([]);
+  });
+
+  it('gives the assigned marketer notes and their own assignments', () => {
+    const view = OrderTimelineService.viewOf(order, { _id: marketer, role: 'marketer' });
+
+    expect(view.level).toBe('marketer');
+    expect(OrderTimelineService.statusEvents(order, view)[2].details.note).toBe('Customer asked on the phone');
+    expect(OrderTimelineService.assignmentEvents(order, view)[0]).toMatchObject({
+      type: 'marketer_assigned',
+      details: { marketer: marketer.toString() }
+    });
+  });
+});
@@ -0,0 +1,46 @@
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import OrderTrackingService from '../services/orderTrackingService.js';
+import OrderService from '../services/orderService.js';
+import { generateToken } from '../middleware/auth.js';
+
+describe('OrderTrackingService', () => {
+  it('signs tracking tokens for a single order', () => {
+    const orderId = new mongoose.Types.ObjectId();
+    const token = OrderTrackingService.createToken({ _id: orderId });
+
+    expect(jwt.decode(token)).toMatchObject({ orderId: orderId.toString(), purpose: 'order-tracking' });
+  });
+
+  it('does not accept login tokens as tracking links', async () => {
+    const loginToken = generateToken(new mongoose.Types.ObjectId(), 'user');
+
+    await expect(OrderTrackingService.findByToken(loginToken)).rejects.toThrow('Tracking link is invalid or has expired');
+  });
+
+  it('matches phone numbers across local and international formats', () => {
+    expect(OrderTrackingService.phoneKey('+234 803 123 4567')).toBe(OrderTrackingService.phoneKey('08031234567'));
+    expect(OrderTrackingService.phoneKey('12345')).toBeNull();
+  });
+});
+
+describe('OrderService.assertGuestCheckout', () => {
+  const customerInfo = { name: 'Ada Obi', email: 'ada@example.com', phone: '08031234567' };
+
+  it('requires contact details', () => {
+    expect(() => OrderService.assertGuestCheckout({ customerInfo: { name: 'Ada' }, paymentMethod: 'cash_on_delivery' }))
+      .toThrow('Missing required fields: customerInfo.email, customerInfo.phone');
+  });
+
+  it('rejects wallet payments and coupons', () => {
+    expect(() => OrderService.assertGuestCheckout({ customerInfo, paymentMethod: 'wallet' })).toThrow('Sign in to pay from a wallet');
+    expect(() => OrderService.assertGuestCheckout({ customerInfo, paymentMethod: 'cash_on_delivery', couponCode: 'SAVE10' }))
+      .toThrow('Sign in to use a coupon code');
+  });
+
+  it('accepts cash on delivery only, since online payment needs an account', () => {
+    expect(() => OrderService.assertGuestCheckout({ customerInfo, paymentMethod: 'flutterwave' }))
+      .toThrow('Guest orders are paid cash on delivery; sign in to pay online');
+    expect(() => OrderService.assertGuestCheckout({ customerInfo, paymentMethod: 'cash_on_delivery' })).not.toThrow();
+  });
+});
@@ -0,0 +1,78 @@
+import http from 'http';
+import config from '../config/environment.js';
+import PaymentService from '../services/paymentService.js';
+import { createWemaStub } from '../scripts/wema-stub.js';
+
+describe('Wema bank transfers against the local stub', () => {
+  const originalSecret = config.WEMA_WEBHOOK_SECRET;
+  const received = [];
+
+  // Plays the part of /api/payments/webhook/wema: checks the signature over the raw body
+  const receiver = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const rawBody = Buffer.concat(chunks);
+      const valid = PaymentService.verifySignature(rawBody, req.headers['x-wema-signature']);
+      received.push({ valid, body: JSON.parse(rawBody) });
+      res.writeHead(valid ? 200 : 401, { 'Content-Type': 'application/json' });
+      res.end('{}');
+    });
+  });
+  let stub;
+
+  beforeAll((done) => {
+    config.WEMA_WEBHOOK_SECRET = 'test-secret';
+    receiver.listen(0, () => {
+      stub = createWemaStub({
+        webhookUrl: `http://localhost:${receiver.address().port}`,
+        webhookSecret: 'test-secret'
+      });
+      stub.server.listen(0, done);
+    });
+  });
+
+  afterAll((done) => {
+    config.WEMA_WEBHOOK_SECRET = originalSecret;
+    stub.server.close(() => receiver.close(done));
+  });
+
+  it('signs transfer notifications the service accepts', async () => {
+    const base = `http://localhost:${stub.server.address().port}`;
+    const post = (path, body) => fetch(`${base}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    }).then(response => response.json());
+
+    const account = await post('/virtual-accounts', { reference: 'WEMA-TEST-1', amount: 5000 });
+    expect(account.data.accountNumber).toMatch(/^\d{10}$/);
+
+    const transfer = await post('/simulate/transfer', { reference: 'WEMA-TEST-1', amount: 2000 });
+    expect(transfer.data).toMatchObject({ status: 'pending', amountPaid: 2000 });
+    expect(received[0]).toMatchObject({ valid: true, body: { event: 'transfer.received' } });
+  });
+
+  it('rejects tampered bodies', () => {
+    const body = Buffer.from(JSON.stringify({ event: 'transfer.received', data: { reference: 'x' } }));
+
+    expect(PaymentService.verifySignature(body, 'deadbeef')).toBe(false);
+  });
+});
+
+describe('PaymentService.assessPayment', () => {
+  const order = (provider) => ({ totalAmount: 5000, payment: { provider, currency: 'NGN' } });
+
+  it('accepts only the exact total in the order currency', () => {
+    expect(PaymentService.assessPayment(order('flutterwave'), 'success', 5000, 'NGN')).toEqual({ status: 'success' });
+    expect(PaymentService.assessPayment(order('flutterwave'), 'success', 50, 'NGN'))
+      .toMatchObject({ status: 'mismatch', mismatch: { reason: 'underpaid', expectedAmount: 5000, receivedAmount: 50 } });
+    expect(PaymentService.assessPayment(order('paystack'), 'success', 5000, 'USD'))
+      .toMatchObject({ status: 'mismatch', mismatch: { reason: 'currency', receivedCurrency: 'USD' } });
+  });
+
+  it('keeps part-paid bank transfers pending for the balance', () => {
+    expect(PaymentService.assessPayment(order('wema'), 'success', 2000, 'NGN')).toEqual({ status: 'pending' });
+    expect(PaymentService.assessPayment(order('wema'), 'success', 6000, 'NGN').mismatch.reason).toBe('overpaid');
+  });
+});
@@ -0,0 +1,31 @@
+import config from '../config/environment.js';
+import PaymentEventService from '../services/paymentEventService.js';
+
+describe('PaymentEventService', () => {
+  const originalHash = config.FLUTTERWAVE_WEBHOOK_HASH;
+
+  beforeAll(() => {
+    config.FLUTTERWAVE_WEBHOOK_HASH = 'flw-secret-hash';
+  });
+
+  afterAll(() => {
+    config.FLUTTERWAVE_WEBHOOK_HASH = originalHash;
+  });
+
+  it('gives redeliveries of the same event the same id', () => {
+    const body = { event: 'charge.completed', data: { id: 285959875, tx_ref: 'ORDER-EPX-1' } };
+    const raw = Buffer.from(JSON.stringify(body));
+
+    expect(PaymentEventService.eventIdFor(body, raw)).toBe('charge.completed:285959875');
+    expect(PaymentEventService.eventIdFor({ event: 'ping' }, raw)).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  it('rejects Flutterwave deliveries without the configured verif-hash before storing them', async () => {
+    const raw = Buffer.from(JSON.stringify({ event: 'charge.completed', data: { id: 1 } }));
+
+    await expect(PaymentEventService.receive('flutterwave', raw, { 'verif-hash': 'guess' }))
+      .rejects.toMatchObject({ statusCode: 401 });
+    await expect(PaymentEventService.receive('stripe', raw, {}))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,67 @@
+import crypto from 'crypto';
+import config from '../config/environment.js';
+import PaymentGateway from '../services/paymentGateway.js';
+import { createPaystackStub } from '../scripts/paystack-stub.js';
+
+describe('Paystack adapter against the local stub', () => {
+  const original = { baseUrl: config.PAYSTACK_BASE_URL, secretKey: config.PAYSTACK_SECRET_KEY };
+  const paystack = PaymentGateway.getAdapter('paystack');
+  const stub = createPaystackStub({ secretKey: 'sk_test_stub' });
+  const order = { _id: 'order-1', orderNumber: 'EPX-2026-10-000001' };
+
+  beforeAll((done) => {
+    stub.server.listen(0, () => {
+      config.PAYSTACK_BASE_URL = `http://localhost:${stub.server.address().port}`;
+      config.PAYSTACK_SECRET_KEY = 'sk_test_stub';
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    config.PAYSTACK_BASE_URL = original.baseUrl;
+    config.PAYSTACK_SECRET_KEY = original.secretKey;
+    stub.server.close(done);
+  });
+
+  it('takes a payment in naira and refunds it', async () => {
+    const checkout = await paystack.initialize({
+      order,
+      reference: 'PSTK-TEST-1',
+      amount: 5250.5,
+      currency: 'NGN',
+      customer: { email: 'buyer@example.com' }
+    });
+    expect(stub.transactions.get('PSTK-TEST-1').amount).toBe(525050);
+
+    await fetch(checkout.paymentUrl);
+    const transaction = await paystack.verify('PSTK-TEST-1');
+    expect(transaction).toMatchObject({ status: 'success', amountPaid: 5250.5, currency: 'NGN' });
+
+    const refund = await paystack.refund({ reference: 'PSTK-TEST-1', amount: 1000 });
+    expect(refund.status).toBe('pending');
+    expect((await paystack.getRefund(refund.refundId)).status).toBe('processed');
+  });
+
+  it('accepts only correctly signed webhooks', () => {
+    const payload = { event: 'charge.success', data: { reference: 'PSTK-TEST-1' } };
+    const body = Buffer.from(JSON.stringify(payload));
+    const signature = crypto.createHmac('sha512', 'sk_test_stub').update(body).digest('hex');
+
+    expect(() => PaymentGateway.verifyWebhook('paystack', body, { 'x-paystack-signature': signature })).not.toThrow();
+    expect(() => PaymentGateway.verifyWebhook('paystack', body, { 'x-paystack-signature': 'deadbeef' }))
+      .toThrow('Invalid webhook signature');
+    expect(paystack.webhookReference(payload)).toBe('PSTK-TEST-1');
+  });
+});
+
+describe('PaymentGateway.pickProvider', () => {
+  const providers = [
+    { name: 'flutterwave', available: false, isDefault: true },
+    { name: 'paystack', available: true, isDefault: false }
+  ];
+
+  it('refuses a provider an admin has disabled, even when named explicitly', () => {
+    expect(() => PaymentGateway.pickProvider(providers, 'flutterwave')).toThrow('Flutterwave payments are not available');
+    expect(PaymentGateway.pickProvider(providers)).toBe('paystack');
+  });
+});
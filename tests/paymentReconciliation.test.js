@@ -0,0 +1,47 @@
+import config from '../config/environment.js';
+import PaymentGateway from '../services/paymentGateway.js';
+import PaymentReconciliationService from '../services/paymentReconciliationService.js';
+import { createPaystackStub } from '../scripts/paystack-stub.js';
+
+describe('PaymentReconciliationService', () => {
+  it('reports on whole UTC days', () => {
+    const { start, end } = PaymentReconciliationService.dayBounds('2026-10-17');
+
+    expect(start.toISOString()).toBe('2026-10-17T00:00:00.000Z');
+    expect(end.toISOString()).toBe('2026-10-18T00:00:00.000Z');
+    expect(PaymentReconciliationService.previousDay(new Date('2026-10-18T01:00:00Z'))).toBe('2026-10-17');
+    expect(() => PaymentReconciliationService.dayBounds('17/10/2026')).toThrow('date must be YYYY-MM-DD');
+  });
+
+  describe('Paystack settlements from the local stub', () => {
+    const original = { baseUrl: config.PAYSTACK_BASE_URL, secretKey: config.PAYSTACK_SECRET_KEY };
+    const stub = createPaystackStub({ secretKey: 'sk_test_stub' });
+
+    beforeAll((done) => {
+      stub.server.listen(0, () => {
+        config.PAYSTACK_BASE_URL = `http://localhost:${stub.server.address().port}`;
+        config.PAYSTACK_SECRET_KEY = 'sk_test_stub';
+        done();
+      });
+    });
+
+    afterAll((done) => {
+      config.PAYSTACK_BASE_URL = original.baseUrl;
+      config.PAYSTACK_SECRET_KEY = original.secretKey;
+      stub.server.close(done);
+    });
+
+    it('lists only charges paid inside the window, in naira', async () => {
+      const paystack = PaymentGateway.getAdapter('paystack');
+      const order = { _id: 'order-1', orderNumber: 'EPX-2026-10-000001' };
+      const paid = await paystack.initialize({ order, reference: 'PSTK-PAID', amount: 2000, currency: 'NGN', customer: { email: 'a@example.com' } });
+      await paystack.initialize({ order, reference: 'PSTK-UNPAID', amount: 3000, currency: 'NGN', customer: { email: 'a@example.com' } });
+      await fetch(paid.paymentUrl);
+
+      const now = Date.now();
+      const charges = await paystack.listSuccessful({ start: new Date(now - 60000), end: new Date(now + 60000) });
+
+      expect(charges).toEqual([expect.objectContaining({ reference: 'PSTK-PAID', amount: 2000, fee: 130, currency: 'NGN' })]);
+    });
+  });
+});
@@ -0,0 +1,71 @@
+import PricingService from '../services/pricingService.js';
+import SeasonalPromoService from '../services/seasonalPromoService.js';
+
+describe('PricingService', () => {
+  const quote = {
+    items: [
+      { product: 'p1', quantity: 2, unitPrice: 1500, lineTotal: 3000 },
+      { product: 'p2', quantity: 1, unitPrice: 250.5, lineTotal: 250.5 }
+    ],
+    subtotal: 3250.5,
+    discount: 0,
+    shippingFee: 0,
+    tax: 0,
+    total: 3250.5
+  };
+
+  describe('assertMatchesQuote', () => {
+    it('accepts amounts that match the quote', () => {
+      expect(() => PricingService.assertMatchesQuote(quote, {
+        items: [{ product: 'p1', quantity: 2, price: 1500 }, { product: 'p2', quantity: 1 }],
+        totalAmount: 3250.5
+      })).not.toThrow();
+    });
+
+    it('rejects a tampered total with a 409 and the expected quote', () => {
+      try {
+        PricingService.assertMatchesQuote(quote, { items: [], totalAmount: 100 });
+        throw new Error('expected a conflict');
+      } catch (error) {
+        expect(error.statusCode).toBe(409);
+        expect(error.details.mismatches[0]).toMatchObject({ field: 'totalAmount', expected: 3250.5 });
+        expect(error.details.quote).toBe(quote);
+      }
+    });
+
+    it('rejects a tampered line price', () => {
+      expect(() => PricingService.assertMatchesQuote(quote, {
+        items: [{ product: 'p1', quantity: 2, price: 10 }],
+        totalAmount: 3250.5
+      })).toThrow('Order amounts do not match the current quote');
+    });
+  });
+
+  describe('applyPromotions', () => {
+    const originalPromotions = SeasonalPromoService.seasonalPromotions;
+
+    afterEach(() => {
+      SeasonalPromoService.seasonalPromotions = originalPromotions;
+    });
+
+    it('applies the discount rate of the active seasonal promotion', () => {
+      const now = Date.now();
+      SeasonalPromoService.seasonalPromotions = [{
+        name: 'Test Sale',
+        startDate: new Date(now - 1000),
+        endDate: new Date(now + 60000),
+        commissionRate: 10,
+        discountRate: 10
+      }];
+
+      const { discount, promotions } = PricingService.applyPromotions(2000);
+      expect(discount).toBe(200);
+      expect(promotions[0].name).toBe('Test Sale');
+    });
+
+    it('gives no discount when no promotion is running', () => {
+      SeasonalPromoService.seasonalPromotions = [];
+      expect(PricingService.applyPromotions(2000)).toEqual({ discount: 0, promotions: [] });
+    });
+  });
+});
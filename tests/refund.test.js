@@ -0,0 +1,66 @@
+import config from '../config/environment.js';
+import FlutterwaveService from '../services/flutterwaveService.js';
+import RefundService from '../services/refundService.js';
+import { createFlutterwaveStub } from '../scripts/flutterwave-stub.js';
+
+describe('FlutterwaveService refunds against the local stub', () => {
+  const { server } = createFlutterwaveStub();
+  const originalBaseUrl = config.FLUTTERWAVE_BASE_URL;
+
+  beforeAll((done) => {
+    server.listen(0, () => {
+      config.FLUTTERWAVE_BASE_URL = `http://localhost:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    config.FLUTTERWAVE_BASE_URL = originalBaseUrl;
+    server.close(done);
+  });
+
+  it('submits a partial refund and reports completion on lookup', async () => {
+    const refund = await FlutterwaveService.refundTransaction('4242', 2500);
+
+    expect(refund.status).toBe('pending');
+    expect(refund.amount_refunded).toBe(2500);
+
+    const refreshed = await FlutterwaveService.getRefund(refund.id);
+    expect(refreshed.status).toBe('completed');
+  });
+
+  it('surfaces provider errors as AppErrors', async () => {
+    await expect(FlutterwaveService.getRefund('missing')).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
+
+describe('RefundService.refundableBase', () => {
+  it('caps refunds of a rejected mismatched payment at what was received', () => {
+    const order = {
+      totalAmount: 5000,
+      payment: { status: 'failed', amountPaid: 50, currency: 'NGN', mismatch: { resolution: 'rejected', receivedCurrency: 'NGN' } }
+    };
+
+    expect(RefundService.holdsRejectedPayment(order)).toBe(true);
+    expect(RefundService.refundableBase(order)).toEqual({ amount: 50, currency: 'NGN' });
+    expect(RefundService.refundableBase({ totalAmount: 5000, payment: { currency: 'NGN' } })).toEqual({ amount: 5000, currency: 'NGN' });
+  });
+});
+
+describe('RefundService.getRefundableAmount', () => {
+  it('deducts refunds still in flight as well as completed ones', () => {
+    const order = { totalAmount: 5000, refundedAmount: 1000, refundPendingAmount: 1500, payment: { currency: 'NGN' } };
+
+    expect(RefundService.getRefundableAmount(order)).toBe(2500);
+  });
+});
+
+describe('RefundService.assertRefundable', () => {
+  const delivered = { paymentMethod: 'cash_on_delivery', status: 'delivered', payment: {} };
+
+  it('asks for unclaimed guest orders to be claimed first', () => {
+    expect(() => RefundService.assertRefundable(delivered))
+      .toThrow(expect.objectContaining({ statusCode: 409, message: expect.stringContaining('claim the order first') }));
+    expect(() => RefundService.assertRefundable({ ...delivered, buyer: 'user-1' })).not.toThrow();
+  });
+});
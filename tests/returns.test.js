@@ -0,0 +1,49 @@
+import ReturnService from '../services/returnService.js';
+
+describe('ReturnService.calculateRefund', () => {
+  const order = {
+    subtotal: 10000,
+    discountAmount: 1000,
+    shippingFee: 1500,
+    taxAmount: 675,
+    totalAmount: 11175,
+    commissionRate: 10,
+    refundedAmount: 0
+  };
+
+  it('refunds the items share of discount and tax but not shipping', () => {
+    const { refundAmount, commissionAdjustment } = ReturnService.calculateRefund(order, [
+      { unitPrice: 2500, quantity: 2 }
+    ]);
+
+    // Half the merchandise: (11175 - 1500) / 2
+    expect(refundAmount).toBe(4837.5);
+    // 10% commission on the discounted merchandise (4500)
+    expect(commissionAdjustment).toBe(450);
+  });
+
+  it('never refunds more than is left on the order', () => {
+    const { refundAmount } = ReturnService.calculateRefund(
+      { ...order, refundedAmount: 11000 },
+      [{ unitPrice: 2500, quantity: 2 }]
+    );
+
+    expect(refundAmount).toBe(175);
+  });
+});
+
+describe('ReturnService.returnableQuantity', () => {
+  const line = { _id: 'line-1', quantity: 2, returnedQuantity: 0 };
+  const request = (status, quantity = 1) => ({ status, items: [{ orderItem: 'line-1', quantity }] });
+
+  it('holds units of open requests', () => {
+    expect(ReturnService.returnableQuantity(line, [request('requested')])).toBe(1);
+    expect(ReturnService.returnableQuantity(line, [request('rejected')])).toBe(2);
+  });
+
+  it('counts picked-up units once while their refund is still pending', () => {
+    const pickedUp = { ...line, returnedQuantity: 1 };
+
+    expect(ReturnService.returnableQuantity(pickedUp, [request('picked_up')])).toBe(1);
+  });
+});
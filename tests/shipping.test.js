@@ -0,0 +1,19 @@
+import ShippingService from '../services/shippingService.js';
+
+describe('ShippingService.calculateFee', () => {
+  const flatZone = { rateType: 'flat', flatFee: 1500, freeShippingThreshold: 50000 };
+  const weightZone = { rateType: 'weight', baseFee: 2000, baseWeightKg: 2, perKgFee: 500, freeShippingThreshold: 0 };
+
+  it('charges the flat fee below the free-shipping threshold', () => {
+    expect(ShippingService.calculateFee(flatZone, { weight: 10, merchandiseTotal: 49999 })).toBe(1500);
+  });
+
+  it('ships free once the merchandise total reaches the threshold', () => {
+    expect(ShippingService.calculateFee(flatZone, { weight: 10, merchandiseTotal: 50000 })).toBe(0);
+  });
+
+  it('charges each started kilogram over the base weight', () => {
+    expect(ShippingService.calculateFee(weightZone, { weight: 1.5, merchandiseTotal: 1000 })).toBe(2000);
+    expect(ShippingService.calculateFee(weightZone, { weight: 3.2, merchandiseTotal: 1000 })).toBe(3000);
+  });
+});
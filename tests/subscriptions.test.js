@@ -0,0 +1,20 @@
+import SubscriptionService from '../services/subscriptionService.js';
+
+describe('SubscriptionService scheduling', () => {
+  it('advances by the subscription interval', () => {
+    const start = new Date('2026-01-15T09:00:00Z');
+
+    expect(SubscriptionService.advance(start, 'weekly').toISOString()).toBe('2026-01-22T09:00:00.000Z');
+    expect(SubscriptionService.advance(start, 'quarterly').toISOString()).toBe('2026-04-15T09:00:00.000Z');
+  });
+
+  it('skips missed cycles when finding the next run', () => {
+    const next = SubscriptionService.nextFutureRun(
+      new Date('2026-01-01T09:00:00Z'),
+      'weekly',
+      new Date('2026-01-20T00:00:00Z')
+    );
+
+    expect(next.toISOString()).toBe('2026-01-22T09:00:00.000Z');
+  });
+});
@@ -0,0 +1,51 @@
+import config from '../config/environment.js';
+import TaxService from '../services/taxService.js';
+
+describe('TaxService.calculate', () => {
+  const original = {
+    rate: config.VAT_RATE,
+    inclusive: config.PRICES_INCLUDE_TAX,
+    exempt: config.TAX_EXEMPT_CATEGORIES
+  };
+  const lines = [
+    { product: 'p1', category: 'Water', lineTotal: 6000 },
+    { product: 'p2', category: 'Accessories', lineTotal: 4000 }
+  ];
+
+  beforeEach(() => {
+    config.VAT_RATE = 7.5;
+    config.PRICES_INCLUDE_TAX = false;
+    config.TAX_EXEMPT_CATEGORIES = [];
+  });
+
+  afterAll(() => {
+    config.VAT_RATE = original.rate;
+    config.PRICES_INCLUDE_TAX = original.inclusive;
+    config.TAX_EXEMPT_CATEGORIES = original.exempt;
+  });
+
+  it('adds VAT per line on the discounted amount', () => {
+    const result = TaxService.calculate(lines, 1000);
+
+    expect(result.lines.map(line => line.taxAmount)).toEqual([405, 270]);
+    expect(result.tax).toBe(675);
+    expect(result.inclusive).toBe(false);
+  });
+
+  it('charges no VAT on exempt categories', () => {
+    config.TAX_EXEMPT_CATEGORIES = ['water'];
+    const result = TaxService.calculate(lines);
+
+    expect(result.lines[0]).toMatchObject({ taxRate: 0, taxAmount: 0 });
+    expect(result.tax).toBe(300);
+    expect(result.exemptAmount).toBe(6000);
+  });
+
+  it('extracts the VAT already contained in inclusive prices', () => {
+    config.PRICES_INCLUDE_TAX = true;
+    const result = TaxService.calculate([{ product: 'p1', category: 'Water', lineTotal: 10750 }]);
+
+    expect(result.tax).toBe(750);
+    expect(result.inclusive).toBe(true);
+  });
+});
@@ -0,0 +1,54 @@
+import config from '../config/environment.js';
+import WalletTopupService from '../services/walletTopupService.js';
+
+describe('WalletTopupService', () => {
+  it('accepts amounts within the configured limits only', () => {
+    expect(WalletTopupService.assertAmount('2500')).toBe(2500);
+
+    for (const amount of [config.WALLET_TOPUP_MIN_AMOUNT - 1, config.WALLET_TOPUP_MAX_AMOUNT + 1, 0, 'abc']) {
+      expect(() => WalletTopupService.assertAmount(amount)).toThrow(expect.objectContaining({ statusCode: 400 }));
+    }
+  });
+
+  it('takes Flutterwave webhooks for top-up references away from order payments', () => {
+    const event = (txRef) => ({ event: 'charge.completed', data: { id: 1, tx_ref: txRef } });
+
+    expect(WalletTopupService.handles('flutterwave', event('TOPUP-A1B2C3-1700000000000'))).toBe(true);
+    expect(WalletTopupService.handles('flutterwave', event('ORDER-EPX-1-1700000000000'))).toBe(false);
+    expect(WalletTopupService.handles('paystack', event('TOPUP-A1B2C3-1700000000000'))).toBe(false);
+  });
+
+  it('only credits a charge of exactly the requested amount in NGN', () => {
+    const topup = { amount: 5000 };
+
+    expect(WalletTopupService.chargeMismatch(topup, { amountPaid: 5000, currency: 'NGN' })).toBeNull();
+    expect(WalletTopupService.chargeMismatch(topup, { amountPaid: 900000, currency: 'NGN' }))
+      .toEqual({ receivedAmount: 900000, receivedCurrency: 'NGN' });
+    expect(WalletTopupService.chargeMismatch(topup, { amountPaid: 5000, currency: 'USD' }))
+      .toEqual({ receivedAmount: 5000, receivedCurrency: 'USD' });
+  });
+
+  it('lets admins credit or refund a flagged top-up only once', () => {
+    const flagged = (metadata) => ({
+      status: 'failed',
+      metadata: { reviewRequired: true, receivedAmount: 900000, receivedCurrency: 'NGN', ...metadata }
+    });
+
+    expect(() => WalletTopupService.assertResolvable(flagged(), 'accept')).not.toThrow();
+    expect(() => WalletTopupService.assertResolvable(flagged(), 'refund')).not.toThrow();
+    expect(() => WalletTopupService.assertResolvable(flagged(), 'reject'))
+      .toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => WalletTopupService.assertResolvable(flagged({ resolution: 'refunded' }), 'refund'))
+      .toThrow(expect.objectContaining({ statusCode: 409 }));
+    expect(() => WalletTopupService.assertResolvable({ status: 'completed', metadata: {} }, 'accept'))
+      .toThrow(expect.objectContaining({ statusCode: 409 }));
+  });
+
+  it('only credits flagged top-ups paid in NGN', () => {
+    const topup = { status: 'failed', metadata: { reviewRequired: true, receivedAmount: 5000, receivedCurrency: 'USD' } };
+
+    expect(() => WalletTopupService.assertResolvable(topup, 'accept'))
+      .toThrow(expect.objectContaining({ statusCode: 409 }));
+    expect(() => WalletTopupService.assertResolvable(topup, 'refund')).not.toThrow();
+  });
+});
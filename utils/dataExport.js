@@ -1,4 +1,18 @@
 // server/utils/dataExport.js
 export const generateJsonExport = (data) => {
   return JSON.stringify(data, null, 2);
-};
\ No newline at end of file
+};
+
+// Quote a value for CSV. Text starting with a formula character is prefixed with a quote
+// so spreadsheets show it instead of evaluating it.
+export const toCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsvRow = (values) => values.map(toCsvValue).join(',') + '\r\n';
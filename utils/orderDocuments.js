@@ -0,0 +1,211 @@
+// utils/orderDocuments.js
+import PDFDocument from 'pdfkit';
+import QRCode from 'qrcode';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const LOGO_PATH = path.join(__dirname, '../public/logo.png');
+
+// Helvetica has no naira glyph, so amounts use the currency code
+const formatMoney = (amount, currency = 'NGN') =>
+    `${currency} ${Number(amount || 0).toLocaleString('en-NG', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-NG') : '-');
+
+const customerName = (order) => {
+    const customer = order.buyer?.firstName ? order.buyer : order.userId;
+    return [customer?.firstName, customer?.lastName].filter(Boolean).join(' ') || order.customerInfo?.name || 'Customer';
+};
+
+// Render into memory rather than to disk; serverless filesystems are read-only
+const renderToBuffer = (draw) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    Promise.resolve(draw(doc))
+        .then(() => doc.end())
+        .catch(reject);
+});
+
+const drawHeader = (doc, title) => {
+    if (fs.existsSync(LOGO_PATH)) {
+        doc.image(LOGO_PATH, 50, 45, { width: 50 });
+    }
+
+    doc
+        .fillColor('#444444')
+        .fontSize(20)
+        .text('Epilux', 110, 57)
+        .fontSize(10)
+        .text('123 Business Street', 200, 57, { align: 'right' })
+        .text('Lagos, Nigeria', 200, 72, { align: 'right' })
+        .fontSize(18)
+        .text(title, 50, 120);
+};
+
+const drawAddress = (doc, heading, order, x, y) => {
+    const address = order.shippingAddress || {};
+
+    doc
+        .fontSize(11)
+        .text(heading, x, y)
+        .fontSize(10)
+        .text(customerName(order), x, y + 18)
+        .text(address.address || '', x, y + 32, { width: 240 })
+        .text([address.city, address.state, address.country].filter(Boolean).join(', '), { width: 240 });
+
+    const phone = order.customerInfo?.phone || order.buyer?.phone || order.userId?.phone;
+    if (phone) doc.text(`Phone: ${phone}`);
+    if (address.landmark) doc.text(`Landmark: ${address.landmark}`);
+};
+
+const drawRow = (doc, y, columns) => {
+    for (const { text, x, width, align = 'left' } of columns) {
+        doc.text(text, x, y, { width, align });
+    }
+};
+
+/**
+ * Tax invoice with line items, VAT, shipping, payment reference and a QR code of the order number.
+ * @param {Object} order - Order with buyer/userId populated
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+export const generateInvoice = (order) => renderToBuffer(async (doc) => {
+    const currency = order.payment?.currency || 'NGN';
+    const qr = await QRCode.toBuffer(order.orderNumber, { margin: 1, width: 90 });
+
+    drawHeader(doc, 'Tax Invoice');
+    doc.image(qr, 455, 110, { width: 90 });
+
+    doc
+        .fontSize(10)
+        .text(`Invoice for order ${order.orderNumber}`, 50, 148)
+        .text(`Order date: ${formatDate(order.createdAt)}`, 50, 163)
+        .text(`Payment method: ${(order.paymentMethod || '-').replace(/_/g, ' ')}`, 50, 178)
+        .text(`Payment reference: ${order.payment?.reference || order.payment?.transactionId || '-'}`, 50, 193)
+        .text(`Payment status: ${order.isPaid ? `paid on ${formatDate(order.paidAt)}` : order.paymentStatus}`, 50, 208);
+
+    drawAddress(doc, 'Bill to', order, 50, 240);
+
+    // Line items
+    const columns = [
+        { x: 50, width: 250 },
+        { x: 300, width: 60, align: 'right' },
+        { x: 360, width: 90, align: 'right' },
+        { x: 450, width: 95, align: 'right' }
+    ];
+    let y = 340;
+
+    doc.fontSize(10).font('Helvetica-Bold');
+    drawRow(doc, y, ['Item', 'Qty', 'Unit price', 'Amount'].map((text, i) => ({ ...columns[i], text })));
+    doc.font('Helvetica');
+    doc.moveTo(50, y + 15).lineTo(545, y + 15).strokeColor('#cccccc').stroke();
+    y += 25;
+
+    for (const item of order.items) {
+        if (y > 700) {
+            doc.addPage();
+            y = 50;
+        }
+        const name = item.name || item.product?.name || 'Item';
+        drawRow(doc, y, [
+            { ...columns[0], text: name },
+            { ...columns[1], text: String(item.quantity) },
+            { ...columns[2], text: formatMoney(item.price, currency) },
+            { ...columns[3], text: formatMoney(item.total ?? item.price * item.quantity, currency) }
+        ]);
+        y += Math.max(doc.heightOfString(name, { width: columns[0].width }), 12) + 8;
+    }
+
+    // Totals
+    doc.moveTo(300, y).lineTo(545, y).stroke();
+    y += 10;
+
+    const vatLabel = `VAT${order.taxRate ? ` (${order.taxRate}%)` : ''}${order.taxInclusive ? ', included' : ''}`;
+    const totals = [
+        ['Subtotal', order.subtotal],
+        order.discountAmount ? ['Discount', -order.discountAmount] : null,
+        ['Shipping', order.shippingFee],
+        [vatLabel, order.taxAmount],
+        ['Total', order.totalAmount],
+        order.refundedAmount ? ['Refunded', -order.refundedAmount] : null
+    ].filter(Boolean);
+
+    for (const [label, amount] of totals) {
+        doc.font(label === 'Total' ? 'Helvetica-Bold' : 'Helvetica');
+        drawRow(doc, y, [
+            { x: 300, width: 150, text: label },
+            { x: 450, width: 95, align: 'right', text: formatMoney(amount, currency) }
+        ]);
+        y += 16;
+    }
+
+    doc
+        .font('Helvetica')
+        .fontSize(10)
+        .text('Thank you for shopping with Epilux.', 50, 730, { align: 'center' })
+        .text('For any inquiries, please contact support@epilux.com', 50, 745, { align: 'center' });
+});
+
+/**
+ * Packing slip for the delivering marketer: address, contact and quantities, no prices.
+ * @param {Object} order - Order with buyer/userId populated
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+export const generatePackingSlip = (order) => renderToBuffer(async (doc) => {
+    const qr = await QRCode.toBuffer(order.orderNumber, { margin: 1, width: 90 });
+
+    drawHeader(doc, 'Packing Slip');
+    doc.image(qr, 455, 110, { width: 90 });
+
+    doc
+        .fontSize(10)
+        .text(`Order ${order.orderNumber}`, 50, 148)
+        .text(`Order date: ${formatDate(order.createdAt)}`, 50, 163)
+        .text(`Payment: ${order.paymentMethod === 'cash_on_delivery' ? `collect ${formatMoney(order.totalAmount, order.payment?.currency)} on delivery` : 'prepaid'}`, 50, 178);
+
+    drawAddress(doc, 'Deliver to', order, 50, 215);
+
+    const instructions = order.shippingAddress?.deliveryInstructions;
+    let y = 320;
+    if (instructions) {
+        doc.fontSize(10).text(`Delivery instructions: ${instructions}`, 50, y, { width: 495 });
+        y = doc.y + 15;
+    }
+
+    doc.font('Helvetica-Bold');
+    drawRow(doc, y, [
+        { x: 50, width: 40, text: 'Packed' },
+        { x: 100, width: 345, text: 'Item' },
+        { x: 445, width: 100, align: 'right', text: 'Qty' }
+    ]);
+    doc.font('Helvetica');
+    doc.moveTo(50, y + 15).lineTo(545, y + 15).strokeColor('#cccccc').stroke();
+    y += 25;
+
+    for (const item of order.items) {
+        if (y > 720) {
+            doc.addPage();
+            y = 50;
+        }
+        const name = item.name || item.product?.name || 'Item';
+        doc.rect(60, y, 10, 10).stroke();
+        drawRow(doc, y, [
+            { x: 100, width: 345, text: name },
+            { x: 445, width: 100, align: 'right', text: String(item.quantity) }
+        ]);
+        y += Math.max(doc.heightOfString(name, { width: 345 }), 12) + 10;
+    }
+
+    doc
+        .fontSize(10)
+        .text('Received in good condition by: ______________________    Date: ____________', 50, y + 40);
+});